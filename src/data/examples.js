@@ -246,6 +246,11 @@ foaf:PersonShape a sh:NodeShape ;
         sh:path foaf:mbox ;
         sh:pattern "^mailto:" ;
         sh:message "Email must be a mailto: URI" ;
+    ] ;
+    sh:property [
+        sh:path foaf:nick ;
+        sh:disjoint foaf:name ;
+        sh:message "Nickname must differ from the name" ;
     ] .`
   },
   {
@@ -362,6 +367,11 @@ schema:EventShape a sh:NodeShape ;
         sh:minCount 1 ;
         sh:message "Event must have a start date" ;
     ] ;
+    sh:property [
+        sh:path schema:startDate ;
+        sh:lessThan schema:endDate ;
+        sh:message "Event must end after it starts" ;
+    ] ;
     sh:property [
         sh:path schema:location ;
         sh:minCount 1 ;
@@ -7,8 +7,12 @@ import './styles/index.css';
 
 // CodeMirror imports
 import { EditorView, basicSetup } from 'codemirror';
-import { EditorState } from '@codemirror/state';
+import { EditorState, StateField, StateEffect, Compartment } from '@codemirror/state';
+import { Decoration } from '@codemirror/view';
+import { setDiagnostics } from '@codemirror/lint';
+import { StreamLanguage } from '@codemirror/language';
 import { json } from '@codemirror/lang-json';
+import { turtle } from '@codemirror/legacy-modes/mode/turtle';
 import { oneDark } from '@codemirror/theme-one-dark';
 
 // D3 for graph visualization
@@ -17,6 +21,9 @@ import * as d3 from 'd3';
 // Services
 import jsonldProcessor from './services/JsonLdProcessor.js';
 import shaclValidator from './services/ShaclValidator.js';
+import jsonLdProvenance from './services/JsonLdProvenance.js';
+import dataRepair from './services/DataRepair.js';
+import { RDF_FORMATS, detectRdfFormat } from './services/RdfParser.js';
 import shaclGenerator from './services/ShaclGenerator.js';
 import documentationGenerator, { 
   generateContextDocumentation as generateContextDoc, 
@@ -25,6 +32,8 @@ import documentationGenerator, {
   generateContextDiagramsOnly as generateContextDiagramsDoc
 } from './services/DocumentationGenerator.js';
 import contextFromShacl from './services/ContextFromShacl.js';
+import jsonSchemaConverter from './services/JsonSchemaConverter.js';
+import shapeForm from './services/ShapeForm.js';
 
 // Data
 import { examples, defaultFrame } from './data/examples.js';
@@ -49,6 +58,18 @@ const state = {
   isProcessing: false,
   lastError: null,
   lastValidationReport: null,
+  lastValidationGraph: null,
+  lastInference: null, // N-Quads of the asserted and inferred triples shown in the Inferred view
+  provenance: null, // source locations of the quads generated from the JSON-LD editor
+  provenanceSource: null,
+  shapesGraphs: [], // registered shapes graphs { name, content, iri, imports, enabled }
+  editorShapesEnabled: true, // whether the SHACL editor is validated along with the registered shapes graphs
+  liveValidation: false,
+  shaclFormat: 'turtle', // serialization detected in the SHACL editor
+  liveValidator: null, // incremental validator holding the parsed shapes and the last data graph
+  formModel: null, // fields of the SHACL shapes shown in the Form view
+  formShacl: null, // SHACL text the form model was built from
+  formShapeId: null, // shape whose form is shown
   contextCollapsed: false,
   contextGenerationMode: 'uri',
   customOntologyMode: 'uri'
@@ -63,6 +84,8 @@ document.addEventListener('DOMContentLoaded', () => {
   initOntologySelector();
   initContextEditor();
   initCustomOntologies();
+  initShapesGraphs();
+  initShapeForm();
   initEventListeners();
   initModals();
   loadFromUrl();
@@ -104,6 +127,53 @@ function toggleTheme() {
 // ============================================
 // Editor Initialization
 // ============================================
+
+// Highlighted source span in the JSON-LD editor, set when jumping to a quad's location
+const setSourceHighlight = StateEffect.define();
+
+const sourceHighlightField = StateField.define({
+  create() {
+    return Decoration.none;
+  },
+  update(highlight, tr) {
+    highlight = highlight.map(tr.changes);
+    for (const effect of tr.effects) {
+      if (effect.is(setSourceHighlight)) {
+        highlight = effect.value
+          ? Decoration.set([Decoration.mark({ class: 'cm-source-highlight' }).range(effect.value.start, effect.value.end)])
+          : Decoration.none;
+      }
+    }
+    return highlight;
+  },
+  provide: field => EditorView.decorations.from(field)
+});
+
+/**
+ * Language of the SHACL editor, switched to follow the detected serialization
+ */
+const shaclLanguage = new Compartment();
+
+function shaclLanguageFor(format) {
+  return format === 'jsonld' ? json() : StreamLanguage.define(turtle);
+}
+
+/**
+ * Detect the serialization of the SHACL editor content and switch the editor language to match
+ */
+function updateShaclFormat(content) {
+  const format = detectRdfFormat(content);
+  const indicator = document.getElementById('shacl-format');
+  if (indicator) indicator.textContent = RDF_FORMATS[format].label;
+  
+  if (state.shaclFormat === format) return;
+  const languageChanged = (state.shaclFormat === 'jsonld') !== (format === 'jsonld');
+  state.shaclFormat = format;
+  if (languageChanged && state.shaclEditor) {
+    state.shaclEditor.dispatch({ effects: shaclLanguage.reconfigure(shaclLanguageFor(format)) });
+  }
+}
+
 function initEditors() {
   const themeExtension = state.theme === 'dark' ? oneDark : [];
   
@@ -121,9 +191,11 @@ function initEditors() {
         basicSetup,
         json(),
         themeExtension,
+        sourceHighlightField,
         EditorView.updateListener.of((update) => {
           if (update.docChanged) {
             debounce(processJsonLd, 500)();
+            debounce(runLiveValidation, 800)();
             debounce(() => {
               try {
                 const content = update.state.doc.toString();
@@ -149,15 +221,24 @@ function initEditors() {
   
   const savedShacl = storage.loadShacl();
   const initialShacl = savedShacl || examples[0].shacl;
+  state.shaclFormat = detectRdfFormat(initialShacl);
   
   state.shaclEditor = new EditorView({
     state: EditorState.create({
       doc: initialShacl,
       extensions: [
         basicSetup,
+        shaclLanguage.of(shaclLanguageFor(state.shaclFormat)),
         themeExtension,
         EditorView.updateListener.of((update) => {
           if (update.docChanged) {
+            // Shapes changed, so the cached shapes and results are stale
+            state.liveValidator = null;
+            updateShaclFormat(update.state.doc.toString());
+            if (state.currentView === 'inferred' || state.currentView === 'form') {
+              debounce(processJsonLd, 500)();
+            }
+            debounce(runLiveValidation, 800)();
             debounce(() => {
               storage.saveShacl(update.state.doc.toString());
             }, 1000)();
@@ -171,6 +252,7 @@ function initEditors() {
     }),
     parent: shaclContainer
   });
+  updateShaclFormat(initialShacl);
 
   // Frame Editor
   const frameContainer = document.getElementById('frame-editor');
@@ -227,6 +309,40 @@ function setJsonLdContent(content) {
   });
 }
 
+/**
+ * Get the provenance map of the JSON-LD editor content, rebuilding it when the content changed
+ */
+async function getProvenance() {
+  const content = getJsonLdContent();
+  if (state.provenanceSource !== content) {
+    const result = await jsonLdProvenance.toRdfWithProvenance(content);
+    state.provenance = result.success ? result.data : null;
+    state.provenanceSource = content;
+  }
+  return state.provenance;
+}
+
+/**
+ * Select, scroll to and highlight a source location in the JSON-LD editor
+ */
+function highlightSource(location) {
+  if (!state.jsonldEditor) return;
+  
+  if (!location || location.end > state.jsonldEditor.state.doc.length) {
+    showToast('Source location not found in the JSON-LD input', 'warning');
+    return;
+  }
+  
+  state.jsonldEditor.dispatch({
+    selection: { anchor: location.start },
+    effects: [
+      setSourceHighlight.of({ start: location.start, end: location.end }),
+      EditorView.scrollIntoView(location.start, { y: 'center' })
+    ]
+  });
+  state.jsonldEditor.focus();
+}
+
 function getShaclContent() {
   if (!state.shaclEditor) return '';
   return state.shaclEditor.state.doc.toString();
@@ -424,24 +540,44 @@ function syncContextFromJsonLd() {
   }
 }
 
-function applyContextToJsonLd() {
+/**
+ * Get the context held by the @context editor
+ */
+function getEditorContext() {
+  const contextStr = getContextContent();
+  
+  // Handle both string URLs and objects
   try {
-    const contextStr = getContextContent();
-    let context;
+    const context = JSON.parse(contextStr);
     
-    // Handle both string URLs and objects
-    try {
-      context = JSON.parse(contextStr);
-      
-      // If the parsed context has an @context wrapper, extract the inner content
-      // This handles cases where the context editor contains { "@context": {...} }
-      if (context && typeof context === 'object' && context['@context'] && Object.keys(context).length === 1) {
-        context = context['@context'];
-      }
-    } catch (e) {
-      // Maybe it's a simple URL string
-      context = contextStr.trim().replace(/^["']|["']$/g, '');
+    // If the parsed context has an @context wrapper, extract the inner content
+    // This handles cases where the context editor contains { "@context": {...} }
+    if (context && typeof context === 'object' && context['@context'] && Object.keys(context).length === 1) {
+      return context['@context'];
     }
+    return context;
+  } catch (e) {
+    // Maybe it's a simple URL string
+    return contextStr.trim().replace(/^["']|["']$/g, '');
+  }
+}
+
+/**
+ * Get the context that maps property names to IRIs: the @context editor, or else the JSON-LD input's @context
+ */
+function getMappingContext() {
+  const context = getEditorContext();
+  if (context) return context;
+  try {
+    return JSON.parse(getJsonLdContent())['@context'] || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function applyContextToJsonLd() {
+  try {
+    const context = getEditorContext();
     
     const doc = JSON.parse(getJsonLdContent());
     doc['@context'] = context;
@@ -859,8 +995,22 @@ function initEventListeners() {
   // Validate button
   document.getElementById('validate-btn')?.addEventListener('click', validateWithShacl);
   
+  // Live validation
+  const liveCheckbox = document.getElementById('live-validation-checkbox');
+  if (liveCheckbox) {
+    liveCheckbox.checked = !!storage.loadPreferences().liveValidation;
+    toggleLiveValidation(liveCheckbox.checked);
+    liveCheckbox.addEventListener('change', () => toggleLiveValidation(liveCheckbox.checked));
+  }
+  
   // Generate SHACL
   document.getElementById('generate-shacl-btn')?.addEventListener('click', generateShaclShapes);
+  document.getElementById('generate-corpus-shacl-btn')?.addEventListener('click', generateShaclFromCorpus);
+  document.getElementById('generate-ontology-shacl-btn')?.addEventListener('click', generateShaclFromOntology);
+  
+  // JSON Schema conversion
+  document.getElementById('import-json-schema-btn')?.addEventListener('click', importJsonSchema);
+  document.getElementById('export-json-schema-btn')?.addEventListener('click', exportJsonSchema);
   
   // Generate Context from SHACL
   document.getElementById('generate-context-from-shacl-btn')?.addEventListener('click', generateContextFromShaclShapes);
@@ -964,6 +1114,12 @@ function switchView(view) {
 // JSON-LD Processing
 // ============================================
 async function processJsonLd() {
+  // The form writes the JSON-LD input instead of displaying it
+  if (state.currentView === 'form') {
+    await renderShapeForm();
+    return;
+  }
+  
   const content = getJsonLdContent();
   if (!content.trim()) {
     setStatus('ready', 'Ready');
@@ -1056,6 +1212,19 @@ async function processJsonLd() {
         }
         break;
         
+      case 'inferred':
+        result = await shaclValidator.infer(doc, getShapesSources(), { resolveImport: resolveShapesImport });
+        if (result.success) {
+          state.lastInference = result.data;
+          renderTableOutput('output-inferred', [
+            ...jsonldProcessor.parseNQuads(result.data.asserted),
+            ...jsonldProcessor.parseNQuads(result.data.inferred).map(triple => ({ ...triple, inferred: true }))
+          ]);
+        } else {
+          showError('output-inferred', result.error);
+        }
+        break;
+        
       case 'graph':
         result = await jsonldProcessor.toNQuads(doc);
         if (result.success) {
@@ -1086,7 +1255,15 @@ async function processJsonLd() {
         break;
     }
     
-    setStatus('ready', 'Ready');
+    // Lint literal values, which every view accepts as they are
+    const lint = await jsonldProcessor.validate(doc);
+    if (lint.issues.length > 0) {
+      const [first] = lint.issues;
+      const more = lint.issues.length > 1 ? ` (+${lint.issues.length - 1} more)` : '';
+      setStatus('warning', `Ill-formed literal: ${first.message}${more}`);
+    } else {
+      setStatus('ready', 'Ready');
+    }
   } catch (e) {
     setStatus('error', e.message);
     console.error('Processing error:', e);
@@ -1147,18 +1324,33 @@ function renderTableOutput(elementId, triples) {
   `;
   
   for (const triple of triples) {
+    // Inferred triples have no source in the JSON-LD input
+    const rowAttributes = triple.inferred
+      ? 'class="inferred" title="Inferred by a SHACL rule"'
+      : `class="has-source" title="Show in JSON-LD input" data-subject="${escapeHtml(triple.subject)}" data-predicate="${escapeHtml(triple.predicate)}" data-object="${escapeHtml(triple.object)}"`;
     html += `
-      <tr>
+      <tr ${rowAttributes}>
         <td class="uri">${escapeHtml(triple.subject)}</td>
         <td class="uri">${escapeHtml(triple.predicate)}</td>
         <td class="${triple.object.startsWith('http') ? 'uri' : 'literal'}">${escapeHtml(triple.object)}</td>
-        <td>${escapeHtml(triple.graph)}</td>
+        <td>${escapeHtml(triple.graph)}${triple.inferred ? ' <span class="inferred-badge">inferred</span>' : ''}</td>
       </tr>
     `;
   }
   
   html += '</tbody></table></div>';
   container.innerHTML = html;
+  
+  container.querySelector('tbody').addEventListener('click', async (e) => {
+    const row = e.target.closest('tr.has-source');
+    if (!row) return;
+    const provenance = await getProvenance();
+    highlightSource(jsonLdProvenance.locate(provenance, {
+      subject: row.dataset.subject,
+      predicate: row.dataset.predicate,
+      object: row.dataset.object
+    }));
+  });
 }
 
 function renderGraphOutput(elementId, graphData) {
@@ -1246,7 +1438,16 @@ function renderGraphOutput(elementId, graphData) {
     .call(d3.drag()
       .on('start', dragstarted)
       .on('drag', dragged)
-      .on('end', dragended));
+      .on('end', dragended))
+    .on('click', async (event, d) => {
+      const provenance = await getProvenance();
+      highlightSource(d.type === 'literal'
+        ? jsonLdProvenance.locate(provenance, { subject: d.subject, predicate: d.predicate, object: d.value })
+        : jsonLdProvenance.locate(provenance, { subject: d.id }));
+    });
+  
+  node.append('title')
+    .text('Show in JSON-LD input');
   
   node.append('circle')
     .attr('r', d => d.type === 'literal' ? 6 : 10)
@@ -1312,8 +1513,8 @@ function showError(elementId, message) {
 // SHACL Operations
 // ============================================
 async function validateWithShacl() {
-  const shaclContent = getShaclContent();
-  if (!shaclContent.trim()) {
+  const shapes = getShapesSources();
+  if (typeof shapes === 'string' ? !shapes.trim() : !shapes.some(source => source.enabled !== false)) {
     showToast('Please enter SHACL shapes', 'warning');
     return;
   }
@@ -1328,7 +1529,12 @@ async function validateWithShacl() {
   
   setStatus('processing', 'Validating...');
   
-  const result = await shaclValidator.validate(doc, shaclContent);
+  const result = await shaclValidator.validate(doc, shapes, {
+    language: navigator.language,
+    resolveImport: resolveShapesImport,
+    applyRules: true,
+    suggestFixes: true
+  });
   
   if (!result.success) {
     showToast(`Validation error: ${result.error}`, 'error');
@@ -1338,44 +1544,135 @@ async function validateWithShacl() {
   
   // Store report for downloading
   state.lastValidationReport = result.report;
+  state.lastValidationGraph = result.reportGraph;
+  await getProvenance();
   renderValidationReport(result.report);
   setStatus('ready', 'Ready');
 }
 
 /**
- * Find approximate line number in JSON-LD for a given path or value
+ * CodeMirror lint severities for SHACL result severities
  */
-function findLineInJsonLd(jsonldContent, searchPath, searchValue = null) {
-  const lines = jsonldContent.split('\n');
-  
-  // Extract the property name from path (e.g., "https://schema.org/email" -> "email")
-  let propName = searchPath;
-  if (searchPath.includes('/')) {
-    propName = searchPath.split('/').pop();
-  }
-  if (searchPath.includes('#')) {
-    propName = searchPath.split('#').pop();
-  }
-  
-  // Search for the property in the JSON-LD
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    // Check if this line contains the property name
-    if (line.includes(`"${propName}"`) || line.includes(`"${searchPath}"`)) {
-      // If we have a value to match, check if it's on this or nearby lines
-      if (searchValue) {
-        // Check this line and a few lines after for the value
-        for (let j = i; j < Math.min(i + 5, lines.length); j++) {
-          if (lines[j].includes(searchValue)) {
-            return j + 1; // 1-indexed
-          }
-        }
-      }
-      return i + 1; // 1-indexed
-    }
+const LINT_SEVERITIES = {
+  Violation: 'error',
+  Warning: 'warning',
+  Info: 'info'
+};
+
+function toggleLiveValidation(enabled) {
+  state.liveValidation = enabled;
+  state.liveValidator = null;
+  storage.savePreferences({ ...storage.loadPreferences(), liveValidation: enabled });
+  
+  if (enabled) {
+    runLiveValidation();
+  } else if (state.jsonldEditor) {
+    state.jsonldEditor.dispatch(setDiagnostics(state.jsonldEditor.state, []));
+  }
+}
+
+/**
+ * Re-validate the JSON-LD editor content and show the results as inline diagnostics
+ * Only focus nodes whose triples changed since the previous run are validated again
+ */
+async function runLiveValidation() {
+  if (!state.liveValidation || !state.jsonldEditor) return;
+  
+  const content = getJsonLdContent();
+  const shapes = getShapesSources();
+  let doc;
+  try {
+    doc = JSON.parse(content);
+  } catch (e) {
+    // Syntax errors are already reported while processing the document
+    return;
+  }
+  
+  if (typeof shapes === 'string' ? !shapes.trim() : !shapes.some(source => source.enabled !== false)) {
+    state.jsonldEditor.dispatch(setDiagnostics(state.jsonldEditor.state, []));
+    return;
+  }
+  
+  if (!state.liveValidator) {
+    state.liveValidator = shaclValidator.createIncrementalValidator(shapes, {
+      language: navigator.language,
+      resolveImport: resolveShapesImport,
+      applyRules: true,
+      suggestFixes: true
+    });
+  }
+  const result = await state.liveValidator.validate(doc);
+  const provenance = await getProvenance();
+  
+  // Drop results for content that was edited or a mode that was switched off meanwhile
+  if (!state.liveValidation || getJsonLdContent() !== content) return;
+  
+  if (!result.success) {
+    state.liveValidator = null;
+    setStatus('error', `Live validation failed: ${result.error}`);
+    return;
+  }
+  
+  state.lastValidationReport = result.report;
+  state.lastValidationGraph = result.reportGraph;
+  
+  const diagnostics = [];
+  for (const validationResult of result.report.results) {
+    const location = jsonLdProvenance.locateResult(provenance, validationResult);
+    if (!location) continue;
+    const path = validationResult.path ? `${shortenResultPath(validationResult.path)}: ` : '';
+    diagnostics.push({
+      from: location.start,
+      to: location.end,
+      severity: LINT_SEVERITIES[validationResult.severity] || 'error',
+      source: 'SHACL',
+      message: `${path}${validationResult.message}`,
+      actions: validationResult.fix
+        ? [{ name: 'Fix', apply: () => applyQuickFix(validationResult.fix, false) }]
+        : []
+    });
   }
+  state.jsonldEditor.dispatch(setDiagnostics(state.jsonldEditor.state, diagnostics));
   
-  return null;
+  const { validated } = result.stats;
+  const violationCount = result.report.results.filter(r => r.severity === 'Violation').length;
+  setStatus(result.report.hasViolations ? 'warning' : 'ready',
+    `Live validation: ${violationCount} violation(s), ${validated} focus node(s) re-validated`);
+}
+
+/**
+ * Shorten a validation result path for display
+ * Complex paths keep their Turtle-like form with each IRI reduced to its local name
+ */
+function shortenResultPath(path) {
+  if (!path) return '';
+  
+  const localName = (iri) => iri.split(/[#/]/).pop() || iri;
+  if (!path.includes('<')) {
+    return localName(path);
+  }
+  return path.replace(/<([^>]+)>/g, (match, iri) => localName(iri));
+}
+
+/**
+ * Render the sh:detail results of a validation result as an expandable list
+ */
+function renderNestedResults(details) {
+  const items = details.map(detail => `
+    <li class="violation-nested-item">
+      ${detail.path ? `<code title="${escapeHtml(detail.path)}">${escapeHtml(shortenResultPath(detail.path))}</code>` : ''}
+      <span>${escapeHtml(detail.message)}</span>
+      ${detail.value ? `<code>${escapeHtml(detail.value)}</code>` : ''}
+      ${detail.details ? renderNestedResults(detail.details) : ''}
+    </li>
+  `).join('');
+  
+  return `
+    <details class="violation-nested">
+      <summary>${details.length} nested result(s)</summary>
+      <ul>${items}</ul>
+    </details>
+  `;
 }
 
 function renderValidationReport(report) {
@@ -1386,19 +1683,24 @@ function renderValidationReport(report) {
   
   reportEl.classList.remove('hidden');
   
-  // Get JSON-LD content for line number lookup
-  const jsonldContent = getJsonLdContent();
+  // Source locations for line numbers and jumping to the offending span
+  const locations = report.results.map(result => jsonLdProvenance.locateResult(state.provenance, result));
   
   let html = '';
   
-  if (report.conforms) {
+  // Warnings and infos are listed but do not fail the validation
+  const violationCount = report.results.filter(r => r.severity === 'Violation').length;
+  const otherCount = report.results.length - violationCount;
+  const otherInfo = otherCount > 0 ? ` (${otherCount} warning/info result(s))` : '';
+  
+  if (!report.hasViolations) {
     html = `
       <div class="report-status conforms">
         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
           <polyline points="22 4 12 14.01 9 11.01"/>
         </svg>
-        Data conforms to SHACL shapes
+        ${report.conforms ? 'Data conforms to SHACL shapes' : 'No violations'}${otherInfo}
       </div>
     `;
     showToast('Validation passed!', 'success');
@@ -1410,24 +1712,20 @@ function renderValidationReport(report) {
           <line x1="15" y1="9" x2="9" y2="15"/>
           <line x1="9" y1="9" x2="15" y2="15"/>
         </svg>
-        ${report.results.length} violation(s) found
+        ${violationCount} violation(s) found${otherInfo}
       </div>
-      <div class="violations-list">
     `;
+  }
+  
+  if (report.results.length > 0) {
+    html += '<div class="violations-list">';
     
     for (let i = 0; i < report.results.length; i++) {
       const result = report.results[i];
-      const lineNumber = findLineInJsonLd(jsonldContent, result.path, result.value);
-      const lineInfo = lineNumber ? `Line ${lineNumber}` : '';
+      const lineInfo = locations[i] ? `Line ${locations[i].line}` : '';
       
       // Extract short property name for display
-      let shortPath = result.path;
-      if (result.path.includes('/')) {
-        shortPath = result.path.split('/').pop();
-      }
-      if (result.path.includes('#')) {
-        shortPath = result.path.split('#').pop();
-      }
+      const shortPath = shortenResultPath(result.path);
       
       // Extract short focus node for display
       let shortFocusNode = result.focusNode || '';
@@ -1436,17 +1734,20 @@ function renderValidationReport(report) {
       }
       
       html += `
-        <div class="violation-item" data-index="${i}">
+        <div class="violation-item${locations[i] ? ' has-source' : ''}" data-index="${i}" ${locations[i] ? 'title="Show in JSON-LD input"' : ''}>
           <div class="violation-header">
             <span class="violation-number">#${i + 1}</span>
             ${lineInfo ? `<span class="violation-line">${lineInfo}</span>` : ''}
             <span class="violation-severity ${result.severity.toLowerCase()}">${result.severity}</span>
+            ${result.shapesGraph ? `<span class="violation-graph" title="Shapes graph">${escapeHtml(result.shapesGraph)}</span>` : ''}
           </div>
           <div class="violation-details">
-            <div class="violation-path">
-              <span class="violation-label">Property:</span>
-              <code title="${escapeHtml(result.path)}">${escapeHtml(shortPath)}</code>
-            </div>
+            ${result.path ? `
+              <div class="violation-path">
+                <span class="violation-label">Property:</span>
+                <code title="${escapeHtml(result.path)}">${escapeHtml(shortPath)}</code>
+              </div>
+            ` : ''}
             ${result.focusNode ? `
               <div class="violation-focus">
                 <span class="violation-label">Focus Node:</span>
@@ -1463,17 +1764,68 @@ function renderValidationReport(report) {
                 <code>${escapeHtml(result.value)}</code>
               </div>
             ` : ''}
+            ${result.comparedPath ? `
+              <div class="violation-path">
+                <span class="violation-label">Compared:</span>
+                <code title="${escapeHtml(result.comparedPath)}">${escapeHtml(shortenResultPath(result.comparedPath))}</code>
+                ${result.comparedValue ? `<code>${escapeHtml(result.comparedValue)}</code>` : ''}
+              </div>
+            ` : ''}
+            ${result.details ? renderNestedResults(result.details) : ''}
+            ${result.fix ? `
+              <button class="quick-fix-btn" data-index="${i}" title="Apply this change to the JSON-LD input">
+                Fix: ${escapeHtml(result.fix.description)}
+              </button>
+            ` : ''}
           </div>
         </div>
       `;
     }
     
     html += '</div>';
-    
-    showToast(`Validation failed: ${report.results.length} violation(s) found. See details below.`, 'error');
+  }
+  
+  if (report.hasViolations) {
+    showToast(`Validation failed: ${violationCount} violation(s) found. See details below.`, 'error');
   }
   
   contentEl.innerHTML = html;
+  
+  contentEl.querySelectorAll('.violation-item.has-source').forEach(item => {
+    item.addEventListener('click', async (e) => {
+      // Let the nested results toggle without jumping
+      if (e.target.closest('details')) return;
+      // Locate again in case the input was edited since validating
+      const provenance = await getProvenance();
+      highlightSource(jsonLdProvenance.locateResult(provenance, report.results[Number(item.dataset.index)]));
+    });
+  });
+  
+  contentEl.querySelectorAll('.quick-fix-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      applyQuickFix(report.results[Number(button.dataset.index)].fix);
+    });
+  });
+}
+
+/**
+ * Apply the fix suggested by a validation result to the JSON-LD input
+ * @param {object} fix - The `fix` of a validation result
+ * @param {boolean} revalidate - Validate again to refresh the report; live validation refreshes itself
+ */
+async function applyQuickFix(fix, revalidate = true) {
+  const result = await dataRepair.applyFix(getJsonLdContent(), fix);
+  if (!result.success) {
+    showToast(`Cannot apply fix: ${result.error}`, 'error');
+    return;
+  }
+  
+  setJsonLdContent(result.data);
+  showToast(fix.description, 'success');
+  if (revalidate) {
+    await validateWithShacl();
+  }
 }
 
 async function generateShaclShapes() {
@@ -1485,9 +1837,16 @@ async function generateShaclShapes() {
     return;
   }
   
+  // An array of documents with their own contexts is a corpus
+  if (Array.isArray(doc) && doc.length > 0 && doc.every(item => item && typeof item === 'object' && item['@context'])) {
+    await learnShaclShapes(doc);
+    return;
+  }
+  
   setStatus('processing', 'Generating SHACL...');
   
-  const result = await shaclGenerator.generateFromJsonLd(doc);
+  const closed = document.getElementById('closed-shapes-checkbox')?.checked || false;
+  const result = await shaclGenerator.generateFromJsonLd(doc, { closed });
   
   if (result.success) {
     setShaclContent(result.data);
@@ -1499,9 +1858,132 @@ async function generateShaclShapes() {
   setStatus('ready', 'Ready');
 }
 
+async function generateShaclFromCorpus() {
+  let files;
+  try {
+    files = await storage.importFiles('.json,.jsonld');
+  } catch (e) {
+    showToast('Failed to load files', 'error');
+    return;
+  }
+  
+  const documents = [];
+  for (const file of files) {
+    try {
+      documents.push(...[].concat(JSON.parse(file.content)));
+    } catch (e) {
+      showToast(`Invalid JSON in ${file.name}`, 'error');
+      return;
+    }
+  }
+  await learnShaclShapes(documents);
+}
+
+async function generateShaclFromOntology() {
+  let file;
+  try {
+    file = await storage.importFile(SHACL_FILE_TYPES);
+  } catch (e) {
+    showToast('Failed to load file', 'error');
+    return;
+  }
+  
+  setStatus('processing', 'Generating SHACL...');
+  
+  const closed = document.getElementById('closed-shapes-checkbox')?.checked || false;
+  const result = await shaclGenerator.generateFromOntology(file.content, { closed });
+  
+  if (result.success) {
+    setShaclContent(result.data);
+    showToast(`SHACL shapes generated from ${file.name}`, 'success');
+  } else {
+    showToast(`Generation failed: ${result.error}`, 'error');
+  }
+  
+  setStatus('ready', 'Ready');
+}
+
+/**
+ * Convert a JSON Schema file to SHACL shapes, mapping property names with the current context
+ */
+async function importJsonSchema() {
+  let file;
+  try {
+    file = await storage.importFile('.json,.schema.json');
+  } catch (e) {
+    showToast('Failed to load file', 'error');
+    return;
+  }
+  
+  setStatus('processing', 'Converting JSON Schema...');
+  
+  const result = await jsonSchemaConverter.jsonSchemaToShacl(file.content, getMappingContext());
+  
+  if (result.success) {
+    setShaclContent(result.data);
+    showToast(`SHACL shapes converted from ${file.name}`, 'success');
+  } else {
+    showToast(`Conversion failed: ${result.error}`, 'error');
+  }
+  
+  setStatus('ready', 'Ready');
+}
+
+/**
+ * Convert the SHACL shapes to a JSON Schema and download it
+ */
+async function exportJsonSchema() {
+  const shaclContent = getShaclContent();
+  if (!shaclContent.trim()) {
+    showToast('Please enter SHACL shapes first', 'warning');
+    return;
+  }
+  
+  setStatus('processing', 'Converting to JSON Schema...');
+  
+  const result = await jsonSchemaConverter.shaclToJsonSchema(shaclContent, getMappingContext());
+  
+  if (result.success) {
+    storage.downloadFile(JSON.stringify(result.data, null, 2), 'shapes.schema.json', 'application/schema+json');
+    showToast('JSON Schema downloaded', 'success');
+  } else {
+    showToast(`Conversion failed: ${result.error}`, 'error');
+  }
+  
+  setStatus('ready', 'Ready');
+}
+
+/**
+ * Learn shapes from a corpus of JSON-LD documents with the thresholds set in the SHACL panel
+ */
+async function learnShaclShapes(documents) {
+  setStatus('processing', 'Learning SHACL...');
+  
+  const closed = document.getElementById('closed-shapes-checkbox')?.checked || false;
+  const percent = Number(document.getElementById('required-threshold-input')?.value) || 95;
+  const result = await shaclGenerator.generateFromCorpus(documents, {
+    closed,
+    requiredThreshold: Math.min(Math.max(percent, 1), 100) / 100
+  });
+  
+  if (result.success) {
+    setShaclContent(result.data);
+    showToast(`SHACL shapes learned from ${documents.length} documents`, 'success');
+  } else {
+    showToast(`Generation failed: ${result.error}`, 'error');
+  }
+  
+  setStatus('ready', 'Ready');
+}
+
+/**
+ * File types accepted for SHACL shapes, in any serialization the parser detects
+ */
+const SHACL_FILE_TYPES = '.ttl,.shacl,.txt,.nt,.trig,.jsonld,.json';
+
 async function loadShaclFile() {
   try {
-    const file = await storage.importFile('.ttl,.shacl,.txt');
+    const file = await storage.importFile(SHACL_FILE_TYPES);
     setShaclContent(file.content);
     showToast(`Loaded ${file.name}`, 'success');
   } catch (e) {
@@ -1509,6 +1991,418 @@ async function loadShaclFile() {
   }
 }
 
+// ============================================
+// Shape Form
+// ============================================
+/**
+ * Nesting depth up to which required nested shapes get an initial entry, so that shapes
+ * requiring themselves do not nest forever
+ */
+const MAX_FORM_DEPTH = 4;
+
+/**
+ * Input types of the form widgets that use a single input
+ */
+const FORM_INPUT_TYPES = {
+  text: 'text',
+  integer: 'number',
+  number: 'number',
+  date: 'date',
+  datetime: 'datetime-local',
+  time: 'time',
+  iri: 'url'
+};
+
+function initShapeForm() {
+  const container = document.getElementById('output-form');
+  if (!container) return;
+  
+  container.addEventListener('change', (e) => {
+    if (e.target.id === 'form-shape-select') {
+      state.formShapeId = e.target.value;
+      renderShapeFormBody();
+    }
+  });
+  
+  container.addEventListener('click', (e) => {
+    const addButton = e.target.closest('.form-add-btn');
+    const removeButton = e.target.closest('.form-remove-btn');
+    
+    if (addButton) {
+      const fieldElement = addButton.closest('.form-field');
+      const field = getFormField(fieldElement);
+      const entries = fieldElement.querySelector('.form-entries');
+      if (!field) return;
+      if (field.maxCount !== null && getOwnEntries(fieldElement).length >= field.maxCount) {
+        showToast(`${field.label} allows at most ${field.maxCount} value${field.maxCount === 1 ? '' : 's'}`, 'warning');
+        return;
+      }
+      const depth = Number(fieldElement.closest('.form-node').dataset.depth);
+      entries.insertAdjacentHTML('beforeend', renderFormEntry(field, depth));
+      debounce(writeShapeForm, 400)();
+    } else if (removeButton) {
+      removeButton.closest('.form-entry').remove();
+      debounce(writeShapeForm, 400)();
+    }
+  });
+  
+  container.addEventListener('input', (e) => {
+    if (e.target.closest('#shape-form-body')) {
+      debounce(writeShapeForm, 400)();
+    }
+  });
+}
+
+/**
+ * Render the form of the shapes in the SHACL editor, unless the shapes did not change
+ */
+async function renderShapeForm() {
+  const container = document.getElementById('output-form');
+  if (!container) return;
+  
+  const shacl = getShaclContent();
+  if (state.formModel && state.formShacl === shacl) return;
+  state.formShacl = shacl;
+  
+  const result = await shapeForm.buildFormModel(shacl);
+  if (!result.success) {
+    state.formModel = null;
+    showError('output-form', result.error);
+    return;
+  }
+  state.formModel = result.data;
+  
+  const shapes = result.data.shapes.filter(shape => shape.selectable);
+  if (shapes.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="3" y="3" width="18" height="18" rx="2"/>
+          <line x1="7" y1="8" x2="17" y2="8"/>
+          <line x1="7" y1="12" x2="17" y2="12"/>
+          <line x1="7" y1="16" x2="12" y2="16"/>
+        </svg>
+        <p>No node shapes in the SHACL editor</p>
+      </div>
+    `;
+    return;
+  }
+  if (!shapes.some(shape => shape.id === state.formShapeId)) {
+    state.formShapeId = shapes[0].id;
+  }
+  
+  container.innerHTML = `
+    <div class="shape-form">
+      <div class="shape-form-header">
+        <label>
+          Shape
+          <select id="form-shape-select">
+            ${shapes.map(shape => `<option value="${escapeHtml(shape.id)}" ${shape.id === state.formShapeId ? 'selected' : ''}>${escapeHtml(shape.label)}</option>`).join('')}
+          </select>
+        </label>
+        <span class="shape-form-hint">Changes are written to the JSON-LD input</span>
+      </div>
+      <form id="shape-form-body" novalidate></form>
+    </div>
+  `;
+  renderShapeFormBody();
+}
+
+function renderShapeFormBody() {
+  const form = document.getElementById('shape-form-body');
+  const shape = state.formModel?.shapes.find(item => item.id === state.formShapeId);
+  if (!form || !shape) return;
+  
+  form.innerHTML = renderFormNode(shape, 0);
+}
+
+/**
+ * Render the fields of a node shape, grouped as in the model
+ */
+function renderFormNode(shape, depth) {
+  let html = `
+    <div class="form-node" data-shape="${escapeHtml(shape.id)}" data-depth="${depth}">
+      <div class="form-field">
+        <label>Identifier (IRI)</label>
+        <div class="form-entry">
+          <input type="url" class="form-node-id" placeholder="Optional, a blank node when empty">
+        </div>
+      </div>
+  `;
+  
+  for (const group of shape.groups) {
+    const fields = group.fields.map(field => renderFormField(shape, field, depth)).join('');
+    html += group.label
+      ? `<fieldset class="form-group"><legend>${escapeHtml(group.label)}</legend>${fields}</fieldset>`
+      : fields;
+  }
+  
+  return `${html}</div>`;
+}
+
+/**
+ * Render a field with its initial entries: one input, or the required number of nested groups
+ */
+function renderFormField(shape, field, depth) {
+  const initial = field.widget === 'nested'
+    ? (depth < MAX_FORM_DEPTH ? field.minCount : 0)
+    : Math.max(field.minCount, 1);
+  const entries = Array.from({ length: initial }, () => renderFormEntry(field, depth)).join('');
+  const canAdd = field.repeatable || field.widget === 'nested';
+  
+  return `
+    <div class="form-field" data-shape="${escapeHtml(shape.id)}" data-path="${escapeHtml(field.path)}">
+      <label title="${escapeHtml(field.path)}">${escapeHtml(field.label)}${field.minCount > 0 ? ' <span class="form-required">*</span>' : ''}</label>
+      ${field.description ? `<p class="form-description">${escapeHtml(field.description)}</p>` : ''}
+      <div class="form-entries">${entries}</div>
+      ${canAdd ? `<button type="button" class="secondary-btn form-add-btn">+ Add ${escapeHtml(field.label)}</button>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render one value of a field with the widget chosen for it
+ */
+function renderFormEntry(field, depth) {
+  let control;
+  
+  if (field.widget === 'nested') {
+    const nested = state.formModel.shapes.find(shape => shape.id === field.shape);
+    control = renderFormNode(nested, depth + 1);
+  } else if (field.widget === 'select') {
+    control = `
+      <select class="form-input">
+        <option value=""></option>
+        ${field.options.map((option, index) => `<option value="${index}">${escapeHtml(option.label)}</option>`).join('')}
+      </select>
+    `;
+  } else if (field.widget === 'langString') {
+    control = `
+      <input type="text" class="form-input">
+      <input type="text" class="form-language" placeholder="lang" size="5">
+    `;
+  } else {
+    const attributes = [
+      `type="${FORM_INPUT_TYPES[field.widget] || 'text'}"`,
+      field.widget === 'integer' ? 'step="1"' : '',
+      field.widget === 'number' ? 'step="any"' : '',
+      field.widget === 'datetime' || field.widget === 'time' ? 'step="1"' : '',
+      field.pattern ? `pattern="${escapeHtml(field.pattern)}"` : '',
+      field.minLength !== undefined ? `minlength="${field.minLength}"` : '',
+      field.maxLength !== undefined ? `maxlength="${field.maxLength}"` : '',
+      field.min !== undefined ? `min="${field.min}"` : '',
+      field.max !== undefined ? `max="${field.max}"` : '',
+      field.minCount > 0 ? 'required' : ''
+    ].filter(Boolean).join(' ');
+    control = `<input ${attributes} class="form-input">`;
+  }
+  
+  const removable = field.repeatable || field.widget === 'nested';
+  return `
+    <div class="form-entry">
+      ${control}
+      ${removable ? '<button type="button" class="icon-btn form-remove-btn" title="Remove">×</button>' : ''}
+    </div>
+  `;
+}
+
+/**
+ * Get the model of a rendered field
+ */
+function getFormField(fieldElement) {
+  const shape = state.formModel?.shapes.find(item => item.id === fieldElement.dataset.shape);
+  return shape?.groups.flatMap(group => group.fields).find(field => field.path === fieldElement.dataset.path);
+}
+
+/**
+ * Get the entries of a field, leaving out those of nested fields
+ */
+function getOwnEntries(fieldElement) {
+  return Array.from(fieldElement.querySelectorAll('.form-entry'))
+    .filter(entry => entry.closest('.form-field') === fieldElement);
+}
+
+/**
+ * Read the values of a rendered node shape, in the form ShapeForm.buildNode expects
+ */
+function collectFormNode(nodeElement) {
+  const own = (element) => element.closest('.form-node') === nodeElement;
+  const values = {
+    id: Array.from(nodeElement.querySelectorAll('.form-node-id')).find(own)?.value || '',
+    fields: {}
+  };
+  
+  for (const fieldElement of Array.from(nodeElement.querySelectorAll('.form-field[data-path]')).filter(own)) {
+    const field = getFormField(fieldElement);
+    if (!field) continue;
+    values.fields[field.path] = getOwnEntries(fieldElement).map(entry => {
+      if (field.widget === 'nested') return collectFormNode(entry.querySelector('.form-node'));
+      if (field.widget === 'langString') {
+        return { value: entry.querySelector('.form-input').value, language: entry.querySelector('.form-language').value };
+      }
+      return entry.querySelector('.form-input').value;
+    });
+  }
+  return values;
+}
+
+/**
+ * Write the instance described by the form into the JSON-LD editor
+ */
+async function writeShapeForm() {
+  const root = document.querySelector('#shape-form-body > .form-node');
+  if (!root || !state.formModel) return;
+  
+  const result = await shapeForm.toJsonLd(state.formShacl, state.formModel, root.dataset.shape, collectFormNode(root));
+  if (result.success) {
+    setJsonLdContent(result.data);
+  } else {
+    showToast(`Cannot build JSON-LD: ${result.error}`, 'error');
+  }
+}
+
+// ============================================
+// Shapes Graphs
+// ============================================
+/**
+ * Name of the shapes graph held by the SHACL editor
+ */
+const EDITOR_SHAPES_GRAPH = 'editor';
+
+function initShapesGraphs() {
+  state.shapesGraphs = storage.loadShapesGraphs();
+  state.editorShapesEnabled = storage.loadPreferences().editorShapes !== false;
+  renderShapesGraphsList();
+  
+  document.getElementById('register-shapes-graph-btn')?.addEventListener('click', () => {
+    registerShapesGraph(getShaclContent());
+  });
+  document.getElementById('load-shapes-graph-btn')?.addEventListener('click', async () => {
+    try {
+      const file = await storage.importFile(SHACL_FILE_TYPES);
+      registerShapesGraph(file.content, file.name.replace(/\.[^.]+$/, ''));
+    } catch (e) {
+      showToast('Failed to load file', 'error');
+    }
+  });
+  
+  const list = document.getElementById('shapes-graphs-list');
+  list?.addEventListener('change', (e) => {
+    if (e.target.closest('[data-editor]')) {
+      state.editorShapesEnabled = e.target.checked;
+      storage.savePreferences({ ...storage.loadPreferences(), editorShapes: e.target.checked });
+      shapesGraphsChanged();
+      return;
+    }
+    const graph = state.shapesGraphs[Number(e.target.closest('[data-index]')?.dataset.index)];
+    if (!graph) return;
+    graph.enabled = e.target.checked;
+    shapesGraphsChanged();
+  });
+  list?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-index] button');
+    if (!button) return;
+    const [removed] = state.shapesGraphs.splice(Number(button.closest('[data-index]').dataset.index), 1);
+    shapesGraphsChanged();
+    showToast(`Removed shapes graph: ${removed.name}`, 'info');
+  });
+}
+
+/**
+ * Register shapes in any detected RDF format as a named shapes graph, named after its
+ * owl:Ontology when it has one
+ */
+async function registerShapesGraph(content, fallbackName = 'shapes') {
+  if (!content.trim()) {
+    showToast('Please enter SHACL shapes first', 'warning');
+    return;
+  }
+  
+  const result = await shaclValidator.describeShapesGraph(content);
+  if (!result.success) {
+    showToast(`Invalid shapes graph: ${result.error}`, 'error');
+    return;
+  }
+  
+  const { iri, imports, shapes } = result.data;
+  const baseName = iri ? iri.split(/[#/]/).filter(Boolean).pop() : fallbackName;
+  let name = baseName;
+  for (let i = 2; state.shapesGraphs.some(graph => graph.name === name) || name === EDITOR_SHAPES_GRAPH; i++) {
+    name = `${baseName}-${i}`;
+  }
+  
+  state.shapesGraphs.push({ name, content, iri, imports, enabled: true });
+  shapesGraphsChanged();
+  showToast(`Registered shapes graph ${name} (${shapes} shape(s))`, 'success');
+}
+
+function shapesGraphsChanged() {
+  storage.saveShapesGraphs(state.shapesGraphs);
+  renderShapesGraphsList();
+  state.liveValidator = null;
+  runLiveValidation();
+}
+
+function renderShapesGraphsList() {
+  const container = document.getElementById('shapes-graphs-list');
+  if (!container) return;
+  
+  if (state.shapesGraphs.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const editorItem = `
+    <div class="shapes-graph-item" data-editor title="Shapes in the SHACL editor">
+      <input type="checkbox" ${state.editorShapesEnabled ? 'checked' : ''} title="Validate against the SHACL editor">
+      <span class="shapes-graph-name">${EDITOR_SHAPES_GRAPH}</span>
+    </div>
+  `;
+  container.innerHTML = editorItem + state.shapesGraphs.map((graph, i) => `
+    <div class="shapes-graph-item" data-index="${i}" title="${escapeHtml(graph.iri || graph.name)}">
+      <input type="checkbox" ${graph.enabled ? 'checked' : ''} title="Validate against this shapes graph">
+      <span class="shapes-graph-name">${escapeHtml(graph.name)}</span>
+      ${graph.imports?.length ? `<span class="shapes-graph-meta">imports ${graph.imports.length}</span>` : ''}
+      <button title="Remove">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="18" y1="6" x2="6" y2="18"/>
+          <line x1="6" y1="6" x2="18" y2="18"/>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Get the shapes to validate against: the SHACL editor alone, or the editor and the registered
+ * shapes graphs, each of which can be disabled (disabled ones are only used to resolve owl:imports);
+ * editor shapes that were registered unchanged are loaded once, under the registered name
+ */
+function getShapesSources() {
+  const editorContent = getShaclContent();
+  if (state.shapesGraphs.length === 0) {
+    return editorContent;
+  }
+  
+  const sources = state.shapesGraphs.map(({ name, content, iri, enabled }) => ({ name, content, iri, enabled }));
+  if (editorContent.trim()) {
+    sources.unshift({ name: EDITOR_SHAPES_GRAPH, content: editorContent, enabled: state.editorShapesEnabled });
+  }
+  return sources;
+}
+
+/**
+ * Fetch a shapes graph imported with owl:imports that is not registered
+ */
+async function resolveShapesImport(iri) {
+  try {
+    const response = await fetch(iri, { headers: { Accept: 'text/turtle, application/trig;q=0.9, application/n-triples;q=0.9, application/ld+json;q=0.8' } });
+    return response.ok ? await response.text() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
 // ============================================
 // Context from SHACL Generation
 // ============================================
@@ -1896,11 +2790,25 @@ function clearJsonLd() {
   processJsonLd();
 }
 
+/**
+ * Get the text of the active output view, as N-Quads for the Inferred table and as the JSON-LD
+ * input for the Form
+ */
+function getOutputText(activeView) {
+  if (state.currentView === 'inferred' && state.lastInference) {
+    return state.lastInference.asserted + state.lastInference.inferred;
+  }
+  if (state.currentView === 'form') {
+    return getJsonLdContent();
+  }
+  return activeView.textContent || '';
+}
+
 async function copyOutput() {
   const activeView = document.querySelector('.output-view.active');
   if (!activeView) return;
   
-  const text = activeView.textContent || '';
+  const text = getOutputText(activeView);
   const success = await share.copyToClipboard(text);
   showToast(success ? 'Copied to clipboard' : 'Failed to copy', success ? 'success' : 'error');
 }
@@ -1909,9 +2817,9 @@ function downloadOutput() {
   const activeView = document.querySelector('.output-view.active');
   if (!activeView) return;
   
-  const text = activeView.textContent || '';
+  const text = getOutputText(activeView);
   let ext = 'json';
-  if (state.currentView === 'nquads' || state.currentView === 'canonized') {
+  if (state.currentView === 'nquads' || state.currentView === 'canonized' || state.currentView === 'inferred') {
     ext = 'nq';
   } else if (state.currentView === 'turtle') {
     ext = 'ttl';
@@ -1941,31 +2849,20 @@ async function shareDocument() {
   }
 }
 
-function downloadValidationReport() {
-  if (!state.lastValidationReport) {
+async function downloadValidationReport() {
+  if (!state.lastValidationGraph) {
     showToast('No validation report available. Run validation first.', 'warning');
     return;
   }
   
-  // Get JSON-LD content for line number lookup
-  const jsonldContent = getJsonLdContent();
-  
-  // Enrich the report with line numbers
-  const enrichedReport = {
-    ...state.lastValidationReport,
-    results: state.lastValidationReport.results.map((result, index) => {
-      const lineNumber = findLineInJsonLd(jsonldContent, result.path, result.value);
-      return {
-        ...result,
-        lineNumber: lineNumber || null,
-        index: index + 1
-      };
-    }),
-    generatedAt: new Date().toISOString()
-  };
+  // Export the W3C sh:ValidationReport graph so other SHACL tools can consume it
+  const result = await shaclValidator.serializeReport(state.lastValidationGraph, 'jsonld');
+  if (!result.success) {
+    showToast(`Failed to export report: ${result.error}`, 'error');
+    return;
+  }
   
-  const reportJson = JSON.stringify(enrichedReport, null, 2);
-  storage.downloadFile(reportJson, 'shacl-validation-report.json');
+  storage.downloadFile(result.data, 'shacl-validation-report.jsonld', 'application/ld+json');
   showToast('Validation report downloaded', 'success');
 }
 
@@ -2094,6 +2991,10 @@ function renderHelpContent() {
         <li>Write SHACL shapes in Turtle syntax</li>
         <li>Click "Validate" to check your JSON-LD against the shapes</li>
         <li>Click "Generate from JSON-LD" to auto-generate shapes from your document</li>
+        <li>Click "From Ontology" to turn the classes and properties of an OWL/RDFS ontology into shapes</li>
+        <li>Use "Import JSON Schema" and "Export JSON Schema" to convert between JSON Schema and SHACL; property names are mapped with the @context editor (or the document's @context)</li>
+        <li>Open the Form view to fill in a form built from the SHACL shapes; the instance is written to the JSON-LD input</li>
+        <li>Click "Learn from Corpus" to learn cardinalities, datatypes, ranges and value sets from several JSON-LD files</li>
       </ul>
     </div>
     
@@ -4,7 +4,9 @@
  * Following the algorithm from SHACL-play
  */
 
-import { Parser, Store, DataFactory } from 'n3';
+import { DataFactory } from 'n3';
+import { parseRdf } from './RdfParser.js';
+import { getValue, getValues, getObjects, getLocalName } from '../utils/rdfStore.js';
 
 const { namedNode } = DataFactory;
 
@@ -63,63 +65,11 @@ const XSD_DATATYPES = {
 };
 
 /**
- * Parse SHACL Turtle into an N3 store
+ * Parse SHACL shapes (Turtle, N-Triples, TriG or JSON-LD) into an N3 store
  */
 async function parseShacl(shacl) {
-  return new Promise((resolve, reject) => {
-    const store = new Store();
-    const parser = new Parser({ format: 'text/turtle' });
-    const prefixes = {};
-    
-    parser.parse(shacl, (error, quad, parsedPrefixes) => {
-      if (error) {
-        reject(error);
-      } else if (quad) {
-        store.addQuad(quad);
-      } else {
-        // Parsing complete, capture prefixes
-        if (parsedPrefixes) {
-          Object.assign(prefixes, parsedPrefixes);
-        }
-        resolve({ store, prefixes });
-      }
-    });
-  });
-}
-
-/**
- * Get a single value from store for a subject and predicate
- */
-function getValue(store, subject, predicate) {
-  const quads = store.getQuads(subject, namedNode(predicate), null, null);
-  return quads.length > 0 ? quads[0].object.value : null;
-}
-
-/**
- * Get all values from store for a subject and predicate
- */
-function getValues(store, subject, predicate) {
-  return store.getQuads(subject, namedNode(predicate), null, null)
-    .map(q => q.object.value);
-}
-
-/**
- * Get all objects (as nodes) for a subject and predicate
- */
-function getObjects(store, subject, predicate) {
-  return store.getQuads(subject, namedNode(predicate), null, null)
-    .map(q => q.object);
-}
-
-/**
- * Get local name from URI
- */
-function getLocalName(uri) {
-  if (!uri) return '';
-  const hashIndex = uri.lastIndexOf('#');
-  const slashIndex = uri.lastIndexOf('/');
-  const index = Math.max(hashIndex, slashIndex);
-  return index >= 0 ? uri.slice(index + 1) : uri;
+  const { store, prefixes } = await parseRdf(shacl);
+  return { store, prefixes };
 }
 
 /**
@@ -167,7 +117,7 @@ function extractBaseFromPattern(pattern) {
 
 /**
  * Generate JSON-LD context from SHACL shapes
- * @param {string} shaclShapes - SHACL shapes in Turtle format
+ * @param {string} shaclShapes - SHACL shapes in Turtle, N-Triples, TriG or JSON-LD
  * @param {object} options - Generation options
  * @returns {Promise<{success: boolean, data?: object, error?: string}>}
  */
@@ -0,0 +1,139 @@
+/**
+ * Data Repair Service
+ * Applies the fixes suggested by SHACL validation results to JSON-LD source text
+ */
+
+import jsonld from 'jsonld';
+import { parseWithPointers } from '../utils/jsonSourceMap.js';
+import { toRdfWithProvenance, locate } from './JsonLdProvenance.js';
+
+/**
+ * Split a JSON pointer into its unescaped segments
+ */
+function parsePointer(pointer) {
+  return pointer === '' ? [] : pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Get the value a list of pointer segments leads to
+ */
+function resolveSegments(data, segments) {
+  return segments.reduce((value, segment) => value[Array.isArray(value) ? Number(segment) : segment], data);
+}
+
+/**
+ * Collect the contexts in scope at a node object, from the document root down to the node
+ * Type-scoped and property-scoped contexts are not taken into account.
+ */
+function collectContexts(data, segments) {
+  const contexts = [];
+  let value = data;
+  for (let i = 0; i <= segments.length; i++) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value['@context']) {
+      contexts.push(...[].concat(value['@context']));
+    }
+    if (i < segments.length) value = value[Array.isArray(value) ? Number(segments[i]) : segments[i]];
+  }
+  return contexts;
+}
+
+/**
+ * Compact a property value with the contexts in scope
+ * @returns {Promise<{key: string, value: *}>} The term or compact IRI chosen for the property and the compacted value
+ */
+async function compactValue(contexts, path, value) {
+  const compacted = await jsonld.compact({ [path]: [value] }, contexts.length > 0 ? contexts : {});
+  const key = Object.keys(compacted).find(k => k !== '@context');
+  return { key, value: compacted[key] };
+}
+
+/**
+ * Get the lexical value of an expanded JSON-LD value as the provenance indexes key it
+ */
+function getTermValue(value) {
+  return '@id' in value ? value['@id'] : value['@value'];
+}
+
+/**
+ * Apply a fix suggested by a validation result to JSON-LD text
+ * Values to remove are found through the source locations of their triples; values to add are
+ * compacted with the contexts in scope at the focus node. A single replaced value whose new form
+ * uses the same property key is replaced in place. The result is formatted with two spaces.
+ * @param {string} text - JSON-LD document text
+ * @param {{focusNode: string, path: string, add?: Array<object>, remove?: Array<object>}} fix -
+ *   The `fix` of a validation result
+ * @returns {Promise<{success: boolean, data?: string, error?: string}>} The repaired document text
+ */
+export async function applyFix(text, fix) {
+  try {
+    const provenance = await toRdfWithProvenance(text);
+    if (!provenance.success) {
+      throw new Error(provenance.error);
+    }
+    const { data, pointers } = parseWithPointers(text);
+    
+    const node = locate(provenance.data, { subject: fix.focusNode });
+    if (!node) {
+      throw new Error(`Focus node ${fix.focusNode} is not described in the document`);
+    }
+    const nodeSegments = parsePointer(node.pointer);
+    
+    // Resolve every location before editing, since removing array items shifts the pointers
+    const removals = (fix.remove || []).map(value => {
+      const location = locate(provenance.data, { subject: fix.focusNode, predicate: fix.path, object: getTermValue(value) });
+      // Locations fall back to the property or the node when the value itself is not found
+      if (!location || pointers.get(location.pointer)?.value.start !== location.start || location.pointer === node.pointer) {
+        throw new Error(`Value ${getTermValue(value)} of ${fix.path} is not in the document`);
+      }
+      return parsePointer(location.pointer);
+    });
+    const contexts = collectContexts(data, nodeSegments);
+    const additions = [];
+    for (const value of fix.add || []) {
+      additions.push(await compactValue(contexts, fix.path, value));
+    }
+    
+    const nodeObject = resolveSegments(data, nodeSegments);
+    
+    if (removals.length === 1 && additions.length === 1 && removals[0][nodeSegments.length] === additions[0].key) {
+      const segments = removals[0];
+      const parent = resolveSegments(data, segments.slice(0, -1));
+      const { value } = additions[0];
+      const last = segments[segments.length - 1];
+      parent[Array.isArray(parent) ? Number(last) : last] = Array.isArray(parent) && Array.isArray(value) ? value[0] : value;
+      return { success: true, data: JSON.stringify(data, null, 2) };
+    }
+    
+    // Later array items first, so that earlier indexes stay valid
+    const ordered = [...removals].sort((a, b) => b.join('/').localeCompare(a.join('/'), undefined, { numeric: true }));
+    for (const segments of ordered) {
+      const parent = resolveSegments(data, segments.slice(0, -1));
+      const last = segments[segments.length - 1];
+      if (Array.isArray(parent)) {
+        parent.splice(Number(last), 1);
+        // Drop a property left without values
+        if (parent.length === 0 && segments.length === nodeSegments.length + 2) {
+          delete nodeObject[segments[nodeSegments.length]];
+        }
+      } else {
+        delete parent[last];
+      }
+    }
+    
+    for (const { key, value } of additions) {
+      if (key in nodeObject) {
+        nodeObject[key] = [...[].concat(nodeObject[key]), ...[].concat(value)];
+      } else {
+        nodeObject[key] = value;
+      }
+    }
+    
+    return { success: true, data: JSON.stringify(data, null, 2) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  applyFix
+};
@@ -4,6 +4,7 @@
  */
 
 import jsonld from 'jsonld';
+import { isCheckedDatatype, checkLexicalForm } from '../utils/xsdLexical.js';
 
 // Context registry for internal URNs - Initialize from localStorage
 let contextRegistry = new Map();
@@ -526,7 +527,9 @@ export function extractGraphData(triples) {
           id: literalId,
           label: triple.object.length > 30 ? triple.object.slice(0, 30) + '...' : triple.object,
           type: 'literal',
-          value: triple.object
+          value: triple.object,
+          subject: triple.subject,
+          predicate: triple.predicate
         });
       }
       
@@ -574,15 +577,51 @@ function shortenUri(uri) {
 }
 
 /**
- * Validate JSON-LD syntax
+ * Find literals whose lexical form is ill-formed for their XSD datatype
+ * e.g. "abc" typed xsd:integer or "2024-13-45" typed xsd:date
+ * @param {object} doc - JSON-LD document
+ * @returns {Promise<Array<{subject: string, predicate: string, value: string, datatype: string, message: string}>>}
+ */
+export async function lintLiterals(doc) {
+  const quads = await jsonld.toRDF(doc);
+  const issues = [];
+  
+  for (const quad of quads) {
+    const { object } = quad;
+    if (object.termType !== 'Literal' || !isCheckedDatatype(object.datatype.value)) continue;
+    
+    const message = checkLexicalForm(object.value, object.datatype.value);
+    if (message) {
+      issues.push({
+        subject: quad.subject.termType === 'BlankNode' ? `_:${quad.subject.value.replace(/^_:/, '')}` : quad.subject.value,
+        predicate: quad.predicate.value,
+        value: object.value,
+        datatype: object.datatype.value,
+        message
+      });
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Validate JSON-LD syntax and lint literal values
+ * Ill-formed literals are reported as issues; they do not make the document invalid JSON-LD
  */
 export async function validate(doc) {
   try {
     // Try to expand - this will catch syntax errors
     await jsonld.expand(doc);
-    return { valid: true };
   } catch (error) {
-    return { valid: false, error: error.message };
+    return { valid: false, error: error.message, issues: [] };
+  }
+  
+  try {
+    return { valid: true, issues: await lintLiterals(doc) };
+  } catch (error) {
+    // Documents that expand but cannot be converted to RDF have no literals to lint
+    return { valid: true, issues: [] };
   }
 }
 
@@ -1122,6 +1161,7 @@ export default {
   parseNQuads,
   extractGraphData,
   validate,
+  lintLiterals,
   registerContext,
   clearContextCache,
   getContextCacheSize,
@@ -0,0 +1,412 @@
+/**
+ * JSON-LD Provenance Service
+ * Converts JSON-LD text to RDF while keeping track of where each quad comes from in the source,
+ * as a JSON pointer and character range
+ */
+
+import jsonld from 'jsonld';
+import { parseWithPointers, offsetToLineColumn, escapePointerSegment } from '../utils/jsonSourceMap.js';
+import { getKeyword, expandIri } from '../utils/jsonLdContext.js';
+
+/**
+ * Property added to every node object before conversion; its value is the node's JSON pointer
+ */
+const SOURCE_POINTER = 'urn:jsonld-app:source-pointer';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDF_TYPE = RDF + 'type';
+const RDF_LANG_STRING = RDF + 'langString';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/**
+ * Containers whose values are maps keyed by index, id or type rather than plain values
+ */
+const MAP_CONTAINERS = ['@index', '@id', '@type'];
+
+function childPointer(pointer, segment) {
+  return `${pointer}/${escapePointerSegment(segment)}`;
+}
+
+/**
+ * Walk the document and return a copy in which every node object carries its JSON pointer
+ * Value, list and set objects, JSON literals and @graph-only wrappers are left unmarked.
+ * Top-level objects without properties are not marked either, since marking them would make
+ * jsonld keep nodes it otherwise drops and shift the numbering of blank nodes.
+ */
+async function annotate(value, pointer, activeCtx, topLevel, nodes) {
+  if (Array.isArray(value)) {
+    const items = [];
+    for (let i = 0; i < value.length; i++) {
+      items.push(await annotate(value[i], childPointer(pointer, i), activeCtx, topLevel, nodes));
+    }
+    return items;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  
+  let ctx = activeCtx;
+  if (value['@context'] !== undefined) {
+    ctx = await jsonld.processContext(ctx, value['@context']);
+  }
+  
+  const keywords = new Map(Object.keys(value).map(key => [key, getKeyword(ctx, key)]));
+  const keywordSet = new Set(keywords.values());
+  
+  // Value objects hold no nodes; list and set objects hold nodes in their contents
+  if (keywordSet.has('@value')) {
+    return value;
+  }
+  if (keywordSet.has('@list') || keywordSet.has('@set')) {
+    const copy = {};
+    for (const [key, keyword] of keywords) {
+      copy[key] = keyword === '@list' || keyword === '@set'
+        ? await annotate(value[key], childPointer(pointer, key), ctx, false, nodes)
+        : value[key];
+    }
+    return copy;
+  }
+  
+  // Type-scoped contexts apply to the properties of the node
+  for (const [key, keyword] of keywords) {
+    if (keyword !== '@type') continue;
+    const types = [].concat(value[key]).filter(type => typeof type === 'string').sort();
+    for (const type of types) {
+      const scoped = ctx.mappings.get(type)?.['@context'];
+      if (scoped !== undefined) {
+        ctx = await jsonld.processContext(ctx, scoped);
+      }
+    }
+  }
+  
+  const copy = {};
+  let hasProperties = false;
+  
+  for (const [key, keyword] of keywords) {
+    const keyPointer = childPointer(pointer, key);
+    const item = value[key];
+    
+    if (keyword === '@graph' || keyword === '@included') {
+      copy[key] = await annotate(item, keyPointer, ctx, keyword === '@graph', nodes);
+    } else if (keyword === '@reverse' && item && typeof item === 'object') {
+      copy[key] = {};
+      for (const [property, reverseValue] of Object.entries(item)) {
+        copy[key][property] = await annotate(reverseValue, childPointer(keyPointer, property), ctx, false, nodes);
+      }
+      hasProperties = true;
+    } else if (keyword) {
+      copy[key] = item;
+      if (keyword === '@type') hasProperties = true;
+    } else {
+      const mapping = ctx.mappings.get(key);
+      const container = mapping?.['@container'] || [];
+      const propertyCtx = mapping?.['@context'] !== undefined
+        ? await jsonld.processContext(ctx, mapping['@context'])
+        : ctx;
+      
+      if (expandIri(ctx, key) || mapping?.['@reverse']) hasProperties = true;
+      
+      if (mapping?.['@type'] === '@json' || container.includes('@language')) {
+        copy[key] = item;
+      } else if (MAP_CONTAINERS.some(c => container.includes(c)) && item && typeof item === 'object' && !Array.isArray(item)) {
+        copy[key] = {};
+        for (const [mapKey, mapValue] of Object.entries(item)) {
+          copy[key][mapKey] = await annotate(mapValue, childPointer(keyPointer, mapKey), propertyCtx, false, nodes);
+        }
+      } else {
+        copy[key] = await annotate(item, keyPointer, propertyCtx, false, nodes);
+      }
+    }
+  }
+  
+  const isGraphWrapper = keywordSet.has('@graph') && !keywordSet.has('@id') && !hasProperties;
+  if (!isGraphWrapper && (hasProperties || !topLevel)) {
+    copy[SOURCE_POINTER] = pointer;
+    nodes.set(pointer, { value, ctx });
+  }
+  
+  return copy;
+}
+
+/**
+ * Get the key of an RDF term as used by the provenance indexes
+ * IRIs and literals are keyed by their value, blank nodes by their `_:` label
+ */
+function termKey(term) {
+  if (term.termType === 'BlankNode') {
+    return term.value.startsWith('_:') ? term.value : `_:${term.value}`;
+  }
+  return term.value;
+}
+
+/**
+ * Check whether a literal has the given JSON value, datatype and language
+ * Without a datatype, the one JSON-LD gives to the type of the value is expected; numbers are
+ * compared by value since doubles are written in canonical form.
+ */
+function literalMatches(object, value, datatype, language) {
+  if (object.termType !== 'Literal') return false;
+  
+  const expected = datatype || (typeof value === 'boolean' ? XSD + 'boolean'
+    : typeof value === 'number' ? (Number.isInteger(value) && Math.abs(value) < 1e21 ? XSD + 'integer' : XSD + 'double')
+      : language ? RDF_LANG_STRING : XSD + 'string');
+  if (object.datatype.value !== expected || (object.language || '').toLowerCase() !== (language || '').toLowerCase()) {
+    return false;
+  }
+  return typeof value === 'number' ? Number(object.value) === value : object.value === String(value);
+}
+
+/**
+ * Check whether a JSON value of a property produced the object of a quad
+ * The value is expanded with the term definition of the property (type coercion and default
+ * language) and compared with the object exactly.
+ */
+function valueMatches(item, itemPointer, object, key, ctx, subjectOf) {
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    if (subjectOf.has(itemPointer)) {
+      return subjectOf.get(itemPointer) === termKey(object);
+    }
+    const keywords = new Map(Object.keys(item).map(k => [getKeyword(ctx, k), item[k]]));
+    if (!keywords.has('@value')) return false;
+    const type = keywords.get('@type');
+    return literalMatches(object, keywords.get('@value'), typeof type === 'string' ? expandIri(ctx, type) : null, keywords.get('@language'));
+  }
+  if (item === null || typeof item === 'object') {
+    return false;
+  }
+  
+  const keyword = getKeyword(ctx, key);
+  const mapping = keyword ? null : ctx.mappings.get(key);
+  const type = mapping?.['@type'];
+  if (keyword === '@type' || type === '@id' || type === '@vocab') {
+    return typeof item === 'string' && object.termType === 'NamedNode' &&
+      expandIri(ctx, item, keyword === '@type' || type === '@vocab') === object.value;
+  }
+  
+  const language = typeof item === 'string' && !type
+    ? (mapping && '@language' in mapping ? mapping['@language'] : ctx['@language'])
+    : null;
+  return literalMatches(object, item, type && type !== '@none' ? type : null, language);
+}
+
+/**
+ * Flatten a property value into [item, pointer] pairs, looking inside arrays, lists, sets and maps
+ */
+function collectItems(value, pointer, ctx, isMap = false, items = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => collectItems(item, childPointer(pointer, i), ctx, false, items));
+  } else if (value && typeof value === 'object') {
+    const listKey = Object.keys(value).find(key => ['@list', '@set'].includes(getKeyword(ctx, key)));
+    if (isMap) {
+      Object.entries(value).forEach(([key, item]) => collectItems(item, childPointer(pointer, key), ctx, false, items));
+    } else if (listKey) {
+      collectItems(value[listKey], childPointer(pointer, listKey), ctx, false, items);
+    } else {
+      items.push([value, pointer]);
+    }
+  } else {
+    items.push([value, pointer]);
+  }
+  return items;
+}
+
+/**
+ * Check whether a property value is an RDF list, through a @list container or a list object
+ */
+function isList(value, key, ctx) {
+  if (ctx.mappings.get(key)?.['@container']?.includes('@list')) {
+    return true;
+  }
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).some(k => getKeyword(ctx, k) === '@list'));
+}
+
+/**
+ * Build a location record from a JSON pointer entry
+ */
+function createLocation(text, pointer, start, end) {
+  return { pointer, start, end, line: offsetToLineColumn(text, start).line };
+}
+
+/**
+ * Convert JSON-LD text to RDF, recording the source of every quad
+ * @param {string} text - JSON-LD document text
+ * @returns {Promise<{success: boolean, data?: {quads: Array, nodes: Map, properties: Map, statements: Map}, error?: string}>}
+ *   quads are jsonld.js RDF quads, each with a `location`; nodes, properties and statements map
+ *   subject, subject+predicate and subject+predicate+object keys to `{pointer, start, end, line}`
+ */
+export async function toRdfWithProvenance(text) {
+  try {
+    const { data, pointers } = parseWithPointers(text);
+    const nodeObjects = new Map();
+    const annotated = await annotate(data, '', await jsonld.processContext(null, null), true, nodeObjects);
+    const dataset = await jsonld.toRDF(annotated);
+    
+    // Map each marked node object to the subject it produced
+    const subjectOf = new Map();
+    const pointersOf = new Map();
+    for (const quad of dataset) {
+      if (quad.predicate.value !== SOURCE_POINTER) continue;
+      const subject = termKey(quad.subject);
+      subjectOf.set(quad.object.value, subject);
+      if (!pointersOf.has(subject)) pointersOf.set(subject, []);
+      pointersOf.get(subject).push(quad.object.value);
+    }
+    
+    const nodes = new Map();
+    const properties = new Map();
+    const statements = new Map();
+    const listItems = new Map();
+    const quads = [];
+    
+    // Node objects that describe a subject come before mere references to it
+    for (const [subject, nodePointers] of pointersOf) {
+      const describes = (pointer) => Object.keys(nodeObjects.get(pointer).value)
+        .some(key => !['@id', '@context'].includes(getKeyword(nodeObjects.get(pointer).ctx, key)));
+      nodePointers.sort((a, b) => Number(describes(b)) - Number(describes(a)));
+      const range = pointers.get(nodePointers[0]).value;
+      nodes.set(subject, createLocation(text, nodePointers[0], range.start, range.end));
+    }
+    
+    for (const quad of dataset) {
+      if (quad.predicate.value === SOURCE_POINTER) continue;
+      
+      const subject = termKey(quad.subject);
+      const predicate = quad.predicate.value;
+      let location = null;
+      
+      for (const pointer of pointersOf.get(subject) || []) {
+        const node = nodeObjects.get(pointer);
+        const key = Object.keys(node.value).find(k => {
+          const keyword = getKeyword(node.ctx, k);
+          return predicate === RDF_TYPE ? keyword === '@type' : !keyword && expandIri(node.ctx, k) === predicate;
+        });
+        if (key === undefined) continue;
+        
+        const keyPointer = childPointer(pointer, key);
+        const keyRange = pointers.get(keyPointer);
+        if (!properties.has(`${subject} ${predicate}`)) {
+          properties.set(`${subject} ${predicate}`, createLocation(text, keyPointer, keyRange.key.start, keyRange.value.end));
+        }
+        
+        const container = node.ctx.mappings.get(key)?.['@container'] || [];
+        const items = collectItems(node.value[key], keyPointer, node.ctx, MAP_CONTAINERS.some(c => container.includes(c)));
+        if (quad.object.termType === 'BlankNode' && isList(node.value[key], key, node.ctx)) {
+          listItems.set(termKey(quad.object), items.map(([, itemPointer]) => itemPointer));
+        }
+        
+        const match = items
+          .find(([item, itemPointer]) => valueMatches(item, itemPointer, quad.object, key, node.ctx, subjectOf));
+        if (match) {
+          const range = pointers.get(match[1]).value;
+          location = createLocation(text, match[1], range.start, range.end);
+        } else {
+          location = properties.get(`${subject} ${predicate}`);
+        }
+        break;
+      }
+      
+      location = location || properties.get(`${subject} ${predicate}`) || nodes.get(subject) || null;
+      quads.push({ ...quad, location });
+    }
+    
+    // List cells take the location of the item they hold
+    const rest = new Map(quads
+      .filter(quad => quad.predicate.value === RDF + 'rest')
+      .map(quad => [termKey(quad.subject), termKey(quad.object)]));
+    const cellItems = new Map();
+    for (const [head, itemPointers] of listItems) {
+      let cell = head;
+      for (const itemPointer of itemPointers) {
+        if (!rest.has(cell)) break;
+        cellItems.set(cell, itemPointer);
+        cell = rest.get(cell);
+      }
+    }
+    
+    for (const quad of quads) {
+      const subject = termKey(quad.subject);
+      if (!quad.location && cellItems.has(subject)) {
+        const range = pointers.get(cellItems.get(subject)).value;
+        quad.location = createLocation(text, cellItems.get(subject), range.start, range.end);
+      }
+      const statementKey = `${subject} ${quad.predicate.value} ${termKey(quad.object)}`;
+      if (quad.location && !statements.has(statementKey)) {
+        statements.set(statementKey, quad.location);
+      }
+    }
+    
+    return { success: true, data: { quads, nodes, properties, statements } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Normalise a subject or object given as an N-Quads term, a plain IRI or a blank node label
+ */
+function normalizeKey(provenance, value) {
+  if (value.startsWith('<') && value.endsWith('>')) {
+    return value.slice(1, -1);
+  }
+  const literal = value.match(/^"((?:[^"\\]|\\.)*)"(?:\^\^<[^>]+>|@[a-zA-Z-]+)?$/);
+  if (literal) {
+    return JSON.parse(`"${literal[1]}"`);
+  }
+  if (!value.startsWith('_:') && !provenance.nodes.has(value) && provenance.nodes.has(`_:${value}`)) {
+    return `_:${value}`;
+  }
+  return value;
+}
+
+/**
+ * Find the best source location for a subject, a property of it or a single statement
+ * Falls back from the statement to the property and then to the subject's node object.
+ * @param {object} provenance - Data returned by toRdfWithProvenance
+ * @param {{subject: string, predicate?: string, object?: string}} term - Terms as plain values,
+ *   N-Quads terms or blank node labels with or without `_:`
+ * @returns {{pointer: string, start: number, end: number, line: number}|null}
+ */
+export function locate(provenance, { subject, predicate = null, object = null }) {
+  if (!provenance || !subject) return null;
+  
+  const s = normalizeKey(provenance, subject);
+  if (predicate) {
+    const p = normalizeKey(provenance, predicate);
+    if (object !== null && object !== undefined) {
+      const statement = provenance.statements.get(`${s} ${p} ${normalizeKey(provenance, object)}`);
+      if (statement) return statement;
+    }
+    const property = provenance.properties.get(`${s} ${p}`);
+    if (property) return property;
+  }
+  return provenance.nodes.get(s) || null;
+}
+
+/**
+ * Find the source location of a SHACL validation result
+ * Predicate paths and inverse predicate paths point at the offending value, other paths at the
+ * focus node.
+ * @param {object} provenance - Data returned by toRdfWithProvenance
+ * @param {{focusNode: string, value?: string, pathExpression?: object}} result - Validation result
+ *   from ShaclValidator
+ * @returns {{pointer: string, start: number, end: number, line: number}|null}
+ */
+export function locateResult(provenance, result) {
+  if (!provenance || !result.focusNode) return null;
+  
+  const path = result.pathExpression;
+  if (path?.type === 'predicate') {
+    return locate(provenance, { subject: result.focusNode, predicate: path.iri, object: result.value });
+  }
+  if (path?.type === 'inverse' && path.path.type === 'predicate' && result.value) {
+    return locate(provenance, { subject: result.value, predicate: path.path.iri, object: result.focusNode });
+  }
+  return locate(provenance, { subject: result.focusNode });
+}
+
+export default {
+  toRdfWithProvenance,
+  locate,
+  locateResult
+};
@@ -0,0 +1,571 @@
+/**
+ * JSON Schema Converter Service
+ * Converts JSON Schema payload definitions to SHACL shapes and SHACL shapes to JSON Schema,
+ * using a JSON-LD context to map property names to IRIs
+ */
+
+import jsonld from 'jsonld';
+import { DataFactory } from 'n3';
+import { XSD } from '../utils/xsdLexical.js';
+import { getKeyword, expandIri } from '../utils/jsonLdContext.js';
+import { getValue, getValues, getObjects, readList, getLocalName } from '../utils/rdfStore.js';
+import { shortenUri, addNamespacePrefix, renderTerm, renderPairs, generateShapeName } from '../utils/turtle.js';
+import { parseRdf } from './RdfParser.js';
+
+const { namedNode, literal } = DataFactory;
+
+const SH = 'http://www.w3.org/ns/shacl#';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Patterns written for JSON Schema formats of terms the context does not coerce to a datatype
+ * In JSON-LD such values are plain strings, so the format can only be checked lexically.
+ */
+const FORMAT_PATTERNS = {
+  'date': '^-?\\d{4,}-\\d{2}-\\d{2}$',
+  'date-time': '^-?\\d{4,}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?(Z|[+-]\\d{2}:\\d{2})?$',
+  'time': '^\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?(Z|[+-]\\d{2}:\\d{2})?$',
+  'email': '^[^@\\s]+@[^@\\s]+$'
+};
+
+/**
+ * Formats of strings holding IRIs
+ */
+const IRI_FORMATS = ['uri', 'iri', 'uri-reference', 'iri-reference'];
+
+/**
+ * Formats of datatypes that JSON-LD writes as strings
+ */
+const DATATYPE_FORMATS = {
+  [XSD + 'date']: 'date',
+  [XSD + 'dateTime']: 'date-time',
+  [XSD + 'time']: 'time',
+  [XSD + 'duration']: 'duration',
+  [XSD + 'anyURI']: 'uri'
+};
+
+const INTEGER_DATATYPES = new Set([
+  'integer', 'long', 'int', 'short', 'byte', 'nonNegativeInteger', 'positiveInteger',
+  'nonPositiveInteger', 'negativeInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'
+].map(name => XSD + name));
+
+const NUMBER_DATATYPES = new Set([XSD + 'decimal', XSD + 'double', XSD + 'float']);
+
+/**
+ * Process a JSON-LD context, given bare or wrapped in a document with @context
+ */
+async function resolveContext(context) {
+  const local = context && typeof context === 'object' && !Array.isArray(context) && '@context' in context
+    ? context['@context']
+    : context;
+  return jsonld.processContext(await jsonld.processContext(null, null), local || {});
+}
+
+/**
+ * Get the term the context defines as an alias of a keyword, or the keyword itself
+ */
+function keywordAlias(activeCtx, keyword) {
+  for (const [term, mapping] of activeCtx.mappings) {
+    if (mapping['@id'] === keyword) return term;
+  }
+  return keyword;
+}
+
+/**
+ * Compact an IRI to a property name with the context
+ * Terms defined for the IRI come first, then names relative to @vocab, then compact IRIs.
+ */
+function compactIri(activeCtx, iri) {
+  let compactIriCandidate = null;
+  for (const [term, mapping] of activeCtx.mappings) {
+    if (mapping['@reverse'] || typeof mapping['@id'] !== 'string') continue;
+    if (mapping['@id'] === iri && !term.includes(':')) return term;
+    const localName = iri.slice(mapping['@id'].length);
+    if (!compactIriCandidate && /[#/]$/.test(mapping['@id']) && iri.startsWith(mapping['@id']) && /^[\w-]+$/.test(localName)) {
+      compactIriCandidate = `${term}:${localName}`;
+    }
+  }
+  const vocab = activeCtx['@vocab'];
+  if (vocab && iri.startsWith(vocab) && /^[\w-]+$/.test(iri.slice(vocab.length))) {
+    return iri.slice(vocab.length);
+  }
+  return compactIriCandidate || iri;
+}
+
+/**
+ * Get the RDF literal JSON-LD produces for a JSON value of a term coerced to a datatype
+ */
+function jsonToLiteral(value, datatype) {
+  if (typeof value === 'boolean') return literal(String(value), namedNode(XSD + 'boolean'));
+  if (typeof value === 'number') {
+    return Number.isInteger(value)
+      ? literal(String(value), namedNode(XSD + 'integer'))
+      : literal(value.toExponential(15).replace(/(\d)0*e\+?/, '$1E'), namedNode(XSD + 'double'));
+  }
+  return literal(String(value), datatype ? namedNode(datatype) : undefined);
+}
+
+/**
+ * Get the JSON value of an RDF literal
+ */
+function literalToJson(term) {
+  const datatype = term.datatype?.value;
+  if (datatype === XSD + 'boolean') return term.value === 'true';
+  if (INTEGER_DATATYPES.has(datatype) || NUMBER_DATATYPES.has(datatype)) return Number(term.value);
+  return term.value;
+}
+
+/**
+ * Get a JSON Schema number bound as a typed literal
+ */
+function numberLiteral(value) {
+  return literal(String(value), namedNode(XSD + (Number.isInteger(value) ? 'integer' : 'decimal')));
+}
+
+/**
+ * Describe the values a JSON Schema allows as SHACL constraint pairs
+ * `$ref` gives sh:node, objects nested shapes, `enum` sh:in and `const` sh:hasValue. The datatype
+ * comes from the context's type coercion for the term, otherwise from the JSON type (numbers may
+ * be xsd:integer or xsd:double). Formats of uncoerced strings become sh:pattern.
+ */
+function describeValue(value, mapping, state) {
+  const { activeCtx, short } = state;
+  const pairs = [];
+  
+  if (value.$ref) {
+    if (!state.refs.has(value.$ref)) {
+      throw new Error(`Unsupported $ref: ${value.$ref}`);
+    }
+    return [['sh:node', state.refs.get(value.$ref)]];
+  }
+  
+  const coercion = mapping?.['@type'];
+  const coercedDatatype = typeof coercion === 'string' && !coercion.startsWith('@') ? coercion : null;
+  const types = [].concat(value.type || []).filter(type => type !== 'null');
+  const isIri = coercion === '@id' || coercion === '@vocab' || IRI_FORMATS.includes(value.format);
+  const toTerm = (item) => isIri && typeof item === 'string'
+    ? namedNode(coercion === '@vocab' ? expandIri(activeCtx, item) || item : item)
+    : jsonToLiteral(item, coercedDatatype);
+  
+  if (Array.isArray(value.enum)) {
+    pairs.push(['sh:in', `( ${value.enum.filter(item => item !== null).map(item => renderTerm(toTerm(item), short)).join(' ')} )`]);
+  }
+  if (value.const !== undefined) {
+    pairs.push(['sh:hasValue', renderTerm(toTerm(value.const), short)]);
+  }
+  
+  if (types.includes('object') || value.properties) {
+    pairs.push(['sh:nodeKind', 'sh:BlankNodeOrIRI']);
+    pairs.push(['sh:node', describeObject(value, state, false)]);
+  } else if (isIri) {
+    pairs.push(['sh:nodeKind', 'sh:IRI']);
+  } else if (coercedDatatype) {
+    pairs.push(['sh:datatype', short(coercedDatatype)]);
+  } else if (types.length === 1 && types[0] === 'string') {
+    pairs.push(['sh:datatype', 'xsd:string']);
+    if (FORMAT_PATTERNS[value.format] && !value.pattern) {
+      pairs.push(['sh:pattern', JSON.stringify(FORMAT_PATTERNS[value.format])]);
+    }
+  } else if (types.length === 1 && types[0] === 'integer') {
+    pairs.push(['sh:datatype', 'xsd:integer']);
+  } else if (types.length === 1 && types[0] === 'number') {
+    pairs.push(['sh:or', '( [ sh:datatype xsd:integer ] [ sh:datatype xsd:double ] )']);
+  } else if (types.length === 1 && types[0] === 'boolean') {
+    pairs.push(['sh:datatype', 'xsd:boolean']);
+  }
+  
+  if (value.minLength !== undefined) pairs.push(['sh:minLength', String(value.minLength)]);
+  if (value.maxLength !== undefined) pairs.push(['sh:maxLength', String(value.maxLength)]);
+  if (value.pattern) pairs.push(['sh:pattern', JSON.stringify(value.pattern)]);
+  if (value.minimum !== undefined) pairs.push(['sh:minInclusive', renderTerm(numberLiteral(value.minimum), short)]);
+  if (value.maximum !== undefined) pairs.push(['sh:maxInclusive', renderTerm(numberLiteral(value.maximum), short)]);
+  if (typeof value.exclusiveMinimum === 'number') pairs.push(['sh:minExclusive', renderTerm(numberLiteral(value.exclusiveMinimum), short)]);
+  if (typeof value.exclusiveMaximum === 'number') pairs.push(['sh:maxExclusive', renderTerm(numberLiteral(value.exclusiveMaximum), short)]);
+  
+  return pairs;
+}
+
+/**
+ * Describe an object schema as the constraint pairs of a node shape
+ * Every property the context maps to an IRI gets a property shape: `required` gives sh:minCount 1,
+ * arrays give sh:minCount/sh:maxCount from minItems/maxItems and other values sh:maxCount 1.
+ * A constant value of the @type property gives sh:targetClass on named shapes and sh:class on
+ * nested ones; `additionalProperties: false` gives a closed shape.
+ */
+function describeObject(schema, state, named) {
+  const { activeCtx, short } = state;
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const pairs = [];
+  
+  const typeKey = Object.keys(properties).find(key => getKeyword(activeCtx, key) === '@type');
+  const typeSchema = typeKey ? properties[typeKey] : null;
+  const typeValue = typeSchema?.const ?? (typeSchema?.enum?.length === 1 ? typeSchema.enum[0] : undefined);
+  if (typeof typeValue === 'string') {
+    pairs.push([named ? 'sh:targetClass' : 'sh:class', short(expandIri(activeCtx, typeValue) || typeValue)]);
+  }
+  
+  const idKey = Object.keys(properties).find(key => getKeyword(activeCtx, key) === '@id');
+  if (idKey && required.includes(idKey)) {
+    pairs.push(['sh:nodeKind', 'sh:IRI']);
+  }
+  
+  if (schema.additionalProperties === false) {
+    pairs.push(['sh:closed', 'true'], ['sh:ignoredProperties', '( rdf:type )']);
+  }
+  
+  for (const [key, value] of Object.entries(properties)) {
+    if (getKeyword(activeCtx, key)) continue;
+    
+    const iri = expandIri(activeCtx, key);
+    if (!iri) {
+      throw new Error(`Property "${key}" is not mapped to an IRI by the context`);
+    }
+    
+    const property = [['sh:path', short(iri)]];
+    if (value.title) property.push(['sh:name', JSON.stringify(value.title)]);
+    if (value.description) property.push(['sh:description', JSON.stringify(value.description)]);
+    
+    const isArray = [].concat(value.type || []).includes('array') || value.items;
+    const minCount = Math.max(required.includes(key) ? 1 : 0, isArray ? value.minItems || 0 : 0);
+    const maxCount = isArray ? value.maxItems : 1;
+    if (minCount > 0) property.push(['sh:minCount', String(minCount)]);
+    if (maxCount !== undefined) property.push(['sh:maxCount', String(maxCount)]);
+    
+    property.push(...describeValue(isArray ? value.items || {} : value, activeCtx.mappings.get(key), state));
+    pairs.push(['sh:property', property]);
+  }
+  
+  return pairs;
+}
+
+/**
+ * Get the prefixes of a context: its terms that map to a namespace ending in / or #
+ */
+function contextPrefixes(activeCtx) {
+  const prefixes = {
+    'sh': SH,
+    'xsd': XSD,
+    'rdf': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+  };
+  for (const [term, definition] of activeCtx.mappings) {
+    const id = definition?.['@id'];
+    if (!term.includes(':') && typeof id === 'string' && /[/#]$/.test(id)) {
+      prefixes[term] = id;
+    }
+  }
+  return prefixes;
+}
+
+/**
+ * Convert a JSON Schema to SHACL shapes in Turtle
+ * The root schema and each schema of `$defs` (or `definitions`) become named node shapes, and
+ * `$ref`s to them become sh:node links. Property names are mapped to IRIs with the context.
+ * @param {object|string} schema - The JSON Schema
+ * @param {object|Array} context - JSON-LD context, bare or as a document with @context
+ * @param {object} options - Conversion options
+ * @param {string} options.shapeName - Name of the root shape, defaults to the schema title
+ * @returns {Promise<{success: boolean, data?: string, error?: string}>}
+ */
+export async function jsonSchemaToShacl(schema, context, options = {}) {
+  try {
+    const root = typeof schema === 'string' ? JSON.parse(schema) : schema;
+    if (!root || typeof root !== 'object' || Array.isArray(root)) {
+      throw new Error('JSON Schema must be an object');
+    }
+    
+    const activeCtx = await resolveContext(context);
+    const prefixes = contextPrefixes(activeCtx);
+    if (!prefixes['ex']) {
+      prefixes['ex'] = 'https://example.org/shapes#';
+    }
+    const short = (iri) => {
+      addNamespacePrefix(iri, prefixes);
+      return shortenUri(iri, prefixes);
+    };
+    
+    const rootName = (options.shapeName || root.title || 'Root').replace(/\s+/g, '');
+    const shapes = [{ ref: '#', name: generateShapeName(`ex:${rootName}`, prefixes), schema: root }];
+    for (const keyword of ['$defs', 'definitions']) {
+      for (const [name, definition] of Object.entries(root[keyword] || {})) {
+        shapes.push({ ref: `#/${keyword}/${name}`, name: generateShapeName(`ex:${name}`, prefixes), schema: definition });
+      }
+    }
+    
+    const state = { activeCtx, short, refs: new Map(shapes.map(shape => [shape.ref, shape.name])) };
+    const body = [];
+    for (const shape of shapes) {
+      const pairs = describeObject(shape.schema, state, true);
+      if (shape.schema.title) pairs.unshift(['sh:name', JSON.stringify(shape.schema.title)]);
+      body.push('');
+      if (pairs.length === 0) {
+        body.push(`${shape.name} a sh:NodeShape .`);
+        continue;
+      }
+      const lines = renderPairs(pairs);
+      lines[lines.length - 1] = lines[lines.length - 1].replace(/ ;$/, ' .');
+      body.push(`${shape.name} a sh:NodeShape ;`, ...lines);
+    }
+    
+    const lines = Object.entries(prefixes).map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .`);
+    lines.push('');
+    lines.push(`# SHACL shapes converted from JSON Schema${root.title ? ` "${root.title}"` : ''}`);
+    lines.push(...body);
+    
+    return { success: true, data: lines.join('\n') };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the JSON Schema of a datatype
+ */
+function datatypeSchema(datatype) {
+  if (datatype === XSD + 'string') return { type: 'string' };
+  if (datatype === XSD + 'boolean') return { type: 'boolean' };
+  if (INTEGER_DATATYPES.has(datatype)) return { type: 'integer' };
+  if (NUMBER_DATATYPES.has(datatype)) return { type: 'number' };
+  if (DATATYPE_FORMATS[datatype]) return { type: 'string', format: DATATYPE_FORMATS[datatype] };
+  return {};
+}
+
+/**
+ * Get the JSON value of a term in a document using the context
+ * IRIs become compacted strings for terms coerced to @vocab, plain strings for @id, and node
+ * references otherwise.
+ */
+function termToJson(term, mapping, state) {
+  if (term.termType === 'Literal') return literalToJson(term);
+  if (mapping?.['@type'] === '@vocab') return compactIri(state.activeCtx, term.value);
+  if (mapping?.['@type'] === '@id') return term.value;
+  return { [state.idKey]: term.value };
+}
+
+/**
+ * Describe the values a SHACL shape allows as a JSON Schema
+ * Datatypes give JSON types and formats, sh:node and sh:class references to the schemas of named
+ * shapes (nested blank node shapes are inlined), sh:in an enum and sh:hasValue a const.
+ */
+function describeValueShape(store, shape, mapping, state) {
+  const schema = {};
+  
+  const datatype = getValue(store, shape, SH + 'datatype');
+  if (datatype) Object.assign(schema, datatypeSchema(datatype));
+  
+  const [or] = getObjects(store, shape, SH + 'or');
+  if (or) {
+    const alternatives = readList(store, or).map(member => getValue(store, member, SH + 'datatype'));
+    if (alternatives.length > 0 && alternatives.every(dt => INTEGER_DATATYPES.has(dt) || NUMBER_DATATYPES.has(dt))) {
+      schema.type = alternatives.every(dt => INTEGER_DATATYPES.has(dt)) ? 'integer' : 'number';
+    } else if (alternatives.length > 0 && alternatives.every(Boolean)) {
+      schema.anyOf = alternatives.map(datatypeSchema);
+    }
+  }
+  
+  const reference = mapping?.['@type'] === '@id' || mapping?.['@type'] === '@vocab'
+    ? { type: 'string', format: 'iri' }
+    : { type: 'object', properties: { [state.idKey]: { type: 'string', format: 'iri' } }, required: [state.idKey] };
+  if (getValue(store, shape, SH + 'nodeKind') === SH + 'IRI') {
+    Object.assign(schema, reference);
+  }
+  
+  for (const node of getObjects(store, shape, SH + 'node')) {
+    if (state.refs.has(node.value)) {
+      schema.$ref = state.refs.get(node.value);
+    } else if (node.termType === 'BlankNode' && !state.visiting.has(node.value)) {
+      Object.assign(schema, describeShape(store, node, state));
+    }
+  }
+  for (const cls of getValues(store, shape, SH + 'class')) {
+    if (state.classRefs.has(cls) && !schema.$ref) {
+      schema.$ref = state.classRefs.get(cls);
+    } else if (!schema.type && !schema.$ref) {
+      schema.type = 'object';
+    }
+  }
+  
+  const [values] = getObjects(store, shape, SH + 'in');
+  if (values) schema.enum = readList(store, values).map(term => termToJson(term, mapping, state));
+  const [hasValue] = getObjects(store, shape, SH + 'hasValue');
+  if (hasValue) schema.const = termToJson(hasValue, mapping, state);
+  
+  const number = (predicate) => {
+    const value = getValue(store, shape, SH + predicate);
+    return value === null ? undefined : Number(value);
+  };
+  const bounds = {
+    minLength: number('minLength'),
+    maxLength: number('maxLength'),
+    minimum: number('minInclusive'),
+    maximum: number('maxInclusive'),
+    exclusiveMinimum: number('minExclusive'),
+    exclusiveMaximum: number('maxExclusive')
+  };
+  for (const [keyword, value] of Object.entries(bounds)) {
+    if (value !== undefined && !Number.isNaN(value)) schema[keyword] = value;
+  }
+  
+  const pattern = getValue(store, shape, SH + 'pattern');
+  if (pattern) {
+    const format = Object.keys(FORMAT_PATTERNS).find(name => FORMAT_PATTERNS[name] === pattern);
+    if (format) {
+      schema.format = format;
+    } else {
+      schema.pattern = pattern;
+    }
+  }
+  
+  return schema;
+}
+
+/**
+ * Describe a node shape as an object schema
+ * Property shapes with sh:minCount become `required`; sh:maxCount 1 gives a single value and other
+ * properties arrays with minItems/maxItems. sh:targetClass gives a constant @type, and closed
+ * shapes disallow additional properties except @context and @id.
+ */
+function describeShape(store, shape, state) {
+  state.visiting.add(shape.value);
+  const schema = { type: 'object' };
+  const properties = {};
+  const required = [];
+  
+  const title = getValue(store, shape, SH + 'name') || getValue(store, shape, RDFS_LABEL);
+  if (title) schema.title = title;
+  
+  const targetClasses = getValues(store, shape, SH + 'targetClass');
+  if (targetClasses.length === 1) {
+    properties[state.typeKey] = { const: compactIri(state.activeCtx, targetClasses[0]) };
+    required.push(state.typeKey);
+  }
+  
+  for (const propertyShape of getObjects(store, shape, SH + 'property')) {
+    const [path] = getObjects(store, propertyShape, SH + 'path');
+    if (!path || path.termType !== 'NamedNode') continue;
+    
+    const key = compactIri(state.activeCtx, path.value);
+    const mapping = state.activeCtx.mappings.get(key);
+    const value = describeValueShape(store, propertyShape, mapping, state);
+    const minCount = Number(getValue(store, propertyShape, SH + 'minCount') || 0);
+    const maxCount = getValue(store, propertyShape, SH + 'maxCount');
+    
+    const property = maxCount === '1'
+      ? value
+      : {
+        type: 'array',
+        items: value,
+        ...(minCount > 1 ? { minItems: minCount } : {}),
+        ...(maxCount !== null ? { maxItems: Number(maxCount) } : {})
+      };
+    const name = getValue(store, propertyShape, SH + 'name');
+    const description = getValue(store, propertyShape, SH + 'description');
+    properties[key] = {
+      ...(name ? { title: name } : {}),
+      ...(description ? { description } : {}),
+      ...property
+    };
+    if (minCount > 0) required.push(key);
+  }
+  
+  if (getValue(store, shape, SH + 'closed') === 'true') {
+    properties['@context'] = properties['@context'] || {};
+    properties[state.idKey] = properties[state.idKey] || { type: 'string', format: 'iri' };
+    schema.additionalProperties = false;
+  }
+  
+  schema.properties = properties;
+  if (required.length > 0) schema.required = required;
+  state.visiting.delete(shape.value);
+  return schema;
+}
+
+/**
+ * Convert SHACL shapes to a JSON Schema
+ * The root shape becomes the schema and the other named node shapes `$defs` referenced with
+ * `$ref`. Property names are compacted with the context; only predicate paths are converted.
+ * @param {string} shacl - SHACL shapes in Turtle, N-Triples, TriG or JSON-LD
+ * @param {object|Array} context - JSON-LD context, bare or as a document with @context
+ * @param {object} options - Conversion options
+ * @param {string} options.rootShape - IRI of the root shape; defaults to the first shape with a
+ *   target that no other shape links to
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ */
+export async function shaclToJsonSchema(shacl, context, options = {}) {
+  try {
+    const { store } = await parseRdf(shacl);
+    const activeCtx = await resolveContext(context);
+    
+    const shapes = [];
+    const seen = new Set();
+    const candidates = [
+      ...store.getSubjects(namedNode(RDF_TYPE), namedNode(SH + 'NodeShape'), null),
+      ...store.getSubjects(namedNode(SH + 'targetClass'), null, null)
+    ];
+    for (const shape of candidates) {
+      if (shape.termType === 'NamedNode' && !seen.has(shape.value)) {
+        seen.add(shape.value);
+        shapes.push(shape);
+      }
+    }
+    if (shapes.length === 0) {
+      throw new Error('No named node shapes found');
+    }
+    
+    const linked = new Set(store.getObjects(null, namedNode(SH + 'node'), null).map(node => node.value));
+    const root = options.rootShape
+      ? shapes.find(shape => shape.value === options.rootShape)
+      : shapes.find(shape => !linked.has(shape.value) && getValue(store, shape, SH + 'targetClass')) ||
+        shapes.find(shape => !linked.has(shape.value)) ||
+        shapes[0];
+    if (!root) {
+      throw new Error(`Shape ${options.rootShape} not found`);
+    }
+    
+    const refs = new Map([[root.value, '#']]);
+    const names = new Set();
+    for (const shape of shapes.filter(shape => shape !== root)) {
+      const base = getLocalName(shape.value).replace(/Shape$/, '') || 'Shape';
+      let name = base;
+      for (let i = 2; names.has(name); i++) {
+        name = `${base}${i}`;
+      }
+      names.add(name);
+      refs.set(shape.value, `#/$defs/${name}`);
+    }
+    const classRefs = new Map();
+    for (const shape of shapes) {
+      getValues(store, shape, SH + 'targetClass')
+        .filter(cls => !classRefs.has(cls))
+        .forEach(cls => classRefs.set(cls, refs.get(shape.value)));
+    }
+    
+    const state = {
+      activeCtx,
+      refs,
+      classRefs,
+      visiting: new Set(),
+      typeKey: keywordAlias(activeCtx, '@type'),
+      idKey: keywordAlias(activeCtx, '@id')
+    };
+    
+    const schema = { $schema: JSON_SCHEMA_DIALECT, ...describeShape(store, root, state) };
+    const defs = {};
+    for (const shape of shapes.filter(shape => shape !== root)) {
+      defs[refs.get(shape.value).slice('#/$defs/'.length)] = describeShape(store, shape, state);
+    }
+    if (Object.keys(defs).length > 0) schema.$defs = defs;
+    
+    return { success: true, data: schema };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  jsonSchemaToShacl,
+  shaclToJsonSchema
+};
@@ -0,0 +1,147 @@
+/**
+ * RDF Parser Service
+ * Detects the serialization of RDF text (Turtle, N-Triples, TriG or JSON-LD) and parses it
+ * into an N3 store
+ */
+
+import { Parser, Store } from 'n3';
+import jsonld from 'jsonld';
+
+/**
+ * Supported formats with their display names and media types
+ */
+export const RDF_FORMATS = {
+  turtle: { label: 'Turtle', mediaType: 'text/turtle' },
+  ntriples: { label: 'N-Triples', mediaType: 'application/n-triples' },
+  trig: { label: 'TriG', mediaType: 'application/trig' },
+  jsonld: { label: 'JSON-LD', mediaType: 'application/ld+json' }
+};
+
+/**
+ * Remove comments, string literals and IRIs so that only Turtle-family punctuation remains
+ */
+function stripLexicalNoise(text) {
+  return text.replace(/("""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|<[^<>"{}|^`\\\s]*>|#[^\n]*)/g, ' ');
+}
+
+/**
+ * Detect the RDF serialization of a text
+ * JSON documents are JSON-LD; graph blocks (`{ }`) only appear in TriG; documents made of one
+ * IRI/blank node triple per line without prefixes are N-Triples; anything else is Turtle.
+ * @param {string} text - RDF text
+ * @returns {'turtle'|'ntriples'|'trig'|'jsonld'}
+ */
+export function detectRdfFormat(text) {
+  const trimmed = (text || '').trim();
+  
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      JSON.parse(trimmed);
+      return 'jsonld';
+    } catch (e) {
+      // Not JSON: TriG default graph blocks and Turtle blank nodes start the same way
+    }
+  }
+  
+  if (stripLexicalNoise(trimmed).includes('{')) {
+    return 'trig';
+  }
+  
+  const term = '(?:<[^>\\s]*>|_:\\S+)';
+  const object = '(?:<[^>\\s]*>|_:\\S+|"(?:[^"\\\\]|\\\\.)*"(?:\\^\\^<[^>\\s]*>|@[a-zA-Z][a-zA-Z0-9-]*)?)';
+  const statement = new RegExp(`^${term}\\s+<[^>\\s]*>\\s+${object}\\s*\\.\\s*(?:#.*)?$`);
+  const lines = trimmed.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  if (lines.length > 0 && lines.every(line => statement.test(line))) {
+    return 'ntriples';
+  }
+  
+  return 'turtle';
+}
+
+/**
+ * Collect the prefixes declared as string terms in JSON-LD contexts
+ */
+function collectContextPrefixes(doc, prefixes = {}) {
+  if (Array.isArray(doc)) {
+    doc.forEach(item => collectContextPrefixes(item, prefixes));
+  } else if (doc && typeof doc === 'object') {
+    for (const context of [].concat(doc['@context'] || [])) {
+      if (!context || typeof context !== 'object') continue;
+      for (const [term, value] of Object.entries(context)) {
+        if (!term.startsWith('@') && typeof value === 'string' && /^[a-z][\w+.-]*:.*[#/:]$/i.test(value)) {
+          prefixes[term] = value;
+        }
+      }
+    }
+    for (const [key, value] of Object.entries(doc)) {
+      if (key !== '@context') collectContextPrefixes(value, prefixes);
+    }
+  }
+  return prefixes;
+}
+
+/**
+ * Parse text with the N3 parser
+ */
+function parseWithN3(text, options) {
+  return new Promise((resolve, reject) => {
+    const store = new Store();
+    const parser = new Parser(options);
+    
+    parser.parse(text, (error, quad, prefixes) => {
+      if (error) {
+        reject(error);
+      } else if (quad) {
+        store.addQuad(quad);
+      } else {
+        resolve({ store, prefixes: prefixes || {} });
+      }
+    });
+  });
+}
+
+/**
+ * Parse RDF text in any supported format
+ * @param {string} text - RDF text
+ * @param {object} [options]
+ * @param {string} [options.format] - Format key of RDF_FORMATS, detected when omitted
+ * @param {string} [options.baseIRI] - Base IRI for relative IRIs
+ * @returns {Promise<{store: Store, prefixes: object, format: string}>}
+ * @throws {Error} When the text is not valid in the format
+ */
+export async function parseRdf(text, options = {}) {
+  const format = options.format || detectRdfFormat(text);
+  
+  if (format === 'jsonld') {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON-LD: ${error.message}`);
+    }
+    const nquads = await jsonld.toRDF(doc, {
+      format: 'application/n-quads',
+      ...(options.baseIRI ? { base: options.baseIRI } : {})
+    });
+    const { store } = await parseWithN3(nquads, { format: 'application/n-quads' });
+    return { store, prefixes: collectContextPrefixes(doc), format };
+  }
+  
+  if (!RDF_FORMATS[format]) {
+    throw new Error(`Unsupported RDF format: ${format}`);
+  }
+  
+  // N-Triples are parsed as N-Quads, which also accepts statements with a graph term
+  const mediaType = format === 'ntriples' ? 'application/n-quads' : RDF_FORMATS[format].mediaType;
+  const { store, prefixes } = await parseWithN3(text, {
+    format: mediaType,
+    ...(options.baseIRI ? { baseIRI: options.baseIRI } : {})
+  });
+  return { store, prefixes, format };
+}
+
+export default {
+  RDF_FORMATS,
+  detectRdfFormat,
+  parseRdf
+};
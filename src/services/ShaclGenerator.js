@@ -1,9 +1,16 @@
 /**
  * SHACL Generator Service
- * Generates SHACL shapes from JSON-LD documents
+ * Generates SHACL shapes from JSON-LD documents, corpora of documents and OWL/RDFS ontologies
  */
 
 import jsonld from 'jsonld';
+import { DataFactory } from 'n3';
+import { parseRdf } from './RdfParser.js';
+import { XSD } from '../utils/xsdLexical.js';
+import { readList } from '../utils/rdfStore.js';
+import { shortenUri, addNamespacePrefix, renderTerm, renderPairs, generateShapeName } from '../utils/turtle.js';
+
+const { namedNode } = DataFactory;
 
 /**
  * Common XSD datatypes mapping
@@ -17,37 +24,6 @@ const XSD_TYPES = {
   dateTime: 'xsd:dateTime'
 };
 
-/**
- * Detect the datatype of a value
- */
-function detectDatatype(value) {
-  if (typeof value === 'boolean') return 'xsd:boolean';
-  if (typeof value === 'number') {
-    return Number.isInteger(value) ? 'xsd:integer' : 'xsd:decimal';
-  }
-  if (typeof value === 'string') {
-    // Check for date patterns
-    if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return 'xsd:dateTime';
-    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'xsd:date';
-    // Check for URI
-    if (/^https?:\/\//.test(value)) return '@id';
-    return 'xsd:string';
-  }
-  return null;
-}
-
-/**
- * Shorten a URI using common prefixes
- */
-function shortenUri(uri, prefixes) {
-  for (const [prefix, namespace] of Object.entries(prefixes)) {
-    if (uri.startsWith(namespace)) {
-      return `${prefix}:${uri.slice(namespace.length)}`;
-    }
-  }
-  return `<${uri}>`;
-}
-
 /**
  * Extract prefixes from context
  */
@@ -99,284 +75,722 @@ function extractPrefixes(context) {
   return prefixes;
 }
 
+const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
 /**
- * Analyze a JSON-LD document and extract property information
+ * Datatypes whose values get sh:minInclusive/sh:maxInclusive ranges in corpus mode
  */
-async function analyzeDocument(doc) {
-  const properties = new Map();
-  const types = new Set();
-  
-  // Expand the document to get full IRIs
-  let expanded;
+const NUMERIC_DATATYPES = new Set([
+  'integer', 'decimal', 'double', 'float', 'long', 'int', 'short', 'byte',
+  'nonNegativeInteger', 'positiveInteger', 'nonPositiveInteger', 'negativeInteger',
+  'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'
+].map(name => XSD + name));
+
+/**
+ * Datatypes whose values get sh:minLength/sh:maxLength ranges in corpus mode
+ */
+const STRING_DATATYPES = new Set([XSD + 'string', RDF_NS + 'langString']);
+
+/**
+ * Generation settings for a single document: constraints hold for every value seen
+ */
+const DOCUMENT_SETTINGS = {
+  requiredThreshold: 1,
+  datatypeThreshold: 1,
+  maxCount: false,
+  ranges: false,
+  maxEnumValues: 0,
+  minEnumOccurrences: 2
+};
+
+/**
+ * Default generation settings for a corpus of documents
+ */
+export const CORPUS_DEFAULTS = {
+  requiredThreshold: 0.95,
+  datatypeThreshold: 0.95,
+  maxCount: true,
+  ranges: true,
+  maxEnumValues: 5,
+  minEnumOccurrences: 2
+};
+
+/**
+ * Convert a JSON-LD document to RDF quads
+ * Remote contexts are loaded with the configured document loader; a context that cannot be
+ * loaded is an error, since guessing its vocabulary would produce shapes for the wrong IRIs
+ */
+async function toQuads(doc) {
   try {
-    expanded = await jsonld.expand(doc);
-  } catch (e) {
-    // If expansion fails, analyze the document as-is
-    expanded = Array.isArray(doc) ? doc : [doc];
+    return await jsonld.toRDF(doc);
+  } catch (error) {
+    if (error.details?.code === 'loading remote context failed') {
+      throw new Error(`Could not load remote context ${error.details.url}; use an inline context or check that it is reachable`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the key of a subject or object term
+ */
+function termId(term) {
+  return term.termType === 'BlankNode' ? `_:${term.value}` : term.value;
+}
+
+/**
+ * Convert the documents of a corpus to quads, keeping blank nodes of different documents apart
+ */
+async function toCorpusQuads(docs) {
+  const quads = [];
+  for (const [index, doc] of docs.entries()) {
+    const relabel = (term) => term.termType === 'BlankNode' ? { ...term, value: `d${index}_${term.value}` } : term;
+    for (const quad of await toQuads(doc)) {
+      quads.push({ ...quad, subject: relabel(quad.subject), object: relabel(quad.object) });
+    }
+  }
+  return quads;
+}
+
+/**
+ * Analyze the merged graph of JSON-LD documents
+ * Indexes every subject with its types and property values, classifies values as literals,
+ * lists, typed nodes, untyped nodes with properties or plain references, and measures how deep
+ * each node is nested below the top-level nodes.
+ */
+async function analyzeGraph(docs) {
+  const quads = await toCorpusQuads(docs);
+  const nodes = new Map();
+  const objectIds = new Set();
+  
+  const getNode = (term) => {
+    const id = termId(term);
+    if (!nodes.has(id)) nodes.set(id, { id, term, types: [], properties: new Map() });
+    return nodes.get(id);
+  };
+  
+  for (const quad of quads) {
+    const node = getNode(quad.subject);
+    if (quad.predicate.value === RDF_NS + 'type' && quad.object.termType === 'NamedNode') {
+      if (!node.types.includes(quad.object.value)) node.types.push(quad.object.value);
+      continue;
+    }
+    
+    if (!node.properties.has(quad.predicate.value)) node.properties.set(quad.predicate.value, []);
+    node.properties.get(quad.predicate.value).push(quad.object);
+    if (quad.object.termType !== 'Literal') {
+      getNode(quad.object);
+      objectIds.add(termId(quad.object));
+    }
   }
   
-  function analyzeNode(node, parentType = null) {
-    if (Array.isArray(node)) {
-      node.forEach(n => analyzeNode(n, parentType));
-      return;
+  // RDF list cells describe @list values, not resources of the document
+  const listCells = new Set(Array.from(nodes.values())
+    .filter(node => node.properties.has(RDF_NS + 'first'))
+    .map(node => node.id));
+  const resources = Array.from(nodes.values()).filter(node => !listCells.has(node.id));
+  
+  const kindOf = (term) => {
+    if (term.termType === 'Literal') return 'literal';
+    const id = termId(term);
+    if (listCells.has(id) || id === RDF_NS + 'nil') return 'list';
+    const node = nodes.get(id);
+    if (node.types.length > 0) return 'typed';
+    return node.properties.size > 0 ? 'untyped' : 'reference';
+  };
+  
+  // Breadth-first from the top-level nodes; nodes only reachable through cycles count as top-level
+  const depth = new Map();
+  let level = resources.filter(node => !objectIds.has(node.id));
+  for (let d = 0; level.length > 0; d++) {
+    level.forEach(node => depth.set(node.id, d));
+    level = level
+      .flatMap(node => Array.from(node.properties.values()).flat())
+      .filter(term => term.termType !== 'Literal' && !depth.has(termId(term)))
+      .map(term => nodes.get(termId(term)));
+  }
+  resources.filter(node => !depth.has(node.id)).forEach(node => depth.set(node.id, 0));
+  
+  return { nodes, resources, objectIds, kindOf, depth };
+}
+
+/**
+ * Get the datatype of a literal, rdf:langString for language-tagged strings
+ */
+function literalDatatype(term) {
+  return term.language ? RDF_NS + 'langString' : term.datatype.value;
+}
+
+/**
+ * Get the distinct values of a property when they form a small enumeration
+ * Only literals and plain IRI references qualify; every distinct value must occur at least
+ * `minEnumOccurrences` times so that free-form values seen once are not mistaken for a value set.
+ * @returns {Array|null} The distinct values, or null when they are not an enumeration
+ */
+function getEnumeration(values, kinds, settings) {
+  if (kinds.size !== 1 || !(kinds.has('literal') || kinds.has('reference'))) return null;
+  
+  const occurrences = new Map();
+  for (const value of values) {
+    const key = value.termType === 'Literal' ? `"${value.value}"@${value.language}^^${value.datatype.value}` : value.value;
+    const entry = occurrences.get(key) || { term: value, count: 0 };
+    entry.count++;
+    occurrences.set(key, entry);
+  }
+  
+  const entries = Array.from(occurrences.values());
+  if (entries.length > settings.maxEnumValues || entries.some(entry => entry.count < settings.minEnumOccurrences)) {
+    return null;
+  }
+  return entries.map(entry => entry.term);
+}
+
+/**
+ * Describe the literal values of a property
+ * The most frequent datatype is used when its share reaches `datatypeThreshold`, otherwise every
+ * datatype seen is allowed with sh:or. With `ranges`, numeric values get the observed
+ * sh:minInclusive/sh:maxInclusive and strings the observed sh:minLength/sh:maxLength.
+ */
+function describeLiterals(values, settings, short, withRanges) {
+  const frequencies = new Map();
+  values.forEach(value => frequencies.set(literalDatatype(value), (frequencies.get(literalDatatype(value)) || 0) + 1));
+  const [datatype, frequency] = Array.from(frequencies).sort((a, b) => b[1] - a[1])[0];
+  
+  if (frequency / values.length < settings.datatypeThreshold) {
+    const alternatives = Array.from(frequencies.keys()).map(dt => `[ sh:datatype ${short(dt)} ]`);
+    return [['sh:or', `( ${alternatives.join(' ')} )`]];
+  }
+  
+  const pairs = [['sh:datatype', short(datatype)]];
+  const typed = values.filter(value => literalDatatype(value) === datatype);
+  if (!settings.ranges || !withRanges) return pairs;
+  
+  if (NUMERIC_DATATYPES.has(datatype)) {
+    const numbers = typed.filter(value => Number.isFinite(Number(value.value)));
+    if (numbers.length > 0) {
+      const sorted = numbers.sort((a, b) => Number(a.value) - Number(b.value));
+      pairs.push(['sh:minInclusive', renderTerm(sorted[0], short)]);
+      pairs.push(['sh:maxInclusive', renderTerm(sorted[sorted.length - 1], short)]);
     }
+  } else if (STRING_DATATYPES.has(datatype)) {
+    const lengths = typed.map(value => Array.from(value.value).length);
+    pairs.push(['sh:minLength', String(Math.min(...lengths))]);
+    pairs.push(['sh:maxLength', String(Math.max(...lengths))]);
+  }
+  return pairs;
+}
+
+/**
+ * Describe a group of nodes as the constraint pairs of a node shape
+ * Every property used by the group gets a property shape: sh:minCount when enough nodes have it
+ * (the smallest number of values seen), sh:maxCount and sh:in when the settings ask for them,
+ * datatype constraints for literals, sh:nodeKind for resources, and sh:node links to
+ * the shape of the values' type, to the shape targeting the property's objects or to an inline
+ * shape describing untyped values.
+ * @param {Array} group - Node records from analyzeGraph
+ * @param {object} state - Graph analysis, prefixes, shape names and options
+ * @param {Set<string>} stack - Ids of the nodes described by enclosing inline shapes
+ */
+function describeNodes(group, state, stack = new Set()) {
+  const { nodes, kindOf, prefixes, shapeNames, untypedTargets, closed, settings } = state;
+  const short = (iri) => {
+    addNamespacePrefix(iri, prefixes);
+    return shortenUri(iri, prefixes);
+  };
+  const pairs = closed ? [['sh:closed', 'true'], ['sh:ignoredProperties', '( rdf:type )']] : [];
+  
+  const predicates = [...new Set(group.flatMap(node => Array.from(node.properties.keys())))];
+  for (const predicate of predicates) {
+    const values = group.flatMap(node => node.properties.get(predicate) || []);
+    const kinds = new Set(values.map(kindOf));
+    const counts = group.map(node => node.properties.get(predicate)?.length || 0).filter(count => count > 0);
+    const required = counts.length / group.length >= settings.requiredThreshold;
+    const property = [['sh:path', short(predicate)]];
     
-    if (typeof node !== 'object' || node === null) return;
+    if (required) {
+      property.push(['sh:minCount', String(Math.min(...counts))]);
+    }
+    if (settings.maxCount) {
+      property.push(['sh:maxCount', String(Math.max(...counts))]);
+    }
     
-    // Get type
-    const nodeType = node['@type'] || node['http://www.w3.org/1999/02/22-rdf-syntax-ns#type'];
-    if (nodeType) {
-      const typeValue = Array.isArray(nodeType) ? nodeType[0] : nodeType;
-      const typeName = typeof typeValue === 'object' ? typeValue['@id'] : typeValue;
-      if (typeName) types.add(typeName);
+    const enumeration = getEnumeration(values, kinds, settings);
+    if (enumeration) {
+      property.push(['sh:in', `( ${enumeration.map(value => renderTerm(value, short)).join(' ')} )`]);
     }
     
-    // Analyze properties
-    for (const [key, value] of Object.entries(node)) {
-      if (key.startsWith('@')) continue;
-      
-      const propInfo = {
-        path: key,
-        count: 1,
-        types: new Set(),
-        isArray: Array.isArray(value),
-        isRequired: true,
-        nodeKind: null
-      };
+    if (kinds.size === 1 && kinds.has('literal')) {
+      property.push(...describeLiterals(values, settings, short, !enumeration));
+    } else if (!kinds.has('literal') && !kinds.has('list')) {
+      const termTypes = new Set(values.map(v => v.termType));
+      property.push(['sh:nodeKind', termTypes.size > 1 ? 'sh:BlankNodeOrIRI' : termTypes.has('NamedNode') ? 'sh:IRI' : 'sh:BlankNode']);
       
-      // Determine property characteristics
-      const values = Array.isArray(value) ? value : [value];
-      for (const v of values) {
-        if (typeof v === 'object' && v !== null) {
-          if (v['@id']) {
-            propInfo.nodeKind = 'sh:IRI';
-            propInfo.types.add('@id');
-          } else if (v['@value']) {
-            const dtype = detectDatatype(v['@value']);
-            if (dtype) propInfo.types.add(dtype);
-          } else {
-            // Nested object
-            propInfo.nodeKind = 'sh:BlankNodeOrIRI';
-            analyzeNode(v);
-          }
+      if (kinds.size === 1 && kinds.has('typed')) {
+        // Link to the shapes of the types all values share, or to any of the value types
+        const typeLists = values.map(v => nodes.get(termId(v)).types);
+        const common = typeLists[0].filter(type => typeLists.every(types => types.includes(type)));
+        if (common.length > 0) {
+          common.forEach(type => property.push(['sh:node', shapeNames.get(`type ${type}`)]));
+        } else {
+          const alternatives = [...new Set(typeLists.map(types => types[0]))]
+            .map(type => `[ sh:node ${shapeNames.get(`type ${type}`)} ]`);
+          property.push(['sh:or', `( ${alternatives.join(' ')} )`]);
+        }
+      } else if (kinds.size === 1 && kinds.has('untyped')) {
+        if (untypedTargets.has(predicate)) {
+          property.push(['sh:node', shapeNames.get(`objectsOf ${predicate}`)]);
         } else {
-          const dtype = detectDatatype(v);
-          if (dtype) propInfo.types.add(dtype);
-          if (dtype === '@id') {
-            propInfo.nodeKind = 'sh:IRI';
+          const nested = [...new Set(values.map(termId))]
+            .filter(id => !stack.has(id))
+            .map(id => nodes.get(id));
+          if (nested.length > 0) {
+            const inner = new Set([...stack, ...group.map(node => node.id)]);
+            property.push(['sh:node', describeNodes(nested, state, inner)]);
           }
         }
       }
-      
-      // Merge with existing property info
-      if (properties.has(key)) {
-        const existing = properties.get(key);
-        existing.count++;
-        propInfo.types.forEach(t => existing.types.add(t));
-        if (propInfo.nodeKind) existing.nodeKind = propInfo.nodeKind;
-      } else {
-        properties.set(key, propInfo);
-      }
     }
+    
+    if (required) {
+      property.push(['sh:message', `"Property ${predicate.split(/[#/]/).pop()} is required"`]);
+    }
+    pairs.push(['sh:property', property]);
   }
   
-  for (const node of expanded) {
-    analyzeNode(node);
-  }
-  
-  return { properties, types };
+  return pairs;
 }
 
 /**
- * Generate a valid SHACL shape name from a class name
- * @param {string} targetClass - The target class (prefixed or full URI)
- * @param {object} prefixes - Available prefixes
- * @returns {string} A valid Turtle shape name
+ * Generate SHACL shapes in Turtle from the merged graph of JSON-LD documents
+ * Each distinct rdf:type gets a node shape targeting its instances, properties whose values are
+ * all untyped nested objects get a shape with sh:targetObjectsOf, other untyped nested objects
+ * are described by inline shapes, and untyped top-level nodes share a shape targeting them with
+ * sh:targetNode. Shapes are linked with sh:node.
+ * @param {Array<object>} docs - JSON-LD documents
+ * @param {object} settings - DOCUMENT_SETTINGS or corpus settings
+ * @param {boolean} closed - Emit closed shapes
+ * @param {Array<string>} comments - Header comment lines
+ * @returns {Promise<string>}
  */
-function generateShapeName(targetClass, prefixes) {
-  if (!targetClass) {
-    return 'ex:GeneratedShape';
+async function generateShapes(docs, settings, closed, comments) {
+  const prefixes = Object.assign({}, ...docs.map(doc => extractPrefixes(doc['@context'] || {})));
+  
+  // Ensure we have an 'ex' prefix for generated shapes
+  if (!prefixes['ex']) {
+    prefixes['ex'] = 'https://example.org/shapes#';
   }
   
-  // If it's a full URI wrapped in <>
-  if (targetClass.startsWith('<') && targetClass.endsWith('>')) {
-    const uri = targetClass.slice(1, -1);
-    // Extract local name from URI
-    let localName = uri.split('/').pop() || uri.split('#').pop() || 'Thing';
-    // Clean up the local name to be a valid identifier
-    localName = localName.replace(/[^a-zA-Z0-9_-]/g, '');
-    if (!localName) localName = 'Thing';
-    return `ex:${localName}Shape`;
+  const analysis = await analyzeGraph(docs);
+  const { resources, objectIds, kindOf, depth } = analysis;
+  const byDepth = (a, b) => Math.min(...a.members.map(n => depth.get(n.id))) - Math.min(...b.members.map(n => depth.get(n.id)));
+  
+  // One shape per type, ordered from the top-level nodes down to the most nested ones
+  const typeGroups = new Map();
+  for (const node of resources) {
+    for (const type of node.types) {
+      if (!typeGroups.has(type)) typeGroups.set(type, []);
+      typeGroups.get(type).push(node);
+    }
   }
   
-  // If it's a prefixed name (e.g., schema:Person)
-  if (targetClass.includes(':')) {
-    const [prefix, localName] = targetClass.split(':');
-    // Check if the prefix exists
-    if (prefixes[prefix]) {
-      // Clean up local name
-      const cleanName = localName.replace(/[^a-zA-Z0-9_-]/g, '');
-      return `${prefix}:${cleanName}Shape`;
-    } else {
-      // Use ex: prefix for unknown prefixes
-      const cleanName = localName.replace(/[^a-zA-Z0-9_-]/g, '');
-      return `ex:${cleanName}Shape`;
+  // Properties whose values are all untyped nodes with properties can target their objects
+  const objectsOf = new Map();
+  for (const node of resources) {
+    for (const [predicate, values] of node.properties) {
+      if (!objectsOf.has(predicate)) objectsOf.set(predicate, []);
+      objectsOf.get(predicate).push(...values);
+    }
+  }
+  const untypedTargets = new Map();
+  for (const [predicate, values] of objectsOf) {
+    if (values.every(value => kindOf(value) === 'untyped')) {
+      const ids = [...new Set(values.map(termId))];
+      untypedTargets.set(predicate, ids.map(id => analysis.nodes.get(id)));
+    }
+  }
+  
+  const roots = resources.filter(node => node.types.length === 0 && node.properties.size > 0 && !objectIds.has(node.id));
+  
+  // Name every shape up front so that sh:node links can refer to shapes written later
+  const shapeNames = new Map();
+  const usedNames = new Set();
+  const nameShape = (key, targetClass) => {
+    const base = generateShapeName(targetClass, prefixes);
+    let name = base;
+    for (let i = 2; usedNames.has(name); i++) {
+      name = base.replace(/Shape$/, `${i}Shape`);
+    }
+    usedNames.add(name);
+    shapeNames.set(key, name);
+  };
+  const short = (iri) => {
+    addNamespacePrefix(iri, prefixes);
+    return shortenUri(iri, prefixes);
+  };
+  
+  const shapes = [];
+  if (roots.length > 0 || typeGroups.size === 0) {
+    nameShape('roots', null);
+    shapes.push({
+      key: 'roots',
+      targets: roots.filter(node => node.term.termType === 'NamedNode').map(node => ['sh:targetNode', short(node.id)]),
+      members: roots
+    });
+  }
+  
+  const typeShapes = Array.from(typeGroups, ([type, members]) => ({ key: `type ${type}`, type, members })).sort(byDepth);
+  for (const shape of typeShapes) {
+    nameShape(shape.key, short(shape.type));
+    shape.targets = [['sh:targetClass', short(shape.type)]];
+  }
+  
+  const objectShapes = Array.from(untypedTargets, ([predicate, members]) => ({ key: `objectsOf ${predicate}`, predicate, members })).sort(byDepth);
+  for (const shape of objectShapes) {
+    const property = short(shape.predicate);
+    nameShape(shape.key, property.startsWith('<') ? `<${shape.predicate}Value>` : `${property}Value`);
+    shape.targets = [['sh:targetObjectsOf', short(shape.predicate)]];
+  }
+  
+  const state = { ...analysis, prefixes, shapeNames, untypedTargets, closed, settings };
+  const body = [];
+  for (const shape of [...shapes, ...typeShapes, ...objectShapes]) {
+    const lines = renderPairs([...shape.targets, ...(shape.members.length > 0 ? describeNodes(shape.members, state) : [])]);
+    body.push('');
+    body.push(lines.length > 0 ? `${shapeNames.get(shape.key)} a sh:NodeShape ;` : `${shapeNames.get(shape.key)} a sh:NodeShape .`);
+    if (lines.length > 0) {
+      lines[lines.length - 1] = lines[lines.length - 1].replace(/ ;$/, ' .');
+      body.push(...lines);
     }
   }
   
-  // Plain name without prefix
-  const cleanName = targetClass.replace(/[^a-zA-Z0-9_-]/g, '');
-  return `ex:${cleanName || 'Generated'}Shape`;
+  // Prefixes are written last so that they include the namespaces found while writing shapes
+  const lines = Object.entries(prefixes).map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .`);
+  lines.push('');
+  lines.push('# Generated SHACL Shapes');
+  lines.push(...comments.map(comment => `# ${comment}`));
+  lines.push(...body);
+  
+  return lines.join('\n');
 }
 
 /**
  * Generate SHACL shapes from a JSON-LD document
+ * Analyzes the whole graph; a property is required when every node of a type has it.
  * @param {object} jsonldDoc - The JSON-LD document to analyze
+ * @param {object} options - Generation options
+ * @param {boolean} options.closed - Emit closed shapes (sh:closed true, ignoring rdf:type)
+ * @returns {Promise<{success: boolean, data?: string, error?: string}>}
+ */
+export async function generateFromJsonLd(jsonldDoc, options = {}) {
+  try {
+    const { closed = false } = options;
+    const data = await generateShapes([jsonldDoc], DOCUMENT_SETTINGS, closed, [
+      'One node shape per type found in the JSON-LD graph'
+    ]);
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Learn SHACL shapes from a corpus of JSON-LD documents
+ * Statistics are gathered per type over all instances in the corpus: a property is required when
+ * the share of instances having it reaches `requiredThreshold`, and gets the smallest and largest
+ * number of values seen as sh:minCount/sh:maxCount. Literal values get their dominant datatype,
+ * observed numeric and string length ranges, and small value sets become sh:in enumerations.
+ * @param {Array<object>} documents - JSON-LD documents
+ * @param {object} options - Generation options, defaults in CORPUS_DEFAULTS
+ * @param {boolean} options.closed - Emit closed shapes (sh:closed true, ignoring rdf:type)
+ * @param {number} options.requiredThreshold - Share of instances (0-1] that must have a property for sh:minCount
+ * @param {number} options.datatypeThreshold - Share of values (0-1] the dominant datatype needs for sh:datatype
+ * @param {boolean} options.maxCount - Emit the observed sh:maxCount
+ * @param {boolean} options.ranges - Emit observed numeric ranges and string lengths
+ * @param {number} options.maxEnumValues - Largest number of distinct values turned into sh:in (0 disables)
+ * @param {number} options.minEnumOccurrences - Times each value must occur for sh:in
+ * @returns {Promise<{success: boolean, data?: string, error?: string}>}
+ */
+export async function generateFromCorpus(documents, options = {}) {
+  try {
+    const { closed = false, ...overrides } = options;
+    const settings = { ...CORPUS_DEFAULTS, ...overrides };
+    
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw new Error('A corpus needs at least one JSON-LD document');
+    }
+    for (const name of ['requiredThreshold', 'datatypeThreshold']) {
+      if (!(settings[name] > 0 && settings[name] <= 1)) {
+        throw new Error(`${name} must be greater than 0 and at most 1`);
+      }
+    }
+    
+    const data = await generateShapes(documents, settings, closed, [
+      `Learned from ${documents.length} document${documents.length === 1 ? '' : 's'}`,
+      `Properties are required when present in at least ${Math.round(settings.requiredThreshold * 100)}% of the instances of a type`
+    ]);
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+const OWL = 'http://www.w3.org/2002/07/owl#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+
+/**
+ * Get the objects of a subject and predicate in an N3 store
+ */
+function objectsOf(store, subject, predicate) {
+  return store.getObjects(subject, namedNode(predicate), null);
+}
+
+/**
+ * Check whether a resource has a given rdf:type
+ */
+function hasType(store, subject, type) {
+  return store.countQuads(subject, namedNode(RDF_NS + 'type'), namedNode(type), null) > 0;
+}
+
+/**
+ * Check whether a range IRI is a datatype rather than a class
+ */
+function isDatatype(store, iri) {
+  return iri.value.startsWith(XSD) || iri.value === RDF_NS + 'langString' || hasType(store, iri, RDFS + 'Datatype');
+}
+
+/**
+ * Describe the values a property's rdfs:range allows as property shape constraints
+ * Datatypes give sh:datatype, rdfs:Literal sh:nodeKind sh:Literal, enumerated classes and data
+ * ranges (owl:oneOf) sh:in, unions of classes sh:or, and other classes sh:class. Properties without
+ * a range only get a node kind from their owl:ObjectProperty or owl:DatatypeProperty type.
+ */
+function describeRange(store, property) {
+  const constraints = {};
+  for (const range of objectsOf(store, property, RDFS + 'range')) {
+    const oneOf = objectsOf(store, range, OWL + 'oneOf')[0];
+    const unionOf = objectsOf(store, range, OWL + 'unionOf')[0];
+    const onDatatype = objectsOf(store, range, OWL + 'onDatatype')[0];
+    
+    if (oneOf) {
+      constraints.in = readList(store, oneOf);
+    } else if (unionOf) {
+      constraints.or = readList(store, unionOf).filter(member => member.termType === 'NamedNode');
+    } else if (onDatatype) {
+      constraints.datatype = onDatatype;
+    } else if (range.termType !== 'NamedNode') {
+      continue;
+    } else if (range.value === RDFS + 'Literal') {
+      constraints.nodeKind = 'sh:Literal';
+    } else if (isDatatype(store, range)) {
+      constraints.datatype = range;
+    } else if (range.value === OWL + 'Thing' || range.value === RDFS + 'Resource') {
+      constraints.nodeKind = 'sh:BlankNodeOrIRI';
+    } else {
+      constraints.class = range;
+    }
+  }
+  
+  if (Object.keys(constraints).length === 0) {
+    if (hasType(store, property, OWL + 'ObjectProperty')) constraints.nodeKind = 'sh:BlankNodeOrIRI';
+    if (hasType(store, property, OWL + 'DatatypeProperty')) constraints.nodeKind = 'sh:Literal';
+  }
+  if (hasType(store, property, OWL + 'FunctionalProperty')) {
+    constraints.maxCount = 1;
+  }
+  return constraints;
+}
+
+/**
+ * Get the restrictions a class is declared with
+ * Restrictions are read from rdfs:subClassOf and owl:equivalentClass, also inside owl:intersectionOf.
+ */
+function getRestrictions(store, cls) {
+  const expressions = [...objectsOf(store, cls, RDFS + 'subClassOf'), ...objectsOf(store, cls, OWL + 'equivalentClass')]
+    .filter(expression => expression.termType === 'BlankNode');
+  const members = expressions.flatMap(expression => {
+    const intersection = objectsOf(store, expression, OWL + 'intersectionOf')[0];
+    return intersection ? readList(store, intersection) : [expression];
+  });
+  return members.filter(member => objectsOf(store, member, OWL + 'onProperty').length > 0);
+}
+
+/**
+ * Narrow a property shape with an OWL restriction
+ * Cardinalities (qualified or not) give sh:minCount/sh:maxCount, owl:allValuesFrom and the
+ * qualifying class or data range the value type, owl:someValuesFrom requires a value and
+ * owl:hasValue gives sh:hasValue.
+ */
+function applyRestriction(store, restriction, spec) {
+  const number = (predicate) => {
+    const [value] = objectsOf(store, restriction, OWL + predicate);
+    return value ? parseInt(value.value, 10) : null;
+  };
+  const setValueType = (term) => {
+    if (!term || term.termType !== 'NamedNode') return;
+    if (isDatatype(store, term)) {
+      spec.datatype = term;
+      delete spec.class;
+    } else if (term.value !== OWL + 'Thing') {
+      spec.class = term;
+      delete spec.datatype;
+    }
+    delete spec.nodeKind;
+    delete spec.or;
+  };
+  
+  const exact = number('cardinality') ?? number('qualifiedCardinality');
+  const min = exact ?? number('minCardinality') ?? number('minQualifiedCardinality');
+  const max = exact ?? number('maxCardinality') ?? number('maxQualifiedCardinality');
+  if (min !== null && min > 0) spec.minCount = Math.max(spec.minCount || 0, min);
+  if (max !== null) spec.maxCount = Math.min(spec.maxCount ?? Infinity, max);
+  
+  setValueType(objectsOf(store, restriction, OWL + 'onClass')[0] || objectsOf(store, restriction, OWL + 'onDataRange')[0]);
+  setValueType(objectsOf(store, restriction, OWL + 'allValuesFrom')[0]);
+  
+  if (objectsOf(store, restriction, OWL + 'someValuesFrom').length > 0) {
+    spec.minCount = Math.max(spec.minCount || 0, 1);
+  }
+  const [hasValue] = objectsOf(store, restriction, OWL + 'hasValue');
+  if (hasValue) spec.hasValue = hasValue;
+}
+
+/**
+ * Render a property shape description as Turtle pairs
+ */
+function renderPropertySpec(spec, short) {
+  const pairs = [['sh:path', short(spec.path.value)]];
+  if (spec.name) pairs.push(['sh:name', renderTerm(spec.name, short)]);
+  if (spec.description) pairs.push(['sh:description', renderTerm(spec.description, short)]);
+  if (spec.minCount) pairs.push(['sh:minCount', String(spec.minCount)]);
+  if (spec.maxCount !== undefined && spec.maxCount !== Infinity) pairs.push(['sh:maxCount', String(spec.maxCount)]);
+  if (spec.datatype) pairs.push(['sh:datatype', short(spec.datatype.value)]);
+  if (spec.class) pairs.push(['sh:class', short(spec.class.value)]);
+  if (spec.nodeKind) pairs.push(['sh:nodeKind', spec.nodeKind]);
+  if (spec.in) pairs.push(['sh:in', `( ${spec.in.map(term => renderTerm(term, short)).join(' ')} )`]);
+  if (spec.or) pairs.push(['sh:or', `( ${spec.or.map(term => `[ sh:class ${short(term.value)} ]`).join(' ')} )`]);
+  if (spec.hasValue) pairs.push(['sh:hasValue', renderTerm(spec.hasValue, short)]);
+  return pairs;
+}
+
+/**
+ * Generate SHACL shapes from an OWL or RDFS ontology
+ * Every owl:Class or rdfs:Class gets a node shape targeting it, with a property shape for each
+ * property whose rdfs:domain is the class (or a union including it) or that a restriction of the
+ * class is on. rdfs:range gives sh:datatype, sh:class or sh:in (owl:oneOf),
+ * owl:FunctionalProperty gives sh:maxCount 1, and cardinality restrictions give
+ * sh:minCount/sh:maxCount. Enumerated classes get sh:in, and named superclasses are linked with
+ * sh:node to their shapes.
+ * @param {string} ontology - The ontology in Turtle, N-Triples, TriG or JSON-LD
+ * @param {object} options - Generation options
+ * @param {boolean} options.closed - Emit closed shapes (sh:closed true, ignoring rdf:type)
  * @returns {Promise<{success: boolean, data?: string, error?: string}>}
  */
-export async function generateFromJsonLd(jsonldDoc) {
+export async function generateFromOntology(ontology, options = {}) {
   try {
-    const context = jsonldDoc['@context'] || {};
-    const prefixes = extractPrefixes(context);
+    const { closed = false } = options;
+    const { store, prefixes: declared } = await parseRdf(ontology);
     
-    // Ensure we have an 'ex' prefix for generated shapes
+    const prefixes = {
+      sh: 'http://www.w3.org/ns/shacl#',
+      xsd: XSD,
+      rdf: RDF_NS,
+      ...Object.fromEntries(Object.entries(declared).filter(([prefix]) => prefix && !prefix.startsWith('_')))
+    };
     if (!prefixes['ex']) {
       prefixes['ex'] = 'https://example.org/shapes#';
     }
+    const short = (iri) => {
+      addNamespacePrefix(iri, prefixes);
+      return shortenUri(iri, prefixes);
+    };
     
-    const { properties, types } = await analyzeDocument(jsonldDoc);
-    
-    // Build Turtle output
-    const lines = [];
+    const classes = new Map();
+    const getClass = (term) => {
+      if (!classes.has(term.value)) classes.set(term.value, { term, properties: new Map() });
+      return classes.get(term.value);
+    };
+    const getSpec = (cls, property) => {
+      const { properties } = getClass(cls);
+      if (!properties.has(property.value)) {
+        const [name] = objectsOf(store, property, RDFS + 'label');
+        const [description] = objectsOf(store, property, RDFS + 'comment');
+        properties.set(property.value, { path: property, name, description, ...describeRange(store, property) });
+      }
+      return properties.get(property.value);
+    };
     
-    // Add prefixes
-    for (const [prefix, namespace] of Object.entries(prefixes)) {
-      lines.push(`@prefix ${prefix}: <${namespace}> .`);
+    for (const type of [OWL + 'Class', RDFS + 'Class']) {
+      store.getSubjects(namedNode(RDF_NS + 'type'), namedNode(type), null)
+        .filter(cls => cls.termType === 'NamedNode' && cls.value !== OWL + 'Thing')
+        .forEach(getClass);
     }
-    lines.push('');
     
-    // Determine shape target
-    const docType = jsonldDoc['@type'];
-    let targetClass = null;
+    for (const quad of store.getQuads(null, namedNode(RDFS + 'domain'), null, null)) {
+      const unionOf = objectsOf(store, quad.object, OWL + 'unionOf')[0];
+      const domains = unionOf ? readList(store, unionOf) : [quad.object];
+      domains
+        .filter(domain => domain.termType === 'NamedNode' && domain.value !== OWL + 'Thing')
+        .forEach(domain => getSpec(domain, quad.subject));
+    }
     
-    if (docType) {
-      const typeName = Array.isArray(docType) ? docType[0] : docType;
-      if (typeName.includes(':')) {
-        targetClass = typeName;
-      } else if (typeof context === 'string' && context.includes('schema.org')) {
-        targetClass = `schema:${typeName}`;
-        if (!prefixes['schema']) {
-          lines.unshift('@prefix schema: <https://schema.org/> .');
-          prefixes['schema'] = 'https://schema.org/';
+    for (const { term } of Array.from(classes.values())) {
+      for (const restriction of getRestrictions(store, term)) {
+        const [property] = objectsOf(store, restriction, OWL + 'onProperty');
+        if (property.termType === 'NamedNode') {
+          applyRestriction(store, restriction, getSpec(term, property));
         }
-      } else if (Array.isArray(context)) {
-        // For array contexts, try to find a suitable prefix or use ex:
-        targetClass = `ex:${typeName}`;
-      } else if (context && typeof context === 'object' && context['@vocab']) {
-        const vocab = context['@vocab'];
-        // Find or create prefix for vocab
-        let vocabPrefix = null;
-        for (const [prefix, ns] of Object.entries(prefixes)) {
-          if (ns === vocab) {
-            vocabPrefix = prefix;
-            break;
-          }
-        }
-        if (!vocabPrefix) {
-          vocabPrefix = 'ex';
-          if (!lines.some(l => l.includes('@prefix ex:'))) {
-            lines.unshift(`@prefix ex: <${vocab}> .`);
-          }
-          prefixes['ex'] = vocab;
-        }
-        targetClass = `${vocabPrefix}:${typeName}`;
-      } else {
-        // Use ex: prefix for plain type names
-        targetClass = `ex:${typeName}`;
       }
     }
     
-    // Generate a valid shape name
-    const shapeName = generateShapeName(targetClass, prefixes);
-    
-    lines.push(`# Generated SHACL Shape`);
-    lines.push(`# Based on analyzed JSON-LD document structure`);
-    lines.push('');
+    if (classes.size === 0) {
+      throw new Error('No classes found in the ontology');
+    }
     
-    if (targetClass) {
-      lines.push(`${shapeName} a sh:NodeShape ;`);
-      lines.push(`    sh:targetClass ${targetClass} ;`);
-    } else {
-      lines.push(`${shapeName} a sh:NodeShape ;`);
+    const shapeNames = new Map();
+    const usedNames = new Set();
+    for (const iri of classes.keys()) {
+      const base = generateShapeName(short(iri), prefixes);
+      let name = base;
+      for (let i = 2; usedNames.has(name); i++) {
+        name = base.replace(/Shape$/, `${i}Shape`);
+      }
+      usedNames.add(name);
+      shapeNames.set(iri, name);
     }
     
-    // Add property shapes
-    const propEntries = Array.from(properties.entries());
-    propEntries.forEach(([path, info], index) => {
-      const isLast = index === propEntries.length - 1;
-      const terminator = isLast ? ' .' : ' ;';
+    const body = [];
+    for (const [iri, { term, properties }] of classes) {
+      const pairs = [['sh:targetClass', short(iri)]];
+      const [label] = objectsOf(store, term, RDFS + 'label');
+      if (label) pairs.push(['rdfs:label', renderTerm(label, short)]);
+      if (closed) pairs.push(['sh:closed', 'true'], ['sh:ignoredProperties', '( rdf:type )']);
       
-      lines.push(`    sh:property [`);
+      objectsOf(store, term, RDFS + 'subClassOf')
+        .filter(superClass => shapeNames.has(superClass.value) && superClass.value !== iri)
+        .forEach(superClass => pairs.push(['sh:node', shapeNames.get(superClass.value)]));
       
-      // Determine path - ensure valid Turtle syntax
-      let shapePath = path;
-      if (path.startsWith('http://') || path.startsWith('https://')) {
-        shapePath = shortenUri(path, prefixes);
-        lines.push(`        sh:path ${shapePath} ;`);
-      } else if (path.includes(':')) {
-        // Already prefixed
-        lines.push(`        sh:path ${path} ;`);
-      } else {
-        // Try to resolve from context (handle both object and array contexts)
-        let ctxValue = null;
-        if (Array.isArray(context)) {
-          // Search through array contexts for the property
-          for (const ctx of context) {
-            if (ctx && typeof ctx === 'object' && ctx[path]) {
-              ctxValue = ctx[path];
-              break;
-            }
-          }
-        } else if (context && typeof context === 'object' && !Array.isArray(context)) {
-          ctxValue = context[path];
-        }
-        
-        if (ctxValue && typeof ctxValue === 'string') {
-          const shortPath = shortenUri(ctxValue, prefixes);
-          lines.push(`        sh:path ${shortPath} ;`);
-        } else if (targetClass && targetClass.includes(':')) {
-          const prefix = targetClass.split(':')[0];
-          // Ensure the property name is a valid local name
-          const cleanPath = path.replace(/[^a-zA-Z0-9_-]/g, '') || 'property';
-          lines.push(`        sh:path ${prefix}:${cleanPath} ;`);
-        } else {
-          // Use ex: prefix for unknown properties
-          const cleanPath = path.replace(/[^a-zA-Z0-9_-]/g, '') || 'property';
-          lines.push(`        sh:path ex:${cleanPath} ;`);
-        }
+      const [oneOf] = objectsOf(store, term, OWL + 'oneOf');
+      if (oneOf) {
+        pairs.push(['sh:in', `( ${readList(store, oneOf).map(item => renderTerm(item, short)).join(' ')} )`]);
       }
       
-      // Add constraints based on analysis
-      lines.push(`        sh:minCount 1 ;`);
-      
-      // Add datatype or nodeKind
-      if (info.nodeKind) {
-        lines.push(`        sh:nodeKind ${info.nodeKind} ;`);
-      } else if (info.types.size === 1) {
-        const dtype = Array.from(info.types)[0];
-        if (dtype && dtype !== '@id') {
-          lines.push(`        sh:datatype ${dtype} ;`);
-        }
+      for (const spec of properties.values()) {
+        pairs.push(['sh:property', renderPropertySpec(spec, short)]);
       }
       
-      lines.push(`        sh:message "Property ${path} is required" ;`);
-      lines.push(`    ]${terminator}`);
-    });
+      const lines = renderPairs(pairs);
+      lines[lines.length - 1] = lines[lines.length - 1].replace(/ ;$/, ' .');
+      body.push('', `${shapeNames.get(iri)} a sh:NodeShape ;`, ...lines);
+    }
     
-    // If no properties, close the shape
-    if (propEntries.length === 0) {
-      lines[lines.length - 1] = lines[lines.length - 1].replace(' ;', ' .');
+    if (body.some(line => line.includes('rdfs:'))) {
+      prefixes.rdfs = prefixes.rdfs || RDFS;
     }
+    const lines = Object.entries(prefixes).map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .`);
+    lines.push('');
+    lines.push('# Generated SHACL Shapes');
+    lines.push('# One node shape per class of the ontology');
+    lines.push(...body);
     
     return { success: true, data: lines.join('\n') };
   } catch (error) {
@@ -410,5 +824,7 @@ ex:${typeName}Shape a sh:NodeShape ;
 
 export default {
   generateFromJsonLd,
+  generateFromCorpus,
+  generateFromOntology,
   generateTemplate
 };
@@ -3,31 +3,91 @@
  * Validates JSON-LD data against SHACL shapes
  */
 
-import { Parser, Store, DataFactory } from 'n3';
+import { Parser, Store, Writer, DataFactory } from 'n3';
 import jsonld from 'jsonld';
+import { select } from './SparqlEngine.js';
+import { parseRdf } from './RdfParser.js';
+import { isWellFormed, checkLexicalForm, coerceLexicalForm, sampleLexicalForm, parseTemporal } from '../utils/xsdLexical.js';
 
 const { namedNode, literal, blankNode, quad } = DataFactory;
 
 /**
- * Parse Turtle/SHACL shapes into an N3 store
- * @param {string} shacl - SHACL shapes in Turtle format
- * @returns {Promise<Store>} N3 Store with parsed shapes
+ * Parse SHACL shapes into an N3 store
+ * @param {string} shacl - SHACL shapes in Turtle, N-Triples, TriG or JSON-LD (detected automatically)
+ * @returns {Promise<{store: Store, prefixes: object, format: string}>} N3 Store with parsed shapes,
+ *   the declared prefixes and the detected format
  */
 async function parseShacl(shacl) {
-  return new Promise((resolve, reject) => {
-    const store = new Store();
-    const parser = new Parser({ format: 'text/turtle' });
+  return parseRdf(shacl);
+}
+
+/**
+ * Normalise the shapes argument of validate() into shapes sources
+ * A string is a single unnamed shapes graph; array entries are RDF strings or
+ * `{ name, content, iri?, enabled? }` objects describing named shapes graphs
+ * @returns {Array<{name: string|null, content: string, iri?: string, enabled?: boolean}>}
+ */
+function normalizeShapesSources(shaclShapes) {
+  if (!Array.isArray(shaclShapes)) {
+    return [{ name: null, content: shaclShapes }];
+  }
+  return shaclShapes.map((source, i) =>
+    typeof source === 'string' ? { name: `shapes-${i + 1}`, content: source } : source
+  );
+}
+
+/**
+ * Parse the enabled shapes sources and the graphs they import with owl:imports into one store
+ * Imports are looked up among all given sources (by `iri` or `name`, enabled or not) before
+ * calling `resolveImport`. Enabled sources with the same content, such as the editor shapes and a
+ * graph registered from them, are loaded once under the name of the last of them, so that their
+ * blank node shapes are not duplicated. The graphs each shape is described in are recorded in order.
+ * @param {string|Array} shaclShapes - Shapes sources as accepted by validate()
+ * @param {function(string): Promise<string|null>} [resolveImport] - Load an imported graph by IRI
+ * @returns {Promise<{store: Store, prefixes: object, shapeGraphs: Map<string, string[]>}>}
+ */
+async function loadShapesGraphs(shaclShapes, resolveImport = null) {
+  const sources = normalizeShapesSources(shaclShapes);
+  const store = new Store();
+  const prefixes = {};
+  const shapeGraphs = new Map();
+  const loaded = new Set();
+  const enabled = sources.filter(source => source.enabled !== false);
+  const queue = enabled.filter((source, i) =>
+    !enabled.slice(i + 1).some(other => other.content.trim() === source.content.trim())
+  );
+  
+  while (queue.length > 0) {
+    const source = queue.shift();
+    const key = source.iri || source.name;
+    if (key && loaded.has(key)) continue;
+    if (key) loaded.add(key);
     
-    parser.parse(shacl, (error, quad, prefixes) => {
-      if (error) {
-        reject(error);
-      } else if (quad) {
-        store.addQuad(quad);
-      } else {
-        resolve(store);
+    const parsed = await parseShacl(source.content);
+    Object.assign(prefixes, parsed.prefixes);
+    
+    for (const q of parsed.store.getQuads(null, null, null, null)) {
+      store.addQuad(q.subject, q.predicate, q.object);
+      if (!source.name) continue;
+      const graphs = shapeGraphs.get(q.subject.id) || [];
+      if (!graphs.includes(source.name)) graphs.push(source.name);
+      shapeGraphs.set(q.subject.id, graphs);
+    }
+    
+    for (const q of parsed.store.getQuads(null, namedNode(OWL.imports), null, null)) {
+      const iri = q.object.value;
+      if (loaded.has(iri)) continue;
+      
+      const registered = sources.find(other => other.iri === iri || other.name === iri);
+      const content = registered ? registered.content : resolveImport ? await resolveImport(iri) : null;
+      if (content === null || content === undefined) {
+        throw new Error(`Cannot resolve owl:imports <${iri}>`);
       }
-    });
-  });
+      queue.push({ name: registered ? registered.name : iri, iri, content });
+    }
+  }
+  
+  return { store, prefixes, shapeGraphs };
 }
 
 /**
@@ -40,7 +100,7 @@ async function jsonldToStore(jsonldDoc) {
   
   return new Promise((resolve, reject) => {
     const store = new Store();
-    const parser = new Parser({ format: 'application/n-quads' });
+    const parser = new Parser({ format: 'application/n-quads', blankNodePrefix: '' });
     
     parser.parse(nquads, (error, quad) => {
       if (error) {
@@ -62,8 +122,15 @@ const SH = {
   PropertyShape: 'http://www.w3.org/ns/shacl#PropertyShape',
   targetClass: 'http://www.w3.org/ns/shacl#targetClass',
   targetNode: 'http://www.w3.org/ns/shacl#targetNode',
+  targetSubjectsOf: 'http://www.w3.org/ns/shacl#targetSubjectsOf',
+  targetObjectsOf: 'http://www.w3.org/ns/shacl#targetObjectsOf',
   property: 'http://www.w3.org/ns/shacl#property',
   path: 'http://www.w3.org/ns/shacl#path',
+  inversePath: 'http://www.w3.org/ns/shacl#inversePath',
+  alternativePath: 'http://www.w3.org/ns/shacl#alternativePath',
+  zeroOrMorePath: 'http://www.w3.org/ns/shacl#zeroOrMorePath',
+  oneOrMorePath: 'http://www.w3.org/ns/shacl#oneOrMorePath',
+  zeroOrOnePath: 'http://www.w3.org/ns/shacl#zeroOrOnePath',
   minCount: 'http://www.w3.org/ns/shacl#minCount',
   maxCount: 'http://www.w3.org/ns/shacl#maxCount',
   datatype: 'http://www.w3.org/ns/shacl#datatype',
@@ -73,7 +140,55 @@ const SH = {
   pattern: 'http://www.w3.org/ns/shacl#pattern',
   minInclusive: 'http://www.w3.org/ns/shacl#minInclusive',
   maxInclusive: 'http://www.w3.org/ns/shacl#maxInclusive',
+  minExclusive: 'http://www.w3.org/ns/shacl#minExclusive',
+  maxExclusive: 'http://www.w3.org/ns/shacl#maxExclusive',
   in: 'http://www.w3.org/ns/shacl#in',
+  class: 'http://www.w3.org/ns/shacl#class',
+  node: 'http://www.w3.org/ns/shacl#node',
+  and: 'http://www.w3.org/ns/shacl#and',
+  or: 'http://www.w3.org/ns/shacl#or',
+  not: 'http://www.w3.org/ns/shacl#not',
+  xone: 'http://www.w3.org/ns/shacl#xone',
+  equals: 'http://www.w3.org/ns/shacl#equals',
+  disjoint: 'http://www.w3.org/ns/shacl#disjoint',
+  lessThan: 'http://www.w3.org/ns/shacl#lessThan',
+  lessThanOrEquals: 'http://www.w3.org/ns/shacl#lessThanOrEquals',
+  closed: 'http://www.w3.org/ns/shacl#closed',
+  ignoredProperties: 'http://www.w3.org/ns/shacl#ignoredProperties',
+  languageIn: 'http://www.w3.org/ns/shacl#languageIn',
+  uniqueLang: 'http://www.w3.org/ns/shacl#uniqueLang',
+  hasValue: 'http://www.w3.org/ns/shacl#hasValue',
+  sparql: 'http://www.w3.org/ns/shacl#sparql',
+  select: 'http://www.w3.org/ns/shacl#select',
+  prefixes: 'http://www.w3.org/ns/shacl#prefixes',
+  declare: 'http://www.w3.org/ns/shacl#declare',
+  prefix: 'http://www.w3.org/ns/shacl#prefix',
+  namespace: 'http://www.w3.org/ns/shacl#namespace',
+  deactivated: 'http://www.w3.org/ns/shacl#deactivated',
+  rule: 'http://www.w3.org/ns/shacl#rule',
+  TripleRule: 'http://www.w3.org/ns/shacl#TripleRule',
+  subject: 'http://www.w3.org/ns/shacl#subject',
+  predicate: 'http://www.w3.org/ns/shacl#predicate',
+  object: 'http://www.w3.org/ns/shacl#object',
+  condition: 'http://www.w3.org/ns/shacl#condition',
+  order: 'http://www.w3.org/ns/shacl#order',
+  this: 'http://www.w3.org/ns/shacl#this',
+  nodes: 'http://www.w3.org/ns/shacl#nodes',
+  filterShape: 'http://www.w3.org/ns/shacl#filterShape',
+  union: 'http://www.w3.org/ns/shacl#union',
+  intersection: 'http://www.w3.org/ns/shacl#intersection',
+  ValidationReport: 'http://www.w3.org/ns/shacl#ValidationReport',
+  ValidationResult: 'http://www.w3.org/ns/shacl#ValidationResult',
+  conforms: 'http://www.w3.org/ns/shacl#conforms',
+  result: 'http://www.w3.org/ns/shacl#result',
+  focusNode: 'http://www.w3.org/ns/shacl#focusNode',
+  resultPath: 'http://www.w3.org/ns/shacl#resultPath',
+  value: 'http://www.w3.org/ns/shacl#value',
+  resultSeverity: 'http://www.w3.org/ns/shacl#resultSeverity',
+  resultMessage: 'http://www.w3.org/ns/shacl#resultMessage',
+  sourceShape: 'http://www.w3.org/ns/shacl#sourceShape',
+  sourceConstraintComponent: 'http://www.w3.org/ns/shacl#sourceConstraintComponent',
+  detail: 'http://www.w3.org/ns/shacl#detail',
   message: 'http://www.w3.org/ns/shacl#message',
   severity: 'http://www.w3.org/ns/shacl#severity',
   Violation: 'http://www.w3.org/ns/shacl#Violation',
@@ -81,14 +196,59 @@ const SH = {
   Info: 'http://www.w3.org/ns/shacl#Info',
   IRI: 'http://www.w3.org/ns/shacl#IRI',
   BlankNode: 'http://www.w3.org/ns/shacl#BlankNode',
-  Literal: 'http://www.w3.org/ns/shacl#Literal'
+  Literal: 'http://www.w3.org/ns/shacl#Literal',
+  BlankNodeOrIRI: 'http://www.w3.org/ns/shacl#BlankNodeOrIRI',
+  BlankNodeOrLiteral: 'http://www.w3.org/ns/shacl#BlankNodeOrLiteral',
+  IRIOrLiteral: 'http://www.w3.org/ns/shacl#IRIOrLiteral'
 };
 
 const RDF = {
   type: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type',
   first: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#first',
   rest: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest',
-  nil: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#nil'
+  nil: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#nil',
+  langString: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString'
+};
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/**
+ * XSD datatypes compared by numeric value
+ */
+const NUMERIC_DATATYPES = new Set([
+  'integer', 'decimal', 'float', 'double',
+  'nonPositiveInteger', 'negativeInteger', 'long', 'int', 'short', 'byte',
+  'nonNegativeInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte',
+  'positiveInteger'
+].map(name => XSD + name));
+
+/**
+ * XSD datatypes compared as points in time
+ */
+const TEMPORAL_DATATYPES = new Set([
+  'date', 'dateTime', 'dateTimeStamp', 'time'
+].map(name => XSD + name));
+
+/**
+ * Term types allowed by each sh:nodeKind value
+ */
+const NODE_KINDS = {
+  [SH.IRI]: ['NamedNode'],
+  [SH.BlankNode]: ['BlankNode'],
+  [SH.Literal]: ['Literal'],
+  [SH.BlankNodeOrIRI]: ['BlankNode', 'NamedNode'],
+  [SH.BlankNodeOrLiteral]: ['BlankNode', 'Literal'],
+  [SH.IRIOrLiteral]: ['NamedNode', 'Literal']
+};
+
+const OWL = {
+  Ontology: 'http://www.w3.org/2002/07/owl#Ontology',
+  imports: 'http://www.w3.org/2002/07/owl#imports'
+};
+
+const RDFS = {
+  Class: 'http://www.w3.org/2000/01/rdf-schema#Class',
+  subClassOf: 'http://www.w3.org/2000/01/rdf-schema#subClassOf'
 };
 
 /**
@@ -112,7 +272,7 @@ function getValues(store, subject, predicate) {
 }
 
 /**
- * Parse RDF list
+ * Parse RDF list into its member terms
  */
 function parseList(store, listNode) {
   const items = [];
@@ -121,7 +281,7 @@ function parseList(store, listNode) {
   while (current && current.value !== RDF.nil) {
     const first = store.getQuads(current, namedNode(RDF.first), null, null);
     if (first.length > 0) {
-      items.push(first[0].object.value);
+      items.push(first[0].object);
     }
     
     const rest = store.getQuads(current, namedNode(RDF.rest), null, null);
@@ -136,177 +296,1576 @@ function parseList(store, listNode) {
 }
 
 /**
- * Simple SHACL validator
- * Note: This is a simplified implementation. For production use, consider rdf-validate-shacl
+ * Get all objects (as terms) from store
  */
-export async function validate(jsonldDoc, shaclShapes) {
-  try {
-    const dataStore = await jsonldToStore(jsonldDoc);
-    const shapesStore = await parseShacl(shaclShapes);
-    
-    const report = {
-      conforms: true,
-      results: []
+function getObjects(store, subject, predicate) {
+  return store.getQuads(subject, namedNode(predicate), null, null)
+    .map(q => q.object);
+}
+
+/**
+ * SHACL target predicates
+ */
+const TARGET_PREDICATES = [
+  SH.targetClass,
+  SH.targetNode,
+  SH.targetSubjectsOf,
+  SH.targetObjectsOf
+];
+
+/**
+ * Build an index of direct subclasses from the rdfs:subClassOf triples of several graphs
+ * @returns {Map<string, Array>} Map from superclass id to its direct subclass terms
+ */
+function buildSubClassIndex(stores) {
+  const index = new Map();
+  
+  for (const store of stores) {
+    for (const q of store.getQuads(null, namedNode(RDFS.subClassOf), null, null)) {
+      if (!index.has(q.object.id)) index.set(q.object.id, []);
+      index.get(q.object.id).push(q.subject);
+    }
+  }
+  
+  return index;
+}
+
+/**
+ * Get a class and all of its transitive subclasses
+ */
+function getSubClassClosure(subClassIndex, classTerm) {
+  const closure = new Map([[classTerm.id, classTerm]]);
+  const queue = [classTerm];
+  
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const subClass of subClassIndex.get(current.id) || []) {
+      if (!closure.has(subClass.id)) {
+        closure.set(subClass.id, subClass);
+        queue.push(subClass);
+      }
+    }
+  }
+  
+  return Array.from(closure.values());
+}
+
+/**
+ * Get all SHACL instances of a class in the data graph (rdf:type/rdfs:subClassOf*)
+ */
+function getInstances(ctx, classTerm) {
+  const instances = new Map();
+  
+  for (const cls of getSubClassClosure(ctx.subClassIndex, classTerm)) {
+    for (const q of ctx.dataStore.getQuads(null, namedNode(RDF.type), cls, null)) {
+      instances.set(q.subject.id, q.subject);
+    }
+  }
+  
+  return Array.from(instances.values());
+}
+
+/**
+ * Check whether a shape is also a class, which makes it an implicit class target
+ */
+function isClassShape(shapesStore, shape) {
+  return shapesStore.getQuads(shape, namedNode(RDF.type), namedNode(RDFS.Class), null).length > 0;
+}
+
+/**
+ * Find all root shapes in the shapes graph
+ * Includes explicit sh:NodeShape instances, classes that declare property shapes, and any
+ * subject of a target predicate, including property shapes with their own targets
+ */
+function getRootShapes(shapesStore) {
+  const shapes = new Map();
+  
+  for (const q of shapesStore.getQuads(null, namedNode(RDF.type), namedNode(SH.NodeShape), null)) {
+    shapes.set(q.subject.id, q.subject);
+  }
+  
+  for (const q of shapesStore.getQuads(null, namedNode(RDF.type), namedNode(RDFS.Class), null)) {
+    if (!shapes.has(q.subject.id) && getValue(shapesStore, q.subject, SH.property) !== null) {
+      shapes.set(q.subject.id, q.subject);
+    }
+  }
+  
+  for (const predicate of TARGET_PREDICATES) {
+    for (const q of shapesStore.getQuads(null, namedNode(predicate), null, null)) {
+      if (!shapes.has(q.subject.id)) {
+        shapes.set(q.subject.id, q.subject);
+      }
+    }
+  }
+  
+  return Array.from(shapes.values());
+}
+
+/**
+ * Check whether a shape declares any target (explicit or implicit class target)
+ */
+function hasTargets(shapesStore, shape) {
+  return isClassShape(shapesStore, shape) || TARGET_PREDICATES.some(predicate =>
+    shapesStore.getQuads(shape, namedNode(predicate), null, null).length > 0
+  );
+}
+
+/**
+ * Compute the focus nodes of a shape from its targets
+ * Supports sh:targetClass (including subclasses and implicit class targets), sh:targetNode,
+ * sh:targetSubjectsOf and sh:targetObjectsOf
+ * @returns {Array} Distinct focus node terms
+ */
+function getFocusNodes(ctx, shape) {
+  const { shapesStore, dataStore } = ctx;
+  const focusNodes = new Map();
+  const add = (term) => {
+    if (!focusNodes.has(term.id)) focusNodes.set(term.id, term);
+  };
+  
+  const targetClasses = getObjects(shapesStore, shape, SH.targetClass);
+  if (isClassShape(shapesStore, shape)) {
+    targetClasses.push(shape);
+  }
+  
+  for (const targetClass of targetClasses) {
+    getInstances(ctx, targetClass).forEach(add);
+  }
+  
+  // Target nodes are focus nodes whether or not they appear in the data graph
+  getObjects(shapesStore, shape, SH.targetNode).forEach(add);
+  
+  for (const predicate of getObjects(shapesStore, shape, SH.targetSubjectsOf)) {
+    dataStore.getQuads(null, predicate, null, null)
+      .forEach(q => add(q.subject));
+  }
+  
+  for (const predicate of getObjects(shapesStore, shape, SH.targetObjectsOf)) {
+    dataStore.getQuads(null, predicate, null, null)
+      .forEach(q => add(q.object));
+  }
+  
+  return Array.from(focusNodes.values());
+}
+
+/**
+ * Property path forms, keyed by the SHACL predicate that introduces them
+ */
+const PATH_TYPES = {
+  [SH.inversePath]: 'inverse',
+  [SH.alternativePath]: 'alternative',
+  [SH.zeroOrMorePath]: 'zeroOrMore',
+  [SH.oneOrMorePath]: 'oneOrMore',
+  [SH.zeroOrOnePath]: 'zeroOrOne'
+};
+
+/**
+ * Parse a SHACL property path node into a path expression
+ * @returns {object} `{ type: 'predicate', iri }`, `{ type: 'sequence'|'alternative', items }`
+ *   or `{ type: 'inverse'|'zeroOrMore'|'oneOrMore'|'zeroOrOne', path }`
+ */
+function parsePath(store, pathNode) {
+  if (pathNode.termType === 'NamedNode') {
+    return { type: 'predicate', iri: pathNode.value };
+  }
+  
+  if (store.getQuads(pathNode, namedNode(RDF.first), null, null).length > 0) {
+    return {
+      type: 'sequence',
+      items: parseList(store, pathNode).map(item => parsePath(store, item))
     };
+  }
+  
+  for (const [predicate, type] of Object.entries(PATH_TYPES)) {
+    const inner = getObjects(store, pathNode, predicate)[0];
+    if (!inner) continue;
+    
+    if (type === 'alternative') {
+      return {
+        type,
+        items: parseList(store, inner).map(item => parsePath(store, item))
+      };
+    }
+    return { type, path: parsePath(store, inner) };
+  }
+  
+  throw new Error(`Unsupported property path: ${pathNode.value}`);
+}
+
+/**
+ * Render a path expression in Turtle-like syntax
+ * Predicate paths are rendered as the bare IRI
+ */
+function formatPath(path, nested = false) {
+  switch (path.type) {
+    case 'predicate':
+      return nested ? `<${path.iri}>` : path.iri;
+    case 'sequence':
+      return `( ${path.items.map(item => formatPath(item, true)).join(' ')} )`;
+    case 'alternative':
+      return `[ sh:alternativePath ( ${path.items.map(item => formatPath(item, true)).join(' ')} ) ]`;
+    default:
+      return `[ sh:${path.type}Path ${formatPath(path.path, true)} ]`;
+  }
+}
+
+/**
+ * Get the nodes reachable from a node through a path expression
+ * @param {Store} store - Data graph
+ * @param {object} node - Start node
+ * @param {object} path - Path expression from parsePath
+ * @param {boolean} inverse - Traverse the path backwards
+ * @returns {Array} Distinct value node terms
+ */
+function evaluatePath(store, node, path, inverse = false) {
+  const results = new Map();
+  const add = (term) => {
+    if (!results.has(term.id)) results.set(term.id, term);
+  };
+  const step = (from) => evaluatePath(store, from, path.path, inverse);
+  
+  switch (path.type) {
+    case 'predicate': {
+      const quads = inverse
+        ? store.getQuads(null, namedNode(path.iri), node, null)
+        : store.getQuads(node, namedNode(path.iri), null, null);
+      quads.forEach(q => add(inverse ? q.subject : q.object));
+      break;
+    }
     
-    // Find all node shapes
-    const nodeShapes = shapesStore.getQuads(null, namedNode(RDF.type), namedNode(SH.NodeShape), null);
+    case 'inverse':
+      evaluatePath(store, node, path.path, !inverse).forEach(add);
+      break;
     
-    for (const shapeQuad of nodeShapes) {
-      const shape = shapeQuad.subject;
-      
-      // Get target class
-      const targetClass = getValue(shapesStore, shape, SH.targetClass);
-      if (!targetClass) continue;
-      
-      // Find all instances of the target class
-      const instances = dataStore.getQuads(null, namedNode(RDF.type), namedNode(targetClass), null);
-      
-      for (const instanceQuad of instances) {
-        const focusNode = instanceQuad.subject;
-        
-        // Get property shapes
-        const propertyShapes = shapesStore.getQuads(shape, namedNode(SH.property), null, null);
-        
-        for (const propQuad of propertyShapes) {
-          const propShape = propQuad.object;
-          
-          // Get property path
-          const path = getValue(shapesStore, propShape, SH.path);
-          if (!path) continue;
-          
-          // Get property values from data
-          const values = dataStore.getQuads(focusNode, namedNode(path), null, null);
-          
-          // Check constraints
-          const minCount = getValue(shapesStore, propShape, SH.minCount);
-          const maxCount = getValue(shapesStore, propShape, SH.maxCount);
-          const datatype = getValue(shapesStore, propShape, SH.datatype);
-          const pattern = getValue(shapesStore, propShape, SH.pattern);
-          const maxLength = getValue(shapesStore, propShape, SH.maxLength);
-          const minLength = getValue(shapesStore, propShape, SH.minLength);
-          const message = getValue(shapesStore, propShape, SH.message);
-          const inListNode = shapesStore.getQuads(propShape, namedNode(SH.in), null, null);
-          
-          // minCount check
-          if (minCount !== null && values.length < parseInt(minCount)) {
-            report.conforms = false;
-            report.results.push({
-              focusNode: focusNode.value,
-              path: path,
-              severity: 'Violation',
-              message: message || `Minimum count of ${minCount} not met (found ${values.length})`,
-              value: null
-            });
-          }
-          
-          // maxCount check
-          if (maxCount !== null && values.length > parseInt(maxCount)) {
-            report.conforms = false;
-            report.results.push({
-              focusNode: focusNode.value,
-              path: path,
-              severity: 'Violation',
-              message: message || `Maximum count of ${maxCount} exceeded (found ${values.length})`,
-              value: null
-            });
-          }
-          
-          // Check each value
-          for (const valueQuad of values) {
-            const value = valueQuad.object;
-            const valueStr = value.value;
-            
-            // Datatype check
-            if (datatype && value.termType === 'Literal') {
-              if (value.datatype && value.datatype.value !== datatype) {
-                report.conforms = false;
-                report.results.push({
-                  focusNode: focusNode.value,
-                  path: path,
-                  severity: 'Violation',
-                  message: message || `Expected datatype ${datatype}`,
-                  value: valueStr
-                });
-              }
-            }
-            
-            // Pattern check
-            if (pattern) {
-              const regex = new RegExp(pattern);
-              if (!regex.test(valueStr)) {
-                report.conforms = false;
-                report.results.push({
-                  focusNode: focusNode.value,
-                  path: path,
-                  severity: 'Violation',
-                  message: message || `Value does not match pattern ${pattern}`,
-                  value: valueStr
-                });
-              }
-            }
-            
-            // Length checks
-            if (minLength !== null && valueStr.length < parseInt(minLength)) {
-              report.conforms = false;
-              report.results.push({
-                focusNode: focusNode.value,
-                path: path,
-                severity: 'Violation',
-                message: message || `Minimum length of ${minLength} not met`,
-                value: valueStr
-              });
-            }
-            
-            if (maxLength !== null && valueStr.length > parseInt(maxLength)) {
-              report.conforms = false;
-              report.results.push({
-                focusNode: focusNode.value,
-                path: path,
-                severity: 'Violation',
-                message: message || `Maximum length of ${maxLength} exceeded`,
-                value: valueStr
-              });
-            }
-            
-            // In-list check
-            if (inListNode.length > 0) {
-              const allowedValues = parseList(shapesStore, inListNode[0].object);
-              if (!allowedValues.includes(valueStr)) {
-                report.conforms = false;
-                report.results.push({
-                  focusNode: focusNode.value,
-                  path: path,
-                  severity: 'Violation',
-                  message: message || `Value must be one of: ${allowedValues.join(', ')}`,
-                  value: valueStr
-                });
-              }
-            }
+    case 'sequence': {
+      const items = inverse ? [...path.items].reverse() : path.items;
+      let current = [node];
+      for (const item of items) {
+        const next = new Map();
+        for (const n of current) {
+          evaluatePath(store, n, item, inverse).forEach(t => next.set(t.id, t));
+        }
+        current = Array.from(next.values());
+      }
+      current.forEach(add);
+      break;
+    }
+    
+    case 'alternative':
+      for (const item of path.items) {
+        evaluatePath(store, node, item, inverse).forEach(add);
+      }
+      break;
+    
+    case 'zeroOrOne':
+      add(node);
+      step(node).forEach(add);
+      break;
+    
+    case 'zeroOrMore':
+    case 'oneOrMore': {
+      if (path.type === 'zeroOrMore') add(node);
+      const visited = new Set();
+      const queue = [node];
+      while (queue.length > 0) {
+        const current = queue.shift();
+        for (const next of step(current)) {
+          add(next);
+          if (!visited.has(next.id)) {
+            visited.add(next.id);
+            queue.push(next);
           }
         }
       }
+      break;
     }
+  }
+  
+  return Array.from(results.values());
+}
+
+/**
+ * Check whether a node is a SHACL instance of a class (rdf:type/rdfs:subClassOf*)
+ */
+function isInstanceOf(ctx, node, classTerm) {
+  if (node.termType === 'Literal') return false;
+  
+  return getSubClassClosure(ctx.subClassIndex, classTerm).some(cls =>
+    ctx.dataStore.getQuads(node, namedNode(RDF.type), cls, null).length > 0
+  );
+}
+
+/**
+ * Largest timezone offset, 14 hours in milliseconds
+ */
+const MAX_TIMEZONE_OFFSET = 14 * 60 * 60 * 1000;
+
+/**
+ * Compare two temporal literals following the XSD order
+ * A value without a timezone may stand for any time within 14 hours of its UTC reading, so it
+ * is only ordered against a value with a timezone when they are further apart than that
+ * @returns {number|null} Negative, zero or positive, or null if the order is indeterminate
+ */
+function compareTemporal(a, b) {
+  const valueA = parseTemporal(a.value, a.datatype.value);
+  const valueB = parseTemporal(b.value, b.datatype.value);
+  if (!valueA || !valueB) return null;
+  
+  const difference = valueA.time - valueB.time;
+  if (valueA.timezone === valueB.timezone) return difference;
+  return Math.abs(difference) > MAX_TIMEZONE_OFFSET ? difference : null;
+}
+
+/**
+ * Compare two literals according to their XSD datatypes
+ * @returns {number|null} Negative, zero or positive, or null if the values are not comparable
+ */
+function compareLiterals(a, b) {
+  if (a.termType !== 'Literal' || b.termType !== 'Literal') return null;
+  
+  const typeA = a.datatype.value;
+  const typeB = b.datatype.value;
+  
+  if (NUMERIC_DATATYPES.has(typeA) && NUMERIC_DATATYPES.has(typeB)) {
+    const numA = Number(a.value);
+    const numB = Number(b.value);
+    return isNaN(numA) || isNaN(numB) ? null : numA - numB;
+  }
+  
+  if (TEMPORAL_DATATYPES.has(typeA) && TEMPORAL_DATATYPES.has(typeB)) {
+    // Dates, times and dateTimes are only comparable among themselves
+    const isTime = (type) => type === XSD + 'time';
+    const isDate = (type) => type === XSD + 'date';
+    if (isTime(typeA) !== isTime(typeB) || isDate(typeA) !== isDate(typeB)) return null;
     
-    return { success: true, report };
-  } catch (error) {
-    return { success: false, error: error.message };
+    return compareTemporal(a, b);
   }
+  
+  if (typeA === typeB && !a.language && !b.language) {
+    return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+  }
+  
+  return null;
 }
 
 /**
- * Validate SHACL syntax
+ * Check whether a value node matches a datatype
+ * Language-tagged strings only match rdf:langString, other literals must have the exact datatype
+ * and, for the XSD datatypes that are checked, a well-formed lexical form
  */
-export async function validateShaclSyntax(shacl) {
-  try {
-    await parseShacl(shacl);
-    return { valid: true };
-  } catch (error) {
-    return { valid: false, error: error.message };
+function matchesDatatype(value, datatype) {
+  if (value.termType !== 'Literal') return false;
+  if (datatype === RDF.langString) return !!value.language;
+  return !value.language && value.datatype.value === datatype && isWellFormed(value.value, datatype);
+}
+
+/**
+ * Check whether a language tag matches a BCP47 language range (RFC 4647 basic filtering)
+ */
+function langMatches(tag, range) {
+  if (!tag) return false;
+  if (range === '*') return true;
+  
+  const lowerTag = tag.toLowerCase();
+  const lowerRange = range.toLowerCase();
+  return lowerTag === lowerRange || lowerTag.startsWith(`${lowerRange}-`);
+}
+
+/**
+ * Value range constraint components and the comparison results they accept
+ */
+const RANGE_CONSTRAINTS = [
+  { predicate: SH.minInclusive, component: 'MinInclusive', operator: '>=', test: (cmp) => cmp >= 0 },
+  { predicate: SH.minExclusive, component: 'MinExclusive', operator: '>', test: (cmp) => cmp > 0 },
+  { predicate: SH.maxInclusive, component: 'MaxInclusive', operator: '<=', test: (cmp) => cmp <= 0 },
+  { predicate: SH.maxExclusive, component: 'MaxExclusive', operator: '<', test: (cmp) => cmp < 0 }
+];
+
+/**
+ * Get a short display label for a shape
+ * Anonymous property shapes are described by their path
+ */
+function getShapeLabel(shapesStore, shape) {
+  if (shape.termType !== 'BlankNode') return shape.value;
+  
+  const pathNode = getObjects(shapesStore, shape, SH.path)[0];
+  return pathNode
+    ? `property shape on ${formatPath(parsePath(shapesStore, pathNode))}`
+    : 'anonymous shape';
+}
+
+/**
+ * Validate a value node against each shape of a logical constraint list
+ * @returns {Array<{label: string, results: Array}>} One entry per member shape
+ */
+function validateShapeList(ctx, value, listNode) {
+  return parseList(ctx.shapesStore, listNode).map((member, index) => ({
+    label: `#${index + 1} ${getShapeLabel(ctx.shapesStore, member)}`,
+    results: validateShape(ctx, value, member)
+  }));
+}
+
+/**
+ * Get the predicates allowed on focus nodes of a closed shape
+ * These are the predicate paths of its property shapes plus the sh:ignoredProperties list
+ */
+function getAllowedPredicates(shapesStore, shape) {
+  const allowed = new Set();
+  
+  for (const propShape of getObjects(shapesStore, shape, SH.property)) {
+    const pathNode = getObjects(shapesStore, propShape, SH.path)[0];
+    if (pathNode && pathNode.termType === 'NamedNode') {
+      allowed.add(pathNode.value);
+    }
+  }
+  
+  for (const listNode of getObjects(shapesStore, shape, SH.ignoredProperties)) {
+    parseList(shapesStore, listNode).forEach(item => allowed.add(item.value));
+  }
+  
+  return allowed;
+}
+
+/**
+ * Key of the RDF terms behind a validation result, used to build the report graph
+ * A symbol keeps them out of JSON output
+ */
+const RESULT_TERMS = Symbol('resultTerms');
+
+/**
+ * Get the severity of a shape, sh:Violation unless sh:severity says otherwise
+ */
+function getSeverity(shapesStore, shape) {
+  return getObjects(shapesStore, shape, SH.severity)[0] || namedNode(SH.Violation);
+}
+
+/**
+ * Pick the sh:message of a shape or constraint in the preferred language
+ * Falls back to a message with the same primary language, then an untagged message, then any message
+ */
+function getMessage(ctx, subject) {
+  const messages = getObjects(ctx.shapesStore, subject, SH.message).filter(m => m.termType === 'Literal');
+  if (messages.length === 0) return null;
+  
+  const preferred = (ctx.language || '').toLowerCase();
+  const primary = preferred.split('-')[0];
+  const message = (preferred && messages.find(m => m.language.toLowerCase() === preferred)) ||
+    (primary && messages.find(m => m.language.toLowerCase().split('-')[0] === primary)) ||
+    messages.find(m => !m.language) ||
+    messages[0];
+  
+  return message.value;
+}
+
+/**
+ * Create a validation result
+ * @param {object} options - Focus node, value, shape, path and severity terms, the message and the
+ *   local name of the constraint component (e.g. 'MinCount'); other fields are copied as-is.
+ *   `pathExpression` is the parsed result path, and defaults to the predicate path of `pathNode`
+ */
+function createResult({ focusNode, path, pathNode, pathExpression, message, value, shape, severity, component, ...fields }) {
+  return {
+    focusNode: focusNode.value,
+    path,
+    pathExpression: pathExpression || (pathNode?.termType === 'NamedNode' ? { type: 'predicate', iri: pathNode.value } : null),
+    severity: severity.value.split('#').pop(),
+    message,
+    value: value ? value.value : null,
+    sourceShape: shape.termType === 'BlankNode' ? `_:${shape.value}` : shape.value,
+    sourceConstraintComponent: `http://www.w3.org/ns/shacl#${component}ConstraintComponent`,
+    ...fields,
+    [RESULT_TERMS]: { focusNode, pathNode, value, shape, severity }
+  };
+}
+
+/**
+ * Convert an RDF term to an expanded JSON-LD value, the form used by repair suggestions
+ */
+function toJsonLdValue(term) {
+  if (term.termType === 'NamedNode') return { '@id': term.value };
+  if (term.termType === 'BlankNode') return { '@id': `_:${term.value}` };
+  if (term.language) return { '@value': term.value, '@language': term.language };
+  if (term.datatype.value === XSD + 'string') return { '@value': term.value };
+  return { '@value': term.value, '@type': term.datatype.value };
+}
+
+/**
+ * Get the local name of an IRI, used to keep fix descriptions short
+ */
+function localName(iri) {
+  return iri.split(/[#/]/).pop() || iri;
+}
+
+/**
+ * Describe an expanded JSON-LD value in a fix description
+ */
+function describeJsonLdValue(value) {
+  if ('@value' in value) return JSON.stringify(value['@value']);
+  if ('@id' in value) return localName(value['@id']);
+  return `a new ${value['@type'].map(localName).join(', ')}`;
+}
+
+/**
+ * Count the single-character insertions, deletions and substitutions between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Build a placeholder for a missing value from the constraints of a property shape
+ * sh:hasValue and sh:in give a real value, sh:class a new node of that class and sh:datatype a
+ * well-formed sample of the datatype; without any of them the placeholder is an empty string
+ */
+function getPlaceholderValue(shapesStore, shape) {
+  const required = getObjects(shapesStore, shape, SH.hasValue)[0];
+  if (required) return toJsonLdValue(required);
+  
+  const inList = getObjects(shapesStore, shape, SH.in)[0];
+  const allowed = inList ? parseList(shapesStore, inList) : [];
+  if (allowed.length > 0) return toJsonLdValue(allowed[0]);
+  
+  const cls = getObjects(shapesStore, shape, SH.class)[0];
+  if (cls) return { '@type': [cls.value] };
+  
+  const datatype = getValue(shapesStore, shape, SH.datatype);
+  if (datatype && datatype !== XSD + 'string' && datatype !== RDF.langString) {
+    return { '@value': sampleLexicalForm(datatype), '@type': datatype };
+  }
+  return { '@value': '' };
+}
+
+/**
+ * Copy the triples describing a blank node (e.g. a complex path) from one store into another
+ */
+function copyBlankNodeDescription(target, source, node) {
+  if (node.termType !== 'BlankNode' || target.getQuads(node, null, null, null).length > 0) return;
+  
+  for (const q of source.getQuads(node, null, null, null)) {
+    target.addQuad(q.subject, q.predicate, q.object);
+    copyBlankNodeDescription(target, source, q.object);
+  }
+}
+
+/**
+ * Add a sh:ValidationResult node for a result (and its sh:detail results) to the report graph
+ * @returns {object} The result node
+ */
+function addResultNode(graph, shapesStore, result) {
+  const terms = result[RESULT_TERMS];
+  const node = blankNode();
+  const add = (predicate, object) => graph.addQuad(node, namedNode(predicate), object);
+  
+  add(RDF.type, namedNode(SH.ValidationResult));
+  add(SH.focusNode, terms.focusNode);
+  if (terms.pathNode) {
+    add(SH.resultPath, terms.pathNode);
+    copyBlankNodeDescription(graph, shapesStore, terms.pathNode);
+  }
+  if (terms.value) {
+    add(SH.value, terms.value);
+  }
+  add(SH.resultSeverity, terms.severity);
+  if (result.message) {
+    add(SH.resultMessage, literal(result.message));
+  }
+  add(SH.sourceShape, terms.shape);
+  add(SH.sourceConstraintComponent, namedNode(result.sourceConstraintComponent));
+  
+  for (const detail of result.details || []) {
+    add(SH.detail, addResultNode(graph, shapesStore, detail));
+  }
+  
+  return node;
+}
+
+/**
+ * Build the W3C sh:ValidationReport graph for a report
+ * @returns {Store} N3 Store with the report
+ */
+function buildReportGraph(report, shapesStore) {
+  const graph = new Store();
+  const reportNode = blankNode();
+  
+  graph.addQuad(reportNode, namedNode(RDF.type), namedNode(SH.ValidationReport));
+  graph.addQuad(reportNode, namedNode(SH.conforms), literal(String(report.conforms), namedNode(XSD + 'boolean')));
+  
+  for (const result of report.results) {
+    graph.addQuad(reportNode, namedNode(SH.result), addResultNode(graph, shapesStore, result));
+  }
+  
+  return graph;
+}
+
+/**
+ * Prefixes used when serializing validation reports
+ */
+const REPORT_PREFIXES = {
+  sh: 'http://www.w3.org/ns/shacl#',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  xsd: XSD
+};
+
+/**
+ * Write quads with the N3 writer
+ */
+function writeQuads(quads, format, prefixes = {}) {
+  return new Promise((resolve, reject) => {
+    const writer = new Writer({ format, prefixes });
+    writer.addQuads(quads);
+    writer.end((error, result) => error ? reject(error) : resolve(result));
+  });
+}
+
+/**
+ * Collect the prefix declarations of a SPARQL constraint
+ * Prefixes declared in the shapes file apply unless sh:prefixes/sh:declare overrides them
+ */
+function getSparqlPrefixes(ctx, constraint) {
+  const { shapesStore } = ctx;
+  const prefixes = {};
+  for (const [prefix, namespace] of Object.entries(ctx.shapesPrefixes)) {
+    prefixes[prefix] = typeof namespace === 'string' ? namespace : namespace.value;
+  }
+  
+  for (const declarations of getObjects(shapesStore, constraint, SH.prefixes)) {
+    for (const declaration of getObjects(shapesStore, declarations, SH.declare)) {
+      const prefix = getValue(shapesStore, declaration, SH.prefix);
+      const namespace = getValue(shapesStore, declaration, SH.namespace);
+      if (prefix !== null && namespace !== null) {
+        prefixes[prefix] = namespace;
+      }
+    }
+  }
+  
+  return prefixes;
+}
+
+/**
+ * Replace {?var} and {$var} placeholders in a message with the values of the given bindings
+ * Placeholders without a binding are left as they are
+ */
+function formatMessage(template, bindings) {
+  return template.replace(/\{[?$]([A-Za-z0-9_]+)\}/g, (placeholder, name) =>
+    bindings[name] ? bindings[name].value : placeholder
+  );
+}
+
+/**
+ * Evaluate the sh:sparql constraints of a shape for one focus node
+ * The query runs with $this pre-bound to the focus node and $currentShape to the shape;
+ * every solution becomes a validation result
+ * @returns {Array} Validation results
+ */
+function validateSparqlConstraints(ctx, focusNode, shape, path) {
+  const { shapesStore } = ctx;
+  const results = [];
+  const pathNode = getObjects(shapesStore, shape, SH.path)[0] || null;
+  const severity = getSeverity(shapesStore, shape);
+  
+  for (const constraint of getObjects(shapesStore, shape, SH.sparql)) {
+    if (getValue(shapesStore, constraint, SH.deactivated) === 'true') continue;
+    
+    let query = getValue(shapesStore, constraint, SH.select);
+    if (query === null) continue;
+    
+    // $PATH is substituted with the path of a property shape before the query is parsed
+    if (/\$PATH\b/.test(query)) {
+      if (!pathNode || pathNode.termType !== 'NamedNode') {
+        throw new Error('$PATH in SPARQL constraints is only supported for predicate paths');
+      }
+      query = query.replace(/\$PATH\b/g, `<${pathNode.value}>`);
+    }
+    
+    const message = getMessage(ctx, constraint) ||
+      getMessage(ctx, shape) ||
+      'SPARQL constraint violated';
+    
+    const { bindings } = select(ctx.dataStore, query, {
+      prefixes: getSparqlPrefixes(ctx, constraint),
+      bindings: { this: focusNode, currentShape: shape }
+    });
+    
+    for (const solution of bindings) {
+      results.push(createResult({
+        focusNode: solution.this || focusNode,
+        path: solution.path ? solution.path.value : path,
+        pathNode: solution.path || pathNode,
+        pathExpression: solution.path || !pathNode ? null : parsePath(shapesStore, pathNode),
+        message: formatMessage(message, solution),
+        value: solution.value || (path === null ? focusNode : null),
+        shape,
+        severity,
+        component: 'SPARQL'
+      }));
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Validate a focus node against a node shape or property shape
+ * Shapes with sh:path are property shapes and validate the value nodes reached through the path,
+ * other shapes validate the focus node itself
+ * @returns {Array} Validation results
+ */
+function validateShape(ctx, focusNode, shape) {
+  const { dataStore, shapesStore } = ctx;
+  
+  // Deactivated shapes produce no results
+  if (getValue(shapesStore, shape, SH.deactivated) === 'true') return [];
+  
+  // A focus node that is already being validated against this shape further up the
+  // recursion is assumed to conform, so cyclic sh:node references terminate
+  const key = `${focusNode.id} ${shape.id}`;
+  if (ctx.inProgress.has(key)) return [];
+  ctx.inProgress.add(key);
+  
+  try {
+    const pathNode = getObjects(shapesStore, shape, SH.path)[0];
+    if (!pathNode) {
+      return validateConstraints(ctx, focusNode, shape, null, [focusNode]);
+    }
+    
+    const pathExpr = parsePath(shapesStore, pathNode);
+    const values = evaluatePath(dataStore, focusNode, pathExpr);
+    return validateConstraints(ctx, focusNode, shape, formatPath(pathExpr), values);
+  } finally {
+    ctx.inProgress.delete(key);
+  }
+}
+
+/**
+ * Check the constraints of a shape against its value nodes
+ */
+function validateConstraints(ctx, focusNode, shape, path, values) {
+  const { shapesStore } = ctx;
+  const results = [];
+  
+  // Check constraints
+  const minCount = getValue(shapesStore, shape, SH.minCount);
+  const maxCount = getValue(shapesStore, shape, SH.maxCount);
+  const datatype = getValue(shapesStore, shape, SH.datatype);
+  const pattern = getValue(shapesStore, shape, SH.pattern);
+  const maxLength = getValue(shapesStore, shape, SH.maxLength);
+  const minLength = getValue(shapesStore, shape, SH.minLength);
+  const message = getMessage(ctx, shape);
+  const severity = getSeverity(shapesStore, shape);
+  const inListNode = shapesStore.getQuads(shape, namedNode(SH.in), null, null);
+  const nodeKind = getValue(shapesStore, shape, SH.nodeKind);
+  const ranges = RANGE_CONSTRAINTS
+    .map(range => ({ ...range, bound: getObjects(shapesStore, shape, range.predicate)[0] }))
+    .filter(range => range.bound);
+  const classes = getObjects(shapesStore, shape, SH.class);
+  const nodeShapes = getObjects(shapesStore, shape, SH.node);
+  const propertyShapes = getObjects(shapesStore, shape, SH.property);
+  const andLists = getObjects(shapesStore, shape, SH.and);
+  const orLists = getObjects(shapesStore, shape, SH.or);
+  const notShapes = getObjects(shapesStore, shape, SH.not);
+  const xoneLists = getObjects(shapesStore, shape, SH.xone);
+  
+  const equalsPredicates = getObjects(shapesStore, shape, SH.equals);
+  const disjointPredicates = getObjects(shapesStore, shape, SH.disjoint);
+  const lessThanPredicates = getObjects(shapesStore, shape, SH.lessThan);
+  const lessThanOrEqualsPredicates = getObjects(shapesStore, shape, SH.lessThanOrEquals);
+  
+  const closed = getValue(shapesStore, shape, SH.closed) === 'true';
+  const languageIn = getObjects(shapesStore, shape, SH.languageIn)
+    .map(listNode => parseList(shapesStore, listNode).map(item => item.value));
+  const uniqueLang = getValue(shapesStore, shape, SH.uniqueLang) === 'true';
+  const hasValues = getObjects(shapesStore, shape, SH.hasValue);
+  
+  const pathNode = getObjects(shapesStore, shape, SH.path)[0] || null;
+  const pathExpression = pathNode ? parsePath(shapesStore, pathNode) : null;
+  
+  // Repairs are only suggested on request and for predicate paths, which map to a JSON-LD property
+  const canRepair = ctx.suggestFixes && pathNode !== null && pathNode.termType === 'NamedNode';
+  const repair = (description, { add = [], remove = [] }) => ({
+    fix: { description, focusNode: focusNode.value, path: pathNode.value, add, remove }
+  });
+  
+  const violation = (component, defaultMessage, value, extra = {}) => {
+    const { resultPath = pathNode, ...fields } = extra;
+    const resultPathLabel = resultPath ? (resultPath === pathNode ? path : resultPath.value) : null;
+    results.push(createResult({
+      focusNode,
+      path: resultPathLabel,
+      pathNode: resultPath,
+      pathExpression: resultPath === pathNode ? pathExpression : null,
+      message: message
+        ? formatMessage(message, { this: focusNode, value, path: resultPath && { value: resultPathLabel } })
+        : defaultMessage,
+      value,
+      shape,
+      severity,
+      component,
+      ...fields
+    }));
+  };
+  
+  // minCount check
+  if (minCount !== null && values.length < parseInt(minCount)) {
+    const placeholder = canRepair ? getPlaceholderValue(shapesStore, shape) : null;
+    violation('MinCount', `Minimum count of ${minCount} not met (found ${values.length})`, null, canRepair
+      ? repair(`Add ${localName(path)} with placeholder ${describeJsonLdValue(placeholder)}`, { add: [placeholder] })
+      : {});
+  }
+  
+  // maxCount check
+  if (maxCount !== null && values.length > parseInt(maxCount)) {
+    const surplus = values.slice(parseInt(maxCount));
+    violation('MaxCount', `Maximum count of ${maxCount} exceeded (found ${values.length})`, null, canRepair
+      ? repair(`Remove ${surplus.length} extra value(s) of ${localName(path)}`, { remove: surplus.map(toJsonLdValue) })
+      : {});
+  }
+  
+  // hasValue check; the results have no sh:value since the missing value is not a value node
+  for (const required of hasValues) {
+    if (!values.some(value => value.equals(required))) {
+      violation('HasValue', `Missing required value ${required.value}`, null, canRepair
+        ? repair(`Add ${describeJsonLdValue(toJsonLdValue(required))} to ${localName(path)}`, { add: [toJsonLdValue(required)] })
+        : {});
+    }
+  }
+  
+  // uniqueLang check
+  if (uniqueLang) {
+    const languages = new Map();
+    for (const value of values) {
+      if (value.termType === 'Literal' && value.language) {
+        const lang = value.language.toLowerCase();
+        languages.set(lang, (languages.get(lang) || 0) + 1);
+      }
+    }
+    for (const [lang, count] of languages) {
+      if (count > 1) {
+        violation('UniqueLang', `Language "${lang}" is used by ${count} values`, null);
+      }
+    }
+  }
+  
+  // Property pair checks compare the value nodes with the values of another property
+  // of the focus node
+  const valueIds = new Set(values.map(value => value.id));
+  const getPairValues = (predicate) => getObjects(ctx.dataStore, focusNode, predicate.value);
+  
+  for (const predicate of equalsPredicates) {
+    const otherValues = getPairValues(predicate);
+    const otherIds = new Set(otherValues.map(other => other.id));
+    
+    for (const value of values.filter(v => !otherIds.has(v.id))) {
+      violation('Equals', `Value is not a value of ${predicate.value}`, value, {
+        comparedPath: predicate.value,
+        comparedValue: null
+      });
+    }
+    for (const other of otherValues.filter(o => !valueIds.has(o.id))) {
+      violation('Equals', `Value of ${predicate.value} is missing`, other, {
+        comparedPath: predicate.value,
+        comparedValue: other.value
+      });
+    }
+  }
+  
+  for (const predicate of disjointPredicates) {
+    for (const other of getPairValues(predicate).filter(o => valueIds.has(o.id))) {
+      violation('Disjoint', `Value must not also be a value of ${predicate.value}`, other, {
+        comparedPath: predicate.value,
+        comparedValue: other.value
+      });
+    }
+  }
+  
+  const orderings = [
+    ...lessThanPredicates.map(predicate => ({ predicate, component: 'LessThan', operator: '<', test: (cmp) => cmp < 0 })),
+    ...lessThanOrEqualsPredicates.map(predicate => ({ predicate, component: 'LessThanOrEquals', operator: '<=', test: (cmp) => cmp <= 0 }))
+  ];
+  
+  for (const { predicate, component, operator, test } of orderings) {
+    for (const other of getPairValues(predicate)) {
+      for (const value of values) {
+        const cmp = compareLiterals(value, other);
+        if (cmp === null || !test(cmp)) {
+          violation(component, `Value must be ${operator} ${other.value} (value of ${predicate.value})`, value, {
+            comparedPath: predicate.value,
+            comparedValue: other.value
+          });
+        }
+      }
+    }
+  }
+  
+  // Check each value
+  for (const value of values) {
+    const valueStr = value.value;
+    
+    // Datatype check
+    if (datatype && !matchesDatatype(value, datatype)) {
+      const lexicalError = value.termType === 'Literal' && value.datatype.value === datatype && !value.language
+        ? checkLexicalForm(valueStr, datatype)
+        : null;
+      const coerced = canRepair && value.termType === 'Literal' ? coerceLexicalForm(valueStr, datatype) : null;
+      const replacement = datatype === XSD + 'string' ? { '@value': coerced } : { '@value': coerced, '@type': datatype };
+      violation('Datatype', lexicalError ? `Ill-formed literal: ${lexicalError}` : `Expected datatype ${datatype}`, value, coerced !== null
+        ? repair(`Convert ${JSON.stringify(valueStr)} to ${localName(datatype)} ${JSON.stringify(coerced)}`, {
+          remove: [toJsonLdValue(value)],
+          add: [replacement]
+        })
+        : {});
+    }
+    
+    // Language checks
+    for (const ranges of languageIn) {
+      if (!ranges.some(range => langMatches(value.language, range))) {
+        violation('LanguageIn', `Language must be one of: ${ranges.join(', ')}`, value);
+      }
+    }
+    
+    // Node kind check
+    if (nodeKind && NODE_KINDS[nodeKind] && !NODE_KINDS[nodeKind].includes(value.termType)) {
+      violation('NodeKind', `Value must be of node kind ${nodeKind.split('#').pop()}`, value);
+    }
+    
+    // Value range checks
+    for (const range of ranges) {
+      const cmp = compareLiterals(value, range.bound);
+      if (cmp === null) {
+        violation(range.component, `Value is not comparable with ${range.bound.value}`, value);
+      } else if (!range.test(cmp)) {
+        violation(range.component, `Value must be ${range.operator} ${range.bound.value}`, value);
+      }
+    }
+    
+    // Pattern check
+    if (pattern) {
+      const regex = new RegExp(pattern);
+      if (!regex.test(valueStr)) {
+        violation('Pattern', `Value does not match pattern ${pattern}`, value);
+      }
+    }
+    
+    // Length checks
+    if (minLength !== null && valueStr.length < parseInt(minLength)) {
+      violation('MinLength', `Minimum length of ${minLength} not met`, value);
+    }
+    
+    if (maxLength !== null && valueStr.length > parseInt(maxLength)) {
+      violation('MaxLength', `Maximum length of ${maxLength} exceeded`, value);
+    }
+    
+    // In-list check
+    if (inListNode.length > 0) {
+      const allowedTerms = parseList(shapesStore, inListNode[0].object);
+      const allowedValues = allowedTerms.map(item => item.value);
+      if (!allowedValues.includes(valueStr)) {
+        // Suggest the allowed value closest to the given one, ignoring case
+        const distance = (term) => editDistance(valueStr.toLowerCase(), term.value.toLowerCase());
+        const nearest = canRepair && allowedTerms.length > 0
+          ? allowedTerms.reduce((best, term) => distance(term) < distance(best) ? term : best)
+          : null;
+        violation('In', `Value must be one of: ${allowedValues.join(', ')}`, value, nearest
+          ? repair(`Replace ${describeJsonLdValue(toJsonLdValue(value))} with ${describeJsonLdValue(toJsonLdValue(nearest))}`, {
+            remove: [toJsonLdValue(value)],
+            add: [toJsonLdValue(nearest)]
+          })
+          : {});
+      }
+    }
+    
+    // Class check
+    for (const cls of classes) {
+      if (!isInstanceOf(ctx, value, cls)) {
+        violation('Class', `Value must be an instance of ${cls.value}`, value);
+      }
+    }
+    
+    // Node shape conformance, nested results are reported as details
+    for (const nodeShape of nodeShapes) {
+      const nested = validateShape(ctx, value, nodeShape);
+      if (nested.length > 0) {
+        violation('Node', `Value does not conform to shape ${getShapeLabel(shapesStore, nodeShape)}`, value, { details: nested });
+      }
+    }
+    
+    // Logical constraints, failing alternatives are listed in the message
+    for (const listNode of andLists) {
+      const failed = validateShapeList(ctx, value, listNode).filter(m => m.results.length > 0);
+      if (failed.length > 0) {
+        violation(
+          'And',
+          `Value must conform to all sh:and shapes; failed: ${failed.map(m => m.label).join(', ')}`,
+          value,
+          { details: failed.flatMap(m => m.results) }
+        );
+      }
+    }
+    
+    for (const listNode of orLists) {
+      const members = validateShapeList(ctx, value, listNode);
+      if (members.every(m => m.results.length > 0)) {
+        violation(
+          'Or',
+          `Value must conform to at least one sh:or shape; failed: ${members.map(m => m.label).join(', ')}`,
+          value,
+          { details: members.flatMap(m => m.results) }
+        );
+      }
+    }
+    
+    for (const notShape of notShapes) {
+      if (validateShape(ctx, value, notShape).length === 0) {
+        violation('Not', `Value must not conform to shape ${getShapeLabel(shapesStore, notShape)}`, value);
+      }
+    }
+    
+    for (const listNode of xoneLists) {
+      const members = validateShapeList(ctx, value, listNode);
+      const conforming = members.filter(m => m.results.length === 0);
+      if (conforming.length === 0) {
+        violation(
+          'Xone',
+          `Value must conform to exactly one sh:xone shape; failed: ${members.map(m => m.label).join(', ')}`,
+          value,
+          { details: members.flatMap(m => m.results) }
+        );
+      } else if (conforming.length > 1) {
+        violation(
+          'Xone',
+          `Value must conform to exactly one sh:xone shape; conforms to: ${conforming.map(m => m.label).join(', ')}`,
+          value
+        );
+      }
+    }
+    
+    // Closed shapes only allow the predicates of their property shapes and the ignored properties
+    if (closed) {
+      const allowed = getAllowedPredicates(shapesStore, shape);
+      for (const q of ctx.dataStore.getQuads(value, null, null, null)) {
+        if (!allowed.has(q.predicate.value)) {
+          violation('Closed', `Predicate ${q.predicate.value} is not allowed by the closed shape`, q.object, {
+            resultPath: q.predicate
+          });
+        }
+      }
+    }
+    
+    // Property shapes apply to every value node
+    for (const propShape of propertyShapes) {
+      results.push(...validateShape(ctx, value, propShape));
+    }
+  }
+  
+  results.push(...validateSparqlConstraints(ctx, focusNode, shape, path));
+  
+  return results;
+}
+
+/**
+ * XPath functions that SHACL-AF function expressions can call
+ * Each receives one term per argument and returns the resulting term
+ */
+const FN = 'http://www.w3.org/2005/xpath-functions#';
+const RULE_FUNCTIONS = {
+  [FN + 'concat']: (...args) => literal(args.map(arg => arg.value).join('')),
+  [FN + 'string']: (arg) => literal(arg.value),
+  [FN + 'upper-case']: (arg) => literal(arg.value.toUpperCase()),
+  [FN + 'lower-case']: (arg) => literal(arg.value.toLowerCase()),
+  [FN + 'normalize-space']: (arg) => literal(arg.value.trim().replace(/\s+/g, ' '))
+};
+
+/**
+ * Rounds of rule execution after which rules that keep deriving new triples are stopped
+ */
+const MAX_RULE_ITERATIONS = 100;
+
+/**
+ * Add terms to a map keyed by term id, keeping each term once
+ */
+function addTerms(map, terms) {
+  for (const term of terms) {
+    map.set(term.id, term);
+  }
+  return map;
+}
+
+/**
+ * Evaluate a SHACL-AF node expression for a focus node
+ * Supports sh:this, constant IRIs and literals, path expressions (with optional sh:nodes),
+ * sh:filterShape, sh:union, sh:intersection and function expressions calling RULE_FUNCTIONS,
+ * which are applied to every combination of their argument values.
+ * @returns {Array} Distinct result terms
+ */
+function evaluateNodeExpression(ctx, expression, focusNode) {
+  const { shapesStore, dataStore } = ctx;
+  
+  if (expression.termType === 'NamedNode' && expression.value === SH.this) return [focusNode];
+  if (expression.termType !== 'BlankNode') return [expression];
+  
+  const inputNodes = () => {
+    const nodes = getObjects(shapesStore, expression, SH.nodes)[0];
+    return nodes ? evaluateNodeExpression(ctx, nodes, focusNode) : [focusNode];
+  };
+  
+  const pathNode = getObjects(shapesStore, expression, SH.path)[0];
+  if (pathNode) {
+    const path = parsePath(shapesStore, pathNode);
+    const results = new Map();
+    for (const node of inputNodes()) {
+      addTerms(results, evaluatePath(dataStore, node, path));
+    }
+    return Array.from(results.values());
+  }
+  
+  const filterShape = getObjects(shapesStore, expression, SH.filterShape)[0];
+  if (filterShape) {
+    return inputNodes().filter(node => validateShape(ctx, node, filterShape).length === 0);
+  }
+  
+  const union = getObjects(shapesStore, expression, SH.union)[0];
+  if (union) {
+    const results = new Map();
+    for (const member of parseList(shapesStore, union)) {
+      addTerms(results, evaluateNodeExpression(ctx, member, focusNode));
+    }
+    return Array.from(results.values());
+  }
+  
+  const intersection = getObjects(shapesStore, expression, SH.intersection)[0];
+  if (intersection) {
+    const [first = [], ...others] = parseList(shapesStore, intersection)
+      .map(member => evaluateNodeExpression(ctx, member, focusNode));
+    return first.filter(term => others.every(terms => terms.some(other => other.equals(term))));
+  }
+  
+  const call = shapesStore.getQuads(expression, null, null, null).find(q => RULE_FUNCTIONS[q.predicate.value]);
+  if (call) {
+    const fn = RULE_FUNCTIONS[call.predicate.value];
+    const argumentValues = parseList(shapesStore, call.object).map(arg => evaluateNodeExpression(ctx, arg, focusNode));
+    const combinations = argumentValues.reduce(
+      (partial, values) => partial.flatMap(args => values.map(value => [...args, value])),
+      [[]]
+    );
+    return Array.from(addTerms(new Map(), combinations.map(args => fn(...args))).values());
+  }
+  
+  throw new Error(`Unsupported node expression _:${expression.value}`);
+}
+
+/**
+ * Collect the active sh:TripleRule rules of the shapes graph in sh:order
+ * @returns {Array<{shape: Term, rule: Term, order: number}>}
+ */
+function getTripleRules(shapesStore) {
+  const isActive = (node) => getValue(shapesStore, node, SH.deactivated) !== 'true';
+  
+  return shapesStore.getQuads(null, namedNode(SH.rule), null, null)
+    .filter(q => shapesStore.countQuads(q.object, namedNode(RDF.type), namedNode(SH.TripleRule), null) > 0)
+    .filter(q => isActive(q.subject) && isActive(q.object))
+    .map(q => ({ shape: q.subject, rule: q.object, order: Number(getValue(shapesStore, q.object, SH.order) || 0) }))
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Execute the triple rules of the shapes graph on the data graph until no rule derives a new triple
+ * Each rule runs for the focus nodes of its shape that conform to all of its sh:condition shapes;
+ * derived triples are added to the data store, so later rules and validation see them.
+ * @returns {Array} The derived quads, in the order they were inferred
+ * @throws {Error} When rules still derive new triples after MAX_RULE_ITERATIONS rounds
+ */
+function executeRules(ctx) {
+  const { shapesStore, dataStore } = ctx;
+  const rules = getTripleRules(shapesStore).map(({ shape, rule }) => ({
+    shape,
+    subject: getObjects(shapesStore, rule, SH.subject)[0],
+    predicate: getObjects(shapesStore, rule, SH.predicate)[0],
+    object: getObjects(shapesStore, rule, SH.object)[0],
+    conditions: getObjects(shapesStore, rule, SH.condition)
+  })).filter(rule => rule.subject && rule.predicate && rule.object);
+  
+  const inferred = [];
+  let changed = rules.length > 0;
+  
+  for (let iteration = 0; changed; iteration++) {
+    if (iteration === MAX_RULE_ITERATIONS) {
+      throw new Error(`Rules still derive new triples after ${MAX_RULE_ITERATIONS} iterations`);
+    }
+    changed = false;
+    
+    for (const rule of rules) {
+      for (const focusNode of getFocusNodes(ctx, rule.shape)) {
+        if (rule.conditions.some(condition => validateShape(ctx, focusNode, condition).length > 0)) continue;
+        
+        const subjects = evaluateNodeExpression(ctx, rule.subject, focusNode).filter(term => term.termType !== 'Literal');
+        const predicates = evaluateNodeExpression(ctx, rule.predicate, focusNode).filter(term => term.termType === 'NamedNode');
+        const objects = evaluateNodeExpression(ctx, rule.object, focusNode);
+        
+        for (const subject of subjects) {
+          for (const predicate of predicates) {
+            for (const object of objects) {
+              if (dataStore.countQuads(subject, predicate, object, null) > 0) continue;
+              
+              const derived = quad(subject, predicate, object);
+              dataStore.addQuad(derived);
+              inferred.push(derived);
+              changed = true;
+              if (predicate.value === RDFS.subClassOf) {
+                ctx.subClassIndex = buildSubClassIndex([dataStore, shapesStore]);
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+  
+  return inferred;
+}
+
+/**
+ * Simple SHACL validator
+ * Note: This is a simplified implementation. For production use, consider rdf-validate-shacl
+ * @param {object} jsonldDoc - JSON-LD document to validate
+ * @param {string|Array<string|{name: string, content: string, iri?: string, enabled?: boolean}>} shaclShapes -
+ *   SHACL shapes (Turtle, N-Triples, TriG or JSON-LD), or several shapes graphs whose results are tagged with `shapesGraph`
+ * @param {object} options - Validation options
+ * @param {string} options.language - Preferred language tag for sh:message (e.g. 'en', 'es-ES')
+ * @param {function(string): Promise<string|null>} options.resolveImport - Load a graph imported
+ *   with owl:imports that is not one of the given shapes graphs
+ * @param {boolean} options.applyRules - Execute the sh:TripleRule rules of the shapes graphs first
+ *   and validate the data graph together with the triples they derive (see infer)
+ * @param {boolean} options.suggestFixes - Attach a `fix` to results that can be repaired
+ *   (sh:minCount, sh:maxCount, sh:hasValue, sh:datatype and sh:in on predicate paths): a description,
+ *   the focus node and path, and the expanded JSON-LD values to `remove` and `add` (see DataRepair)
+ * @returns {Promise<{success: boolean, report?: object, reportGraph?: Store, error?: string}>}
+ *   The report `conforms` only without results, `hasViolations` tells whether any result is a
+ *   violation rather than a warning or info, and `targets` lists the focus nodes computed for each
+ *   targeted shape; `reportGraph` holds the same results as a W3C sh:ValidationReport (see serializeReport)
+ */
+export async function validate(jsonldDoc, shaclShapes, options = {}) {
+  try {
+    const dataStore = await jsonldToStore(jsonldDoc);
+    const shapes = await loadShapesGraphs(shaclShapes, options.resolveImport);
+    const ctx = createContext(dataStore, shapes, options);
+    if (options.applyRules) {
+      executeRules(ctx);
+    }
+    const { report } = runValidation(ctx);
+    
+    return { success: true, report, reportGraph: buildReportGraph(report, shapes.store) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create the validation context shared by the constraint checks
+ */
+function createContext(dataStore, shapes, options) {
+  const shapesStore = shapes.store;
+  return {
+    dataStore,
+    shapesStore,
+    shapesPrefixes: shapes.prefixes,
+    shapeGraphs: shapes.shapeGraphs,
+    language: options.language || null,
+    suggestFixes: Boolean(options.suggestFixes),
+    subClassIndex: buildSubClassIndex([dataStore, shapesStore]),
+    inProgress: new Set()
+  };
+}
+
+/**
+ * Tag results, and their nested results, with the named shapes graph their source shape comes from
+ * Shapes described in several graphs are tagged with the first one
+ */
+function tagShapesGraphs(ctx, results) {
+  if (ctx.shapeGraphs.size === 0) return results;
+  
+  for (const result of results) {
+    const graphs = ctx.shapeGraphs.get(result[RESULT_TERMS].shape.id);
+    if (graphs) result.shapesGraph = graphs[0];
+    if (result.details) tagShapesGraphs(ctx, result.details);
+  }
+  return results;
+}
+
+/**
+ * Validate the focus nodes of every targeted shape
+ * @param {object} ctx - Validation context
+ * @param {Map<string, Map<string, Array>>} [cache] - Results of a previous run by shape and focus node
+ * @param {function(Term): boolean} [isAffected] - Whether a focus node must be validated again;
+ *   other focus nodes reuse their results from the cache
+ * @returns {{report: object, cache: Map<string, Map<string, Array>>, validated: number}}
+ */
+function runValidation(ctx, cache = null, isAffected = () => true) {
+  const report = {
+    conforms: true,
+    hasViolations: false,
+    results: [],
+    targets: []
+  };
+  const nextCache = new Map();
+  let validated = 0;
+  
+  for (const shape of getRootShapes(ctx.shapesStore)) {
+    if (!hasTargets(ctx.shapesStore, shape)) continue;
+    
+    const focusNodes = getFocusNodes(ctx, shape);
+    const previous = cache?.get(shape.id);
+    const current = new Map();
+    report.targets.push({
+      shape: shape.value,
+      focusNodes: focusNodes.map(node => node.value)
+    });
+    
+    for (const focusNode of focusNodes) {
+      let results = previous && !isAffected(focusNode) ? previous.get(focusNode.id) : undefined;
+      if (!results) {
+        results = tagShapesGraphs(ctx, validateShape(ctx, focusNode, shape));
+        validated++;
+      }
+      current.set(focusNode.id, results);
+      report.results.push(...results);
+    }
+    nextCache.set(shape.id, current);
+  }
+  
+  // Any result makes the data non-conforming; hasViolations tells violations from warnings and infos
+  report.conforms = report.results.length === 0;
+  report.hasViolations = report.results.some(result => result.severity === 'Violation');
+  
+  return { report, cache: nextCache, validated };
+}
+
+/**
+ * Get the nodes touched by the quads that differ between two data graphs
+ * @returns {{changed: Map<string, Term>, changedQuads: number, subClassOfChanged: boolean}}
+ */
+function diffStores(previousStore, dataStore) {
+  const changed = new Map();
+  let changedQuads = 0;
+  let subClassOfChanged = false;
+  
+  const collect = (store, other) => {
+    for (const q of store.getQuads(null, null, null, null)) {
+      if (other.countQuads(q.subject, q.predicate, q.object, q.graph) > 0) continue;
+      changedQuads++;
+      changed.set(q.subject.id, q.subject);
+      if (q.object.termType !== 'Literal') changed.set(q.object.id, q.object);
+      if (q.predicate.value === RDFS.subClassOf) subClassOfChanged = true;
+    }
+  };
+  collect(dataStore, previousStore);
+  collect(previousStore, dataStore);
+  
+  return { changed, changedQuads, subClassOfChanged };
+}
+
+/**
+ * Get the nodes whose validation may depend on the changed nodes
+ * A focus node reaches its value nodes through its outgoing triples, so every node with a path
+ * of triples leading to a changed node, in the old or new graph, is affected
+ * @returns {Set<string>} Ids of the affected nodes
+ */
+function getAffectedNodes(changed, stores) {
+  const affected = new Set(changed.keys());
+  const queue = Array.from(changed.values());
+  
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const store of stores) {
+      for (const q of store.getQuads(null, null, node, null)) {
+        if (!affected.has(q.subject.id)) {
+          affected.add(q.subject.id);
+          queue.push(q.subject);
+        }
+      }
+    }
+  }
+  
+  return affected;
+}
+
+/**
+ * Check whether the shapes rely on constraints whose dependencies cannot be traced through the
+ * triples around a focus node, in which case every focus node is validated again
+ */
+function requiresFullValidation(shapesStore) {
+  return shapesStore.countQuads(null, namedNode(SH.sparql), null, null) > 0 ||
+    shapesStore.countQuads(null, namedNode(SH.inversePath), null, null) > 0;
+}
+
+/**
+ * Create a validator that keeps the parsed shapes and the previous data graph between runs
+ * and only validates again the focus nodes whose triples changed
+ * @param {string|Array} shaclShapes - Shapes graphs as accepted by validate()
+ * @param {object} [options] - Same options as validate()
+ * @returns {{validate: function(object): Promise<object>, reset: function(): void}}
+ *   validate resolves to the same result as validate() plus `stats` with the number of changed
+ *   quads, validated focus nodes and whether the run was a full validation
+ */
+export function createIncrementalValidator(shaclShapes, options = {}) {
+  let shapes = null;
+  let previous = null;
+  
+  return {
+    async validate(jsonldDoc) {
+      try {
+        if (!shapes) {
+          shapes = await loadShapesGraphs(shaclShapes, options.resolveImport);
+          shapes.full = requiresFullValidation(shapes.store);
+        }
+        
+        const dataStore = await jsonldToStore(jsonldDoc);
+        const ctx = createContext(dataStore, shapes, options);
+        // Inferred triples are part of the data graph that is compared with the previous run
+        if (options.applyRules) {
+          executeRules(ctx);
+        }
+        
+        let isAffected = () => true;
+        let changedQuads = dataStore.size;
+        let full = true;
+        
+        if (previous) {
+          const diff = diffStores(previous.dataStore, dataStore);
+          changedQuads = diff.changedQuads;
+          if (!shapes.full && !diff.subClassOfChanged) {
+            const affected = getAffectedNodes(diff.changed, [previous.dataStore, dataStore]);
+            isAffected = (node) => affected.has(node.id);
+            full = false;
+          }
+        }
+        
+        const { report, cache, validated } = runValidation(ctx, full ? null : previous.cache, isAffected);
+        previous = { dataStore, cache };
+        
+        return {
+          success: true,
+          report,
+          reportGraph: buildReportGraph(report, shapes.store),
+          stats: { changedQuads, validated, full }
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+    
+    reset() {
+      shapes = null;
+      previous = null;
+    }
+  };
+}
+
+/**
+ * Derive triples from a JSON-LD document with the SHACL-AF triple rules of the shapes graphs
+ * @param {object} jsonldDoc - JSON-LD document
+ * @param {string|Array} shaclShapes - Shapes graphs as accepted by validate()
+ * @param {object} [options] - Same options as validate()
+ * @returns {Promise<{success: boolean, data?: {asserted: string, inferred: string}, error?: string}>}
+ *   N-Quads of the triples of the document and of the triples derived from them
+ */
+export async function infer(jsonldDoc, shaclShapes, options = {}) {
+  try {
+    const dataStore = await jsonldToStore(jsonldDoc);
+    const asserted = dataStore.getQuads(null, null, null, null);
+    const shapes = await loadShapesGraphs(shaclShapes, options.resolveImport);
+    const inferred = executeRules(createContext(dataStore, shapes, options));
+    
+    return {
+      success: true,
+      data: {
+        asserted: await writeQuads(asserted, 'N-Quads'),
+        inferred: await writeQuads(inferred, 'N-Quads')
+      }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Serialize a validation report graph
+ * @param {Store} reportGraph - The `reportGraph` returned by validate()
+ * @param {string} format - 'jsonld', 'turtle' or 'nquads'
+ * @returns {Promise<{success: boolean, data?: string, error?: string}>}
+ */
+export async function serializeReport(reportGraph, format = 'jsonld') {
+  try {
+    const quads = reportGraph.getQuads(null, null, null, null);
+    
+    switch (format) {
+      case 'turtle':
+        return { success: true, data: await writeQuads(quads, 'Turtle', REPORT_PREFIXES) };
+      case 'nquads':
+        return { success: true, data: await writeQuads(quads, 'N-Quads') };
+      case 'jsonld': {
+        const nquads = await writeQuads(quads, 'N-Quads');
+        const expanded = await jsonld.fromRDF(nquads, { format: 'application/n-quads', useNativeTypes: true });
+        const compacted = await jsonld.compact(expanded, REPORT_PREFIXES);
+        return { success: true, data: JSON.stringify(compacted, null, 2) };
+      }
+      default:
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Validate SHACL syntax
+ * @returns {Promise<{valid: boolean, format?: string, error?: string}>} Includes the detected format
+ */
+export async function validateShaclSyntax(shacl) {
+  try {
+    const { format } = await parseShacl(shacl);
+    return { valid: true, format };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Describe a shapes graph before registering it
+ * @param {string} shacl - SHACL shapes in Turtle, N-Triples, TriG or JSON-LD
+ * @returns {Promise<{success: boolean, data?: {iri: string|null, imports: string[], shapes: number}, error?: string}>}
+ *   The IRI of its owl:Ontology, the graphs it imports and the number of node shapes
+ */
+export async function describeShapesGraph(shacl) {
+  try {
+    const { store } = await parseShacl(shacl);
+    const ontology = store.getQuads(null, namedNode(RDF.type), namedNode(OWL.Ontology), null)
+      .find(q => q.subject.termType === 'NamedNode');
+    
+    return {
+      success: true,
+      data: {
+        iri: ontology ? ontology.subject.value : null,
+        imports: store.getQuads(null, namedNode(OWL.imports), null, null).map(q => q.object.value),
+        shapes: getRootShapes(store).length
+      }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 }
 
 export default {
   validate,
-  validateShaclSyntax
+  createIncrementalValidator,
+  infer,
+  serializeReport,
+  validateShaclSyntax,
+  describeShapesGraph
 };
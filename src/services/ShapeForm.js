@@ -0,0 +1,307 @@
+/**
+ * Shape Form Service
+ * Describes SHACL node shapes as input forms and turns the values entered in a form into
+ * JSON-LD instances, compacted with the context generated from the shapes
+ */
+
+import jsonld from 'jsonld';
+import { DataFactory } from 'n3';
+import { XSD } from '../utils/xsdLexical.js';
+import { getValue, getObjects, readList, getLocalName } from '../utils/rdfStore.js';
+import { parseRdf } from './RdfParser.js';
+import { generateContextFromShacl } from './ContextFromShacl.js';
+
+const { namedNode } = DataFactory;
+
+const SH = 'http://www.w3.org/ns/shacl#';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDF_LANG_STRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString';
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+
+/**
+ * Widgets for datatypes; other datatypes use a text input and booleans a select
+ */
+const DATATYPE_WIDGETS = {
+  [XSD + 'decimal']: 'number',
+  [XSD + 'double']: 'number',
+  [XSD + 'float']: 'number',
+  [XSD + 'date']: 'date',
+  [XSD + 'dateTime']: 'datetime',
+  [XSD + 'time']: 'time',
+  [XSD + 'anyURI']: 'iri',
+  [RDF_LANG_STRING]: 'langString'
+};
+
+const INTEGER_DATATYPES = new Set([
+  'integer', 'long', 'int', 'short', 'byte', 'nonNegativeInteger', 'positiveInteger',
+  'nonPositiveInteger', 'negativeInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'
+].map(name => XSD + name));
+
+/**
+ * Get the id of a shape in the form model
+ */
+function shapeId(term) {
+  return term.termType === 'BlankNode' ? `_:${term.value}` : term.value;
+}
+
+/**
+ * Get a number from a SHACL property, or undefined
+ */
+function getNumber(store, subject, predicate) {
+  const value = getValue(store, subject, predicate);
+  return value === null || Number.isNaN(Number(value)) ? undefined : Number(value);
+}
+
+/**
+ * Get a plain copy of an RDF term that survives structured cloning
+ */
+function copyTerm(term) {
+  return {
+    termType: term.termType,
+    value: term.value,
+    ...(term.termType === 'Literal' ? { datatype: term.datatype.value, language: term.language || '' } : {})
+  };
+}
+
+/**
+ * Choose the widget of a property shape
+ * sh:in and sh:hasValue give a select, nested node shapes a group of fields, datatypes the
+ * matching input, and IRI node kinds or sh:class an IRI input.
+ */
+function chooseWidget(field, hasNestedShape, nodeKind, hasClass) {
+  if (field.options) return 'select';
+  if (hasNestedShape) return 'nested';
+  if (field.datatype) {
+    if (INTEGER_DATATYPES.has(field.datatype)) return 'integer';
+    return DATATYPE_WIDGETS[field.datatype] || 'text';
+  }
+  if (nodeKind === SH + 'IRI' || nodeKind === SH + 'BlankNodeOrIRI' || hasClass) return 'iri';
+  return 'text';
+}
+
+/**
+ * Describe a property shape as a form field
+ */
+function describeField(store, propertyShape, index, shapeIds) {
+  const [path] = getObjects(store, propertyShape, SH + 'path');
+  const field = {
+    path: path.value,
+    label: getValue(store, propertyShape, SH + 'name') || getLocalName(path.value),
+    description: getValue(store, propertyShape, SH + 'description') || '',
+    minCount: getNumber(store, propertyShape, SH + 'minCount') || 0,
+    maxCount: getNumber(store, propertyShape, SH + 'maxCount') ?? null,
+    order: getNumber(store, propertyShape, SH + 'order') ?? Infinity,
+    index
+  };
+  field.repeatable = field.maxCount !== 1;
+  
+  const datatype = getValue(store, propertyShape, SH + 'datatype');
+  if (datatype) field.datatype = datatype;
+  
+  const [values] = getObjects(store, propertyShape, SH + 'in');
+  const [hasValue] = getObjects(store, propertyShape, SH + 'hasValue');
+  const optionTerms = values ? readList(store, values) : hasValue ? [hasValue] : null;
+  if (optionTerms) {
+    field.options = optionTerms.map(term => ({
+      label: term.termType === 'Literal' ? term.value : getLocalName(term.value) || term.value,
+      term: copyTerm(term)
+    }));
+  } else if (field.datatype === XSD + 'boolean') {
+    field.options = ['true', 'false'].map(value => ({ label: value, term: { termType: 'Literal', value, datatype: XSD + 'boolean', language: '' } }));
+  }
+  
+  const nested = getObjects(store, propertyShape, SH + 'node').find(node => shapeIds.has(shapeId(node)));
+  if (nested) field.shape = shapeId(nested);
+  
+  for (const [key, predicate] of [['pattern', 'pattern'], ['minLength', 'minLength'], ['maxLength', 'maxLength'], ['min', 'minInclusive'], ['max', 'maxInclusive']]) {
+    const value = key === 'pattern' ? getValue(store, propertyShape, SH + predicate) : getNumber(store, propertyShape, SH + predicate);
+    if (value !== null && value !== undefined) field[key] = value;
+  }
+  
+  field.widget = chooseWidget(
+    field,
+    Boolean(nested),
+    getValue(store, propertyShape, SH + 'nodeKind'),
+    getObjects(store, propertyShape, SH + 'class').length > 0
+  );
+  return field;
+}
+
+/**
+ * Describe SHACL node shapes as forms
+ * Each node shape gets its fields from its property shapes (predicate paths only), grouped by
+ * sh:group and ordered by sh:order of the groups and fields, then by their position. Shapes
+ * referenced with sh:node, including blank node shapes, are described too so that fields can
+ * nest them; only named shapes are `selectable` as the form of a new instance.
+ * @param {string} shaclShapes - SHACL shapes in Turtle, N-Triples, TriG or JSON-LD
+ * @returns {Promise<{success: boolean, data?: {shapes: Array<object>}, error?: string}>}
+ */
+export async function buildFormModel(shaclShapes) {
+  try {
+    const { store } = await parseRdf(shaclShapes);
+    
+    const terms = new Map();
+    const addShape = (term) => {
+      if (term.termType !== 'Literal' && !terms.has(shapeId(term))) terms.set(shapeId(term), term);
+    };
+    store.getSubjects(namedNode(RDF_TYPE), namedNode(SH + 'NodeShape'), null).forEach(addShape);
+    store.getSubjects(namedNode(SH + 'targetClass'), null, null).forEach(addShape);
+    store.getObjects(null, namedNode(SH + 'node'), null).forEach(addShape);
+    
+    const shapeIds = new Set(terms.keys());
+    const shapes = [];
+    for (const [id, term] of terms) {
+      const targetClass = getValue(store, term, SH + 'targetClass');
+      const groups = new Map([[null, { label: '', order: -Infinity, fields: [] }]]);
+      
+      getObjects(store, term, SH + 'property').forEach((propertyShape, index) => {
+        const [path] = getObjects(store, propertyShape, SH + 'path');
+        if (!path || path.termType !== 'NamedNode') return;
+        if (getValue(store, propertyShape, SH + 'deactivated') === 'true') return;
+        
+        const [group] = getObjects(store, propertyShape, SH + 'group');
+        const key = group ? shapeId(group) : null;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            label: getValue(store, group, RDFS_LABEL) || getLocalName(group.value),
+            order: getNumber(store, group, SH + 'order') ?? Infinity,
+            fields: []
+          });
+        }
+        groups.get(key).fields.push(describeField(store, propertyShape, index, shapeIds));
+      });
+      
+      const byOrder = (a, b) => (a.order - b.order) || ((a.index ?? 0) - (b.index ?? 0));
+      const orderedGroups = Array.from(groups.values())
+        .filter(group => group.fields.length > 0)
+        .map((group, index) => ({ ...group, index, fields: group.fields.sort(byOrder) }))
+        .sort(byOrder)
+        .map(({ label, fields }) => ({ label, fields }));
+      
+      shapes.push({
+        id,
+        label: getValue(store, term, SH + 'name') || getValue(store, term, RDFS_LABEL) ||
+          (targetClass ? getLocalName(targetClass) : getLocalName(term.value)) || id,
+        targetClass,
+        selectable: term.termType === 'NamedNode',
+        groups: orderedGroups
+      });
+    }
+    
+    return { success: true, data: { shapes } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the expanded JSON-LD value of a term
+ */
+function termToExpanded(term) {
+  if (term.termType !== 'Literal') return { '@id': term.value };
+  if (term.language) return { '@value': term.value, '@language': term.language };
+  return term.datatype === XSD + 'string' ? { '@value': term.value } : { '@value': term.value, '@type': term.datatype };
+}
+
+/**
+ * Get the expanded JSON-LD value of a form entry, or null when it is empty
+ * Integers, doubles and floats that parse are written as JSON numbers, date and time inputs
+ * without seconds get them, and other values keep their lexical form so that validation can
+ * report ill-formed input.
+ */
+function entryToExpanded(model, field, entry, depth) {
+  if (field.widget === 'nested') {
+    return buildNode(model, field.shape, entry || {}, depth + 1);
+  }
+  if (field.widget === 'langString') {
+    const value = entry?.value?.trim();
+    return value ? { '@value': value, ...(entry.language ? { '@language': entry.language.trim() } : {}) } : null;
+  }
+  
+  const raw = typeof entry === 'string' ? entry.trim() : entry;
+  if (raw === '' || raw === null || raw === undefined) return null;
+  
+  switch (field.widget) {
+    case 'select': {
+      const option = field.options[Number(raw)];
+      return option ? termToExpanded(option.term) : null;
+    }
+    case 'iri':
+      return field.datatype ? { '@value': raw, '@type': field.datatype } : { '@id': raw };
+    case 'integer':
+    case 'number': {
+      const number = Number(raw);
+      const native = field.widget === 'integer' ? Number.isInteger(number) : Number.isFinite(number) && field.datatype !== XSD + 'decimal';
+      return { '@value': native ? number : String(raw), '@type': field.datatype };
+    }
+    case 'datetime':
+    case 'time':
+      return { '@value': /(^|T)\d{2}:\d{2}$/.test(raw) ? `${raw}:00` : raw, '@type': field.datatype };
+    default:
+      // Typed even for xsd:string, so that the value compacts to the term the context coerces
+      return field.datatype ? { '@value': raw, '@type': field.datatype } : { '@value': raw };
+  }
+}
+
+/**
+ * Build the expanded JSON-LD node object of a form
+ * @param {{shapes: Array<object>}} model - Form model from buildFormModel
+ * @param {string} id - Id of the shape the form is for
+ * @param {{id?: string, fields?: Object<string, Array>}} values - The node IRI and the entries of
+ *   each field by path: strings for inputs, option indexes for selects, `{value, language}` for
+ *   language-tagged strings and nested values objects for nested shapes
+ * @returns {object|null} The node object, or null for a nested node left empty
+ */
+export function buildNode(model, id, values, depth = 0) {
+  const shape = model.shapes.find(item => item.id === id);
+  if (!shape) {
+    throw new Error(`Shape ${id} not found`);
+  }
+  
+  const node = {};
+  const iri = values.id?.trim();
+  if (iri) node['@id'] = iri;
+  if (shape.targetClass) node['@type'] = [shape.targetClass];
+  
+  let hasProperties = false;
+  for (const field of shape.groups.flatMap(group => group.fields)) {
+    const entries = [].concat(values.fields?.[field.path] ?? [])
+      .map(entry => entryToExpanded(model, field, entry, depth))
+      .filter(Boolean);
+    if (entries.length > 0) {
+      node[field.path] = entries;
+      hasProperties = true;
+    }
+  }
+  
+  return depth > 0 && !hasProperties && !iri ? null : node;
+}
+
+/**
+ * Build the JSON-LD instance of a form, compacted with the context generated from the shapes
+ * @param {string} shaclShapes - The SHACL shapes the model was built from
+ * @param {{shapes: Array<object>}} model - Form model from buildFormModel
+ * @param {string} id - Id of the shape the form is for
+ * @param {object} values - Form values, as described for buildNode
+ * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ */
+export async function toJsonLd(shaclShapes, model, id, values) {
+  try {
+    const context = await generateContextFromShacl(shaclShapes);
+    if (!context.success) {
+      throw new Error(context.error);
+    }
+    
+    const node = buildNode(model, id, values);
+    const compacted = await jsonld.compact(node, context.data['@context']);
+    return { success: true, data: compacted };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+export default {
+  buildFormModel,
+  buildNode,
+  toJsonLd
+};
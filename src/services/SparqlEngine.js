@@ -0,0 +1,1314 @@
+/**
+ * SPARQL Engine Service
+ * Evaluates a subset of SPARQL 1.1 SELECT queries over an in-memory N3 store
+ *
+ * Supported: PREFIX/BASE, SELECT [DISTINCT] with projection expressions, basic graph patterns
+ * (with `;`, `,`, `a` and blank node property lists), FILTER (including EXISTS / NOT EXISTS),
+ * OPTIONAL, UNION, MINUS, BIND, GROUP BY, HAVING, ORDER BY, LIMIT/OFFSET and the aggregates
+ * COUNT, SUM, AVG, MIN, MAX, SAMPLE and GROUP_CONCAT.
+ * Not supported: property paths, subqueries, named graphs and federated queries.
+ */
+
+import { DataFactory } from 'n3';
+
+const { namedNode, literal, variable } = DataFactory;
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDF_LANGSTRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString';
+
+const NUMERIC_DATATYPES = new Set([
+  'integer', 'decimal', 'float', 'double',
+  'nonPositiveInteger', 'negativeInteger', 'long', 'int', 'short', 'byte',
+  'nonNegativeInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte',
+  'positiveInteger'
+].map(name => XSD + name));
+
+const AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'SAMPLE', 'GROUP_CONCAT']);
+
+const TRUE = literal('true', namedNode(XSD + 'boolean'));
+const FALSE = literal('false', namedNode(XSD + 'boolean'));
+
+// ============================================
+// Tokenizer
+// ============================================
+
+const PUNCTUATION = ['&&', '||', '!=', '<=', '>=', '^^', '{', '}', '(', ')', '[', ']', '.', ';', ',', '*', '=', '<', '>', '!', '+', '-', '/'];
+
+const STRING_ESCAPES = { t: '\t', n: '\n', r: '\r', b: '\b', f: '\f', '"': '"', "'": "'", '\\': '\\' };
+
+/**
+ * Split a query string into tokens
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < query.length) {
+    const rest = query.slice(i);
+    const ch = query[i];
+    let match;
+    
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '#') {
+      const end = query.indexOf('\n', i);
+      i = end === -1 ? query.length : end;
+    } else if (ch === '<' && (match = /^<([^<>"{}|^`\\\s]*)>/.exec(rest))) {
+      tokens.push({ type: 'iri', value: match[1] });
+      i += match[0].length;
+    } else if ((match = /^[?$]([A-Za-z0-9_]+)/.exec(rest))) {
+      tokens.push({ type: 'var', value: match[1] });
+      i += match[0].length;
+    } else if (ch === '"' || ch === "'") {
+      const { value, length } = readString(query, i);
+      tokens.push({ type: 'string', value });
+      i += length;
+    } else if (ch === '@' && (match = /^@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/.exec(rest))) {
+      tokens.push({ type: 'lang', value: match[1] });
+      i += match[0].length;
+    } else if ((match = /^(\d+\.\d*[eE][+-]?\d+|\.\d+[eE][+-]?\d+|\d+[eE][+-]?\d+|\d*\.\d+|\d+)/.exec(rest))) {
+      const text = match[1];
+      const type = /[eE]/.test(text) ? 'double' : text.includes('.') ? 'decimal' : 'integer';
+      tokens.push({ type: 'number', value: text, datatype: XSD + type });
+      i += text.length;
+    } else if ((match = /^_:([A-Za-z0-9_-]+)/.exec(rest))) {
+      tokens.push({ type: 'bnode', value: match[1] });
+      i += match[0].length;
+    } else if ((match = /^([A-Za-z][\w-]*(?:\.[\w-]+)*)?:((?:[\w-]|%[0-9A-Fa-f]{2})(?:(?:[\w.-]|%[0-9A-Fa-f]{2})*(?:[\w-]|%[0-9A-Fa-f]{2}))?)?/.exec(rest))) {
+      tokens.push({ type: 'pname', prefix: match[1] || '', local: match[2] || '' });
+      i += match[0].length;
+    } else if ((match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest))) {
+      tokens.push({ type: 'word', value: match[0] });
+      i += match[0].length;
+    } else {
+      const punct = PUNCTUATION.find(p => rest.startsWith(p));
+      if (!punct) {
+        throw new Error(`Unexpected character "${ch}" in SPARQL query`);
+      }
+      tokens.push({ type: 'punct', value: punct });
+      i += punct.length;
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Read a (possibly triple-quoted) string literal starting at a quote character
+ * @returns {{value: string, length: number}}
+ */
+function readString(query, start) {
+  const quote = query[start];
+  const long = query.startsWith(quote.repeat(3), start);
+  const delimiter = long ? quote.repeat(3) : quote;
+  let i = start + delimiter.length;
+  let value = '';
+  
+  while (i < query.length) {
+    if (query.startsWith(delimiter, i)) {
+      return { value, length: i + delimiter.length - start };
+    }
+    const ch = query[i];
+    if (ch === '\\') {
+      const escaped = query[i + 1];
+      if (escaped === 'u' || escaped === 'U') {
+        const size = escaped === 'u' ? 4 : 8;
+        value += String.fromCodePoint(parseInt(query.substr(i + 2, size), 16));
+        i += 2 + size;
+        continue;
+      }
+      value += STRING_ESCAPES[escaped] ?? escaped;
+      i += 2;
+      continue;
+    }
+    if (!long && (ch === '\n' || ch === '\r')) break;
+    value += ch;
+    i++;
+  }
+  
+  throw new Error('Unterminated string in SPARQL query');
+}
+
+// ============================================
+// Parser
+// ============================================
+
+function peek(state, offset = 0) {
+  return state.tokens[state.pos + offset];
+}
+
+function next(state) {
+  const token = state.tokens[state.pos++];
+  if (!token) throw new Error('Unexpected end of SPARQL query');
+  return token;
+}
+
+function isPunct(token, value) {
+  return token && token.type === 'punct' && token.value === value;
+}
+
+function isWord(token, value) {
+  return token && token.type === 'word' && token.value.toUpperCase() === value;
+}
+
+function expectPunct(state, value) {
+  const token = next(state);
+  if (!isPunct(token, value)) {
+    throw new Error(`Expected "${value}" in SPARQL query but found ${describeToken(token)}`);
+  }
+}
+
+function expectWord(state, value) {
+  const token = next(state);
+  if (!isWord(token, value)) {
+    throw new Error(`Expected ${value} in SPARQL query but found ${describeToken(token)}`);
+  }
+}
+
+function describeToken(token) {
+  if (!token) return 'end of query';
+  if (token.type === 'pname') return `"${token.prefix}:${token.local}"`;
+  return `"${token.value}"`;
+}
+
+/**
+ * Resolve a prefixed name token to a full IRI
+ */
+function resolvePrefixedName(state, token) {
+  const namespace = state.prefixes[token.prefix];
+  if (namespace === undefined) {
+    throw new Error(`Unknown prefix "${token.prefix}:" in SPARQL query`);
+  }
+  return namespace + token.local.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Resolve a relative IRI against the query base
+ */
+function resolveIri(state, iri) {
+  if (!state.base || /^[a-zA-Z][\w+.-]*:/.test(iri)) return iri;
+  try {
+    return new URL(iri, state.base).href;
+  } catch (e) {
+    return iri;
+  }
+}
+
+/**
+ * Parse a SPARQL SELECT query
+ * @param {string} query - SPARQL query text
+ * @param {object} prefixes - Prefix mappings available in addition to PREFIX declarations
+ * @returns {object} Query AST
+ */
+export function parseQuery(query, prefixes = {}) {
+  const state = {
+    tokens: tokenize(query),
+    pos: 0,
+    prefixes: { ...prefixes },
+    base: null,
+    blankNodeCounter: 0,
+    variables: new Set()
+  };
+  
+  // Prologue
+  for (;;) {
+    if (isWord(peek(state), 'PREFIX')) {
+      next(state);
+      const name = next(state);
+      const iri = next(state);
+      if (name.type !== 'pname' || name.local || iri.type !== 'iri') {
+        throw new Error('Invalid PREFIX declaration in SPARQL query');
+      }
+      state.prefixes[name.prefix] = resolveIri(state, iri.value);
+    } else if (isWord(peek(state), 'BASE')) {
+      next(state);
+      state.base = next(state).value;
+    } else {
+      break;
+    }
+  }
+  
+  expectWord(state, 'SELECT');
+  const ast = {
+    type: 'select',
+    distinct: false,
+    projection: [],
+    variables: [],
+    where: null,
+    groupBy: [],
+    having: [],
+    orderBy: [],
+    limit: null,
+    offset: 0
+  };
+  
+  if (isWord(peek(state), 'DISTINCT') || isWord(peek(state), 'REDUCED')) {
+    ast.distinct = next(state).value.toUpperCase() === 'DISTINCT';
+  }
+  
+  if (isPunct(peek(state), '*')) {
+    next(state);
+    ast.projection = '*';
+  } else {
+    while (peek(state) && (peek(state).type === 'var' || isPunct(peek(state), '('))) {
+      if (peek(state).type === 'var') {
+        ast.projection.push({ variable: next(state).value });
+      } else {
+        next(state);
+        const expression = parseExpression(state);
+        expectWord(state, 'AS');
+        const target = next(state);
+        if (target.type !== 'var') throw new Error('Expected variable after AS in SPARQL query');
+        expectPunct(state, ')');
+        ast.projection.push({ variable: target.value, expression });
+      }
+    }
+    if (ast.projection.length === 0) {
+      throw new Error('SELECT clause must list variables or *');
+    }
+  }
+  
+  if (isWord(peek(state), 'WHERE')) next(state);
+  ast.where = parseGroup(state);
+  ast.variables = Array.from(state.variables);
+  
+  // Solution modifiers
+  if (isWord(peek(state), 'GROUP')) {
+    next(state);
+    expectWord(state, 'BY');
+    while (peek(state) && (peek(state).type === 'var' || isPunct(peek(state), '(') || isBuiltinCall(state))) {
+      ast.groupBy.push(parsePrimary(state));
+    }
+  }
+  
+  if (isWord(peek(state), 'HAVING')) {
+    next(state);
+    while (peek(state) && (isPunct(peek(state), '(') || isBuiltinCall(state))) {
+      ast.having.push(parsePrimary(state));
+    }
+  }
+  
+  if (isWord(peek(state), 'ORDER')) {
+    next(state);
+    expectWord(state, 'BY');
+    for (;;) {
+      const token = peek(state);
+      if (isWord(token, 'ASC') || isWord(token, 'DESC')) {
+        next(state);
+        ast.orderBy.push({ descending: token.value.toUpperCase() === 'DESC', expression: parsePrimary(state) });
+      } else if (token && (token.type === 'var' || isPunct(token, '(') || isBuiltinCall(state))) {
+        ast.orderBy.push({ descending: false, expression: parsePrimary(state) });
+      } else {
+        break;
+      }
+    }
+  }
+  
+  for (;;) {
+    if (isWord(peek(state), 'LIMIT')) {
+      next(state);
+      ast.limit = parseInt(next(state).value);
+    } else if (isWord(peek(state), 'OFFSET')) {
+      next(state);
+      ast.offset = parseInt(next(state).value);
+    } else {
+      break;
+    }
+  }
+  
+  if (peek(state)) {
+    throw new Error(`Unexpected ${describeToken(peek(state))} at end of SPARQL query`);
+  }
+  
+  return ast;
+}
+
+/**
+ * Parse a group graph pattern `{ ... }`
+ */
+function parseGroup(state) {
+  expectPunct(state, '{');
+  const elements = [];
+  let triples = null;
+  
+  const flushTriples = () => {
+    if (triples && triples.length > 0) {
+      elements.push({ type: 'bgp', triples });
+    }
+    triples = null;
+  };
+  
+  while (!isPunct(peek(state), '}')) {
+    const token = peek(state);
+    if (!token) throw new Error('Unterminated group pattern in SPARQL query');
+    
+    if (isWord(token, 'FILTER')) {
+      next(state);
+      flushTriples();
+      elements.push({ type: 'filter', expression: parsePrimary(state) });
+    } else if (isWord(token, 'OPTIONAL')) {
+      next(state);
+      flushTriples();
+      elements.push({ type: 'optional', group: parseGroup(state) });
+    } else if (isWord(token, 'MINUS')) {
+      next(state);
+      flushTriples();
+      elements.push({ type: 'minus', group: parseGroup(state) });
+    } else if (isWord(token, 'BIND')) {
+      next(state);
+      flushTriples();
+      expectPunct(state, '(');
+      const expression = parseExpression(state);
+      expectWord(state, 'AS');
+      const target = next(state);
+      if (target.type !== 'var') throw new Error('Expected variable after AS in BIND');
+      expectPunct(state, ')');
+      state.variables.add(target.value);
+      elements.push({ type: 'bind', expression, variable: target.value });
+    } else if (isPunct(token, '{')) {
+      flushTriples();
+      const groups = [parseGroup(state)];
+      while (isWord(peek(state), 'UNION')) {
+        next(state);
+        groups.push(parseGroup(state));
+      }
+      elements.push(groups.length === 1 ? groups[0] : { type: 'union', groups });
+    } else if (isPunct(token, '.')) {
+      next(state);
+    } else {
+      triples = triples || [];
+      parseTriplesSameSubject(state, triples);
+    }
+  }
+  
+  next(state);
+  flushTriples();
+  return { type: 'group', elements };
+}
+
+/**
+ * Parse a subject with its predicate-object list, appending triple patterns
+ */
+function parseTriplesSameSubject(state, triples) {
+  let subject;
+  if (isPunct(peek(state), '[')) {
+    subject = parseBlankNodePropertyList(state, triples);
+    // `[ ... ]` may stand alone as a complete triples block
+    if (isPunct(peek(state), '.') || isPunct(peek(state), '}')) return;
+  } else {
+    subject = parsePatternTerm(state, triples);
+  }
+  parsePredicateObjectList(state, subject, triples);
+}
+
+function parsePredicateObjectList(state, subject, triples) {
+  for (;;) {
+    const predicate = parseVerb(state);
+    for (;;) {
+      const object = parsePatternTerm(state, triples);
+      triples.push({ subject, predicate, object });
+      if (!isPunct(peek(state), ',')) break;
+      next(state);
+    }
+    if (!isPunct(peek(state), ';')) break;
+    while (isPunct(peek(state), ';')) next(state);
+    const after = peek(state);
+    if (!after || isPunct(after, '.') || isPunct(after, '}') || isPunct(after, ']')) break;
+  }
+}
+
+function parseVerb(state) {
+  const token = next(state);
+  if (token.type === 'word' && token.value === 'a') return namedNode(RDF_TYPE);
+  if (token.type === 'var') return patternVariable(state, token.value);
+  if (token.type === 'iri') return namedNode(resolveIri(state, token.value));
+  if (token.type === 'pname') return namedNode(resolvePrefixedName(state, token));
+  throw new Error(`Unsupported predicate ${describeToken(token)} in SPARQL query (property paths are not supported)`);
+}
+
+/**
+ * Create a variable of a graph pattern, recording it for `SELECT *`
+ */
+function patternVariable(state, name) {
+  state.variables.add(name);
+  return variable(name);
+}
+
+/**
+ * Blank nodes in query patterns behave like variables that are not projected
+ */
+function freshBlankVariable(state, label = null) {
+  return variable(label ? `_bnode_${label}` : `_bnode${state.blankNodeCounter++}`);
+}
+
+function parseBlankNodePropertyList(state, triples) {
+  expectPunct(state, '[');
+  const subject = freshBlankVariable(state);
+  if (!isPunct(peek(state), ']')) {
+    parsePredicateObjectList(state, subject, triples);
+  }
+  expectPunct(state, ']');
+  return subject;
+}
+
+/**
+ * Parse a subject or object position in a triple pattern
+ */
+function parsePatternTerm(state, triples) {
+  const token = peek(state);
+  if (isPunct(token, '[')) return parseBlankNodePropertyList(state, triples);
+  if (token && token.type === 'bnode') {
+    next(state);
+    return freshBlankVariable(state, token.value);
+  }
+  if (token && token.type === 'var') {
+    next(state);
+    return patternVariable(state, token.value);
+  }
+  return parseConstantTerm(state);
+}
+
+/**
+ * Parse an IRI, prefixed name or literal
+ */
+function parseConstantTerm(state) {
+  const token = next(state);
+  
+  if (token.type === 'iri') return namedNode(resolveIri(state, token.value));
+  if (token.type === 'pname') return namedNode(resolvePrefixedName(state, token));
+  if (token.type === 'number') return literal(token.value, namedNode(token.datatype));
+  if (isWord(token, 'TRUE')) return TRUE;
+  if (isWord(token, 'FALSE')) return FALSE;
+  
+  if (isPunct(token, '+') || isPunct(token, '-')) {
+    const number = next(state);
+    if (number.type !== 'number') throw new Error('Expected number after sign in SPARQL query');
+    return literal(token.value === '-' ? `-${number.value}` : number.value, namedNode(number.datatype));
+  }
+  
+  if (token.type === 'string') {
+    if (peek(state) && peek(state).type === 'lang') {
+      return literal(token.value, next(state).value);
+    }
+    if (isPunct(peek(state), '^^')) {
+      next(state);
+      const datatype = next(state);
+      const iri = datatype.type === 'iri'
+        ? resolveIri(state, datatype.value)
+        : resolvePrefixedName(state, datatype);
+      return literal(token.value, namedNode(iri));
+    }
+    return literal(token.value);
+  }
+  
+  throw new Error(`Unexpected ${describeToken(token)} in SPARQL query`);
+}
+
+// Expressions
+
+function isBuiltinCall(state) {
+  const token = peek(state);
+  return token && token.type === 'word' && !isWord(token, 'HAVING') && isPunct(peek(state, 1), '(');
+}
+
+function parseExpression(state) {
+  let left = parseAnd(state);
+  while (isPunct(peek(state), '||')) {
+    next(state);
+    left = { type: 'operation', operator: '||', args: [left, parseAnd(state)] };
+  }
+  return left;
+}
+
+function parseAnd(state) {
+  let left = parseRelational(state);
+  while (isPunct(peek(state), '&&')) {
+    next(state);
+    left = { type: 'operation', operator: '&&', args: [left, parseRelational(state)] };
+  }
+  return left;
+}
+
+function parseRelational(state) {
+  const left = parseAdditive(state);
+  const token = peek(state);
+  
+  if (token && token.type === 'punct' && ['=', '!=', '<', '>', '<=', '>='].includes(token.value)) {
+    next(state);
+    return { type: 'operation', operator: token.value, args: [left, parseAdditive(state)] };
+  }
+  
+  const negated = isWord(token, 'NOT') && isWord(peek(state, 1), 'IN');
+  if (negated || isWord(token, 'IN')) {
+    next(state);
+    if (negated) next(state);
+    return { type: 'in', negated, expression: left, list: parseArgumentList(state) };
+  }
+  
+  return left;
+}
+
+function parseAdditive(state) {
+  let left = parseMultiplicative(state);
+  while (isPunct(peek(state), '+') || isPunct(peek(state), '-')) {
+    const operator = next(state).value;
+    left = { type: 'operation', operator, args: [left, parseMultiplicative(state)] };
+  }
+  return left;
+}
+
+function parseMultiplicative(state) {
+  let left = parseUnary(state);
+  while (isPunct(peek(state), '*') || isPunct(peek(state), '/')) {
+    const operator = next(state).value;
+    left = { type: 'operation', operator, args: [left, parseUnary(state)] };
+  }
+  return left;
+}
+
+function parseUnary(state) {
+  const token = peek(state);
+  if (isPunct(token, '!')) {
+    next(state);
+    return { type: 'operation', operator: '!', args: [parseUnary(state)] };
+  }
+  if ((isPunct(token, '-') || isPunct(token, '+')) && !(peek(state, 1) && peek(state, 1).type === 'number')) {
+    next(state);
+    return { type: 'operation', operator: `unary${token.value}`, args: [parseUnary(state)] };
+  }
+  return parsePrimary(state);
+}
+
+function parseArgumentList(state) {
+  expectPunct(state, '(');
+  const args = [];
+  while (!isPunct(peek(state), ')')) {
+    args.push(parseExpression(state));
+    if (isPunct(peek(state), ',')) next(state);
+  }
+  next(state);
+  return args;
+}
+
+function parsePrimary(state) {
+  const token = peek(state);
+  if (!token) throw new Error('Unexpected end of SPARQL query');
+  
+  if (isPunct(token, '(')) {
+    next(state);
+    const expression = parseExpression(state);
+    expectPunct(state, ')');
+    return expression;
+  }
+  
+  if (token.type === 'var') {
+    next(state);
+    return { type: 'variable', name: token.value };
+  }
+  
+  if (isWord(token, 'EXISTS')) {
+    next(state);
+    return { type: 'exists', negated: false, group: parseGroup(state) };
+  }
+  
+  if (isWord(token, 'NOT') && isWord(peek(state, 1), 'EXISTS')) {
+    next(state);
+    next(state);
+    return { type: 'exists', negated: true, group: parseGroup(state) };
+  }
+  
+  if (token.type === 'word' && isPunct(peek(state, 1), '(')) {
+    const name = next(state).value.toUpperCase();
+    
+    if (AGGREGATES.has(name)) {
+      expectPunct(state, '(');
+      const aggregate = { type: 'aggregate', name, distinct: false, expression: null, separator: ' ' };
+      if (isWord(peek(state), 'DISTINCT')) {
+        next(state);
+        aggregate.distinct = true;
+      }
+      if (isPunct(peek(state), '*')) {
+        next(state);
+      } else {
+        aggregate.expression = parseExpression(state);
+      }
+      if (isPunct(peek(state), ';')) {
+        next(state);
+        expectWord(state, 'SEPARATOR');
+        expectPunct(state, '=');
+        aggregate.separator = next(state).value;
+      }
+      expectPunct(state, ')');
+      return aggregate;
+    }
+    
+    return { type: 'function', name, args: parseArgumentList(state) };
+  }
+  
+  return { type: 'term', term: parseConstantTerm(state) };
+}
+
+// ============================================
+// Evaluation
+// ============================================
+
+/**
+ * Error raised while evaluating an expression; makes a FILTER false and leaves BIND unbound
+ */
+class ExpressionError extends Error {}
+
+function isNumeric(term) {
+  return term.termType === 'Literal' && NUMERIC_DATATYPES.has(term.datatype.value);
+}
+
+function isSimpleString(term) {
+  return term.termType === 'Literal' && !term.language && term.datatype.value === XSD + 'string';
+}
+
+function isStringLiteral(term) {
+  return term.termType === 'Literal' && (term.datatype.value === XSD + 'string' || term.datatype.value === RDF_LANGSTRING);
+}
+
+function booleanTerm(value) {
+  return value ? TRUE : FALSE;
+}
+
+function numericTerm(value, datatype) {
+  if (datatype === XSD + 'integer' && !Number.isInteger(value)) {
+    datatype = XSD + 'decimal';
+  }
+  return literal(String(value), namedNode(datatype));
+}
+
+/**
+ * Get the effective boolean value of a term
+ */
+function effectiveBoolean(term) {
+  if (term.termType !== 'Literal') {
+    throw new ExpressionError('No effective boolean value');
+  }
+  if (term.datatype.value === XSD + 'boolean') {
+    return term.value === 'true' || term.value === '1';
+  }
+  if (isNumeric(term)) {
+    const number = Number(term.value);
+    return !isNaN(number) && number !== 0;
+  }
+  if (isStringLiteral(term)) {
+    return term.value.length > 0;
+  }
+  throw new ExpressionError('No effective boolean value');
+}
+
+/**
+ * Compare two terms for ordering
+ * @returns {number} Negative, zero or positive
+ */
+function compareTerms(a, b) {
+  if (isNumeric(a) && isNumeric(b)) {
+    return Number(a.value) - Number(b.value);
+  }
+  if (a.termType === 'Literal' && b.termType === 'Literal') {
+    const typeA = a.datatype.value;
+    const typeB = b.datatype.value;
+    if ((typeA === XSD + 'dateTime' || typeA === XSD + 'date') && typeA === typeB) {
+      return Date.parse(a.value) - Date.parse(b.value);
+    }
+    if ((isSimpleString(a) && isSimpleString(b)) || (typeA === typeB && typeA === XSD + 'boolean')) {
+      return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+    }
+  }
+  throw new ExpressionError('Values are not comparable');
+}
+
+/**
+ * Test two terms for equality using value semantics for numbers and dates
+ */
+function termsEqual(a, b) {
+  if (isNumeric(a) && isNumeric(b)) {
+    return Number(a.value) === Number(b.value);
+  }
+  if (a.termType === 'Literal' && b.termType === 'Literal' &&
+      a.datatype.value === b.datatype.value &&
+      (a.datatype.value === XSD + 'dateTime' || a.datatype.value === XSD + 'date')) {
+    return Date.parse(a.value) === Date.parse(b.value);
+  }
+  return a.equals(b);
+}
+
+/**
+ * Order terms for ORDER BY: unbound < blank nodes < IRIs < literals
+ */
+function orderTerms(a, b) {
+  const rank = (term) => !term ? 0 : term.termType === 'BlankNode' ? 1 : term.termType === 'NamedNode' ? 2 : 3;
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (!a) return 0;
+  try {
+    return compareTerms(a, b);
+  } catch (e) {
+    return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+  }
+}
+
+function stringArgument(term) {
+  if (!term || term.termType !== 'Literal') {
+    throw new ExpressionError('Expected a string literal');
+  }
+  return term.value;
+}
+
+/**
+ * Create a string literal that keeps the language tag of a source literal
+ */
+function stringLike(value, source) {
+  return source && source.language ? literal(value, source.language) : literal(value);
+}
+
+/**
+ * Built-in function implementations over evaluated arguments
+ */
+const FUNCTIONS = {
+  STR: ([term]) => {
+    if (term.termType === 'BlankNode') throw new ExpressionError('STR of a blank node');
+    return literal(term.value);
+  },
+  LANG: ([term]) => literal(term.termType === 'Literal' ? term.language || '' : ''),
+  DATATYPE: ([term]) => {
+    if (term.termType !== 'Literal') throw new ExpressionError('DATATYPE of a non-literal');
+    return term.datatype;
+  },
+  IRI: ([term]) => namedNode(term.value),
+  URI: ([term]) => namedNode(term.value),
+  ISIRI: ([term]) => booleanTerm(term.termType === 'NamedNode'),
+  ISURI: ([term]) => booleanTerm(term.termType === 'NamedNode'),
+  ISBLANK: ([term]) => booleanTerm(term.termType === 'BlankNode'),
+  ISLITERAL: ([term]) => booleanTerm(term.termType === 'Literal'),
+  ISNUMERIC: ([term]) => booleanTerm(isNumeric(term) && !isNaN(Number(term.value))),
+  SAMETERM: ([a, b]) => booleanTerm(a.equals(b)),
+  STRLEN: ([term]) => numericTerm([...stringArgument(term)].length, XSD + 'integer'),
+  UCASE: ([term]) => stringLike(stringArgument(term).toUpperCase(), term),
+  LCASE: ([term]) => stringLike(stringArgument(term).toLowerCase(), term),
+  CONTAINS: ([a, b]) => booleanTerm(stringArgument(a).includes(stringArgument(b))),
+  STRSTARTS: ([a, b]) => booleanTerm(stringArgument(a).startsWith(stringArgument(b))),
+  STRENDS: ([a, b]) => booleanTerm(stringArgument(a).endsWith(stringArgument(b))),
+  CONCAT: (args) => literal(args.map(stringArgument).join('')),
+  SUBSTR: ([term, start, length]) => {
+    const chars = [...stringArgument(term)];
+    const from = Math.round(Number(start.value)) - 1;
+    const to = length ? from + Math.round(Number(length.value)) : chars.length;
+    return stringLike(chars.slice(Math.max(from, 0), Math.max(to, 0)).join(''), term);
+  },
+  REGEX: ([term, pattern, flags]) => {
+    try {
+      return booleanTerm(new RegExp(stringArgument(pattern), flags ? stringArgument(flags) : '').test(stringArgument(term)));
+    } catch (e) {
+      if (e instanceof ExpressionError) throw e;
+      throw new ExpressionError(`Invalid regular expression: ${e.message}`);
+    }
+  },
+  LANGMATCHES: ([tag, range]) => {
+    const lowerTag = stringArgument(tag).toLowerCase();
+    const lowerRange = stringArgument(range).toLowerCase();
+    return booleanTerm(lowerRange === '*'
+      ? lowerTag.length > 0
+      : lowerTag === lowerRange || lowerTag.startsWith(`${lowerRange}-`));
+  },
+  ABS: ([term]) => numericFunction(term, Math.abs),
+  ROUND: ([term]) => numericFunction(term, Math.round),
+  CEIL: ([term]) => numericFunction(term, Math.ceil),
+  FLOOR: ([term]) => numericFunction(term, Math.floor)
+};
+
+function numericFunction(term, fn) {
+  if (!isNumeric(term)) throw new ExpressionError('Expected a numeric value');
+  return numericTerm(fn(Number(term.value)), term.datatype.value);
+}
+
+/**
+ * Get the datatype of an arithmetic result following XSD numeric type promotion
+ */
+function promoteNumericType(a, b) {
+  const order = [XSD + 'integer', XSD + 'decimal', XSD + 'float', XSD + 'double'];
+  const rank = (term) => {
+    const index = order.indexOf(term.datatype.value);
+    return index === -1 ? 0 : index;
+  };
+  return order[Math.max(rank(a), rank(b))];
+}
+
+/**
+ * Evaluate an expression against a solution
+ * @param {object} expression - Expression AST
+ * @param {object} solution - Variable bindings
+ * @param {object} ctx - Evaluation context with the store and, for aggregates, the current group
+ * @returns {object} RDF term
+ * @throws {ExpressionError} When the expression has no value
+ */
+function evaluateExpression(expression, solution, ctx) {
+  switch (expression.type) {
+    case 'term':
+      return expression.term;
+    
+    case 'variable': {
+      const term = solution[expression.name];
+      if (!term) throw new ExpressionError(`Unbound variable ?${expression.name}`);
+      return term;
+    }
+    
+    case 'exists': {
+      const found = evaluateGroup(expression.group, [solution], ctx).length > 0;
+      return booleanTerm(expression.negated ? !found : found);
+    }
+    
+    case 'in': {
+      const value = evaluateExpression(expression.expression, solution, ctx);
+      const found = expression.list.some(item => {
+        try {
+          return termsEqual(value, evaluateExpression(item, solution, ctx));
+        } catch (e) {
+          if (e instanceof ExpressionError) return false;
+          throw e;
+        }
+      });
+      return booleanTerm(expression.negated ? !found : found);
+    }
+    
+    case 'aggregate':
+      return evaluateAggregate(expression, ctx);
+    
+    case 'operation':
+      return evaluateOperation(expression, solution, ctx);
+    
+    case 'function':
+      return evaluateFunction(expression, solution, ctx);
+  }
+  
+  throw new Error(`Unknown expression type ${expression.type}`);
+}
+
+function evaluateOperation(expression, solution, ctx) {
+  const { operator, args } = expression;
+  
+  if (operator === '||' || operator === '&&') {
+    // Logical operators tolerate an error on one side when the other side decides the result
+    let error = null;
+    for (const arg of args) {
+      try {
+        const value = effectiveBoolean(evaluateExpression(arg, solution, ctx));
+        if (operator === '||' && value) return TRUE;
+        if (operator === '&&' && !value) return FALSE;
+      } catch (e) {
+        if (!(e instanceof ExpressionError)) throw e;
+        error = e;
+      }
+    }
+    if (error) throw error;
+    return booleanTerm(operator === '&&');
+  }
+  
+  const values = args.map(arg => evaluateExpression(arg, solution, ctx));
+  const [a, b] = values;
+  
+  switch (operator) {
+    case '!':
+      return booleanTerm(!effectiveBoolean(a));
+    case 'unary-':
+      if (!isNumeric(a)) throw new ExpressionError('Expected a numeric value');
+      return numericTerm(-Number(a.value), a.datatype.value);
+    case 'unary+':
+      if (!isNumeric(a)) throw new ExpressionError('Expected a numeric value');
+      return a;
+    case '=':
+      return booleanTerm(termsEqual(a, b));
+    case '!=':
+      return booleanTerm(!termsEqual(a, b));
+    case '<':
+      return booleanTerm(compareTerms(a, b) < 0);
+    case '>':
+      return booleanTerm(compareTerms(a, b) > 0);
+    case '<=':
+      return booleanTerm(compareTerms(a, b) <= 0);
+    case '>=':
+      return booleanTerm(compareTerms(a, b) >= 0);
+  }
+  
+  if (!isNumeric(a) || !isNumeric(b)) {
+    throw new ExpressionError('Arithmetic requires numeric values');
+  }
+  const x = Number(a.value);
+  const y = Number(b.value);
+  const datatype = promoteNumericType(a, b);
+  
+  switch (operator) {
+    case '+':
+      return numericTerm(x + y, datatype);
+    case '-':
+      return numericTerm(x - y, datatype);
+    case '*':
+      return numericTerm(x * y, datatype);
+    case '/':
+      if (y === 0 && datatype !== XSD + 'double' && datatype !== XSD + 'float') {
+        throw new ExpressionError('Division by zero');
+      }
+      return numericTerm(x / y, datatype === XSD + 'integer' ? XSD + 'decimal' : datatype);
+  }
+  
+  throw new Error(`Unknown operator ${operator}`);
+}
+
+function evaluateFunction(expression, solution, ctx) {
+  const { name, args } = expression;
+  
+  // Functional forms that do not evaluate all of their arguments
+  if (name === 'BOUND') {
+    if (args[0].type !== 'variable') throw new Error('BOUND requires a variable');
+    return booleanTerm(!!solution[args[0].name]);
+  }
+  if (name === 'IF') {
+    const condition = effectiveBoolean(evaluateExpression(args[0], solution, ctx));
+    return evaluateExpression(condition ? args[1] : args[2], solution, ctx);
+  }
+  if (name === 'COALESCE') {
+    for (const arg of args) {
+      try {
+        return evaluateExpression(arg, solution, ctx);
+      } catch (e) {
+        if (!(e instanceof ExpressionError)) throw e;
+      }
+    }
+    throw new ExpressionError('COALESCE has no bound argument');
+  }
+  
+  const fn = FUNCTIONS[name];
+  if (!fn) {
+    throw new Error(`Unsupported SPARQL function ${name}`);
+  }
+  return fn(args.map(arg => evaluateExpression(arg, solution, ctx)));
+}
+
+function evaluateAggregate(aggregate, ctx) {
+  if (!ctx.group) {
+    throw new Error(`Aggregate ${aggregate.name} used outside of a grouped query`);
+  }
+  
+  let values;
+  if (aggregate.expression === null) {
+    values = ctx.group.map(() => TRUE);
+  } else {
+    values = [];
+    for (const solution of ctx.group) {
+      try {
+        values.push(evaluateExpression(aggregate.expression, solution, { ...ctx, group: null }));
+      } catch (e) {
+        if (!(e instanceof ExpressionError)) throw e;
+      }
+    }
+  }
+  
+  if (aggregate.distinct) {
+    const seen = new Map();
+    values.forEach(value => seen.set(value.id, value));
+    values = Array.from(seen.values());
+  }
+  
+  switch (aggregate.name) {
+    case 'COUNT':
+      return numericTerm(values.length, XSD + 'integer');
+    
+    case 'SUM':
+    case 'AVG': {
+      let datatype = XSD + 'integer';
+      let sum = 0;
+      for (const value of values) {
+        if (!isNumeric(value)) throw new ExpressionError(`${aggregate.name} requires numeric values`);
+        sum += Number(value.value);
+        datatype = promoteNumericType(literal('0', namedNode(datatype)), value);
+      }
+      if (aggregate.name === 'SUM') return numericTerm(sum, datatype);
+      return values.length === 0
+        ? numericTerm(0, XSD + 'integer')
+        : numericTerm(sum / values.length, datatype === XSD + 'integer' ? XSD + 'decimal' : datatype);
+    }
+    
+    case 'MIN':
+    case 'MAX': {
+      if (values.length === 0) throw new ExpressionError(`${aggregate.name} of an empty group`);
+      const sign = aggregate.name === 'MIN' ? 1 : -1;
+      return values.reduce((best, value) => sign * orderTerms(value, best) < 0 ? value : best);
+    }
+    
+    case 'SAMPLE':
+      if (values.length === 0) throw new ExpressionError('SAMPLE of an empty group');
+      return values[0];
+    
+    case 'GROUP_CONCAT':
+      return literal(values.map(value => value.value).join(aggregate.separator));
+  }
+  
+  throw new Error(`Unknown aggregate ${aggregate.name}`);
+}
+
+/**
+ * Check whether a term is a query variable
+ */
+function isVariable(term) {
+  return term.termType === 'Variable';
+}
+
+/**
+ * Match one triple pattern against the store, extending a solution
+ */
+function matchTriplePattern(store, pattern, solution) {
+  const resolve = (term) => isVariable(term) ? solution[term.value] || null : term;
+  const subject = resolve(pattern.subject);
+  const predicate = resolve(pattern.predicate);
+  const object = resolve(pattern.object);
+  
+  const results = [];
+  for (const q of store.getQuads(subject, predicate, object, null)) {
+    const extended = { ...solution };
+    let compatible = true;
+    
+    for (const [patternTerm, term] of [[pattern.subject, q.subject], [pattern.predicate, q.predicate], [pattern.object, q.object]]) {
+      if (!isVariable(patternTerm)) continue;
+      const bound = extended[patternTerm.value];
+      if (bound && !bound.equals(term)) {
+        compatible = false;
+        break;
+      }
+      extended[patternTerm.value] = term;
+    }
+    
+    if (compatible) results.push(extended);
+  }
+  
+  return results;
+}
+
+/**
+ * Check whether two solutions agree on all shared variables
+ */
+function compatibleSolutions(a, b) {
+  return Object.keys(a).every(key => !b[key] || b[key].equals(a[key]));
+}
+
+/**
+ * Evaluate a group graph pattern starting from a list of input solutions
+ * Filters apply to the whole group, after all other elements
+ */
+function evaluateGroup(group, solutions, ctx) {
+  const filters = [];
+  
+  for (const element of group.elements) {
+    switch (element.type) {
+      case 'bgp':
+        for (const pattern of element.triples) {
+          solutions = solutions.flatMap(solution => matchTriplePattern(ctx.store, pattern, solution));
+        }
+        break;
+      
+      case 'filter':
+        filters.push(element.expression);
+        break;
+      
+      case 'optional':
+        solutions = solutions.flatMap(solution => {
+          const extended = evaluateGroup(element.group, [solution], ctx);
+          return extended.length > 0 ? extended : [solution];
+        });
+        break;
+      
+      case 'union':
+        solutions = element.groups.flatMap(branch => evaluateGroup(branch, solutions, ctx));
+        break;
+      
+      case 'minus': {
+        const removed = evaluateGroup(element.group, [{}], ctx);
+        solutions = solutions.filter(solution => !removed.some(other =>
+          Object.keys(other).some(key => solution[key]) && compatibleSolutions(solution, other)
+        ));
+        break;
+      }
+      
+      case 'bind':
+        solutions = solutions.map(solution => {
+          try {
+            return { ...solution, [element.variable]: evaluateExpression(element.expression, solution, ctx) };
+          } catch (e) {
+            if (!(e instanceof ExpressionError)) throw e;
+            return solution;
+          }
+        });
+        break;
+      
+      case 'group':
+        solutions = evaluateGroup(element, solutions, ctx);
+        break;
+    }
+  }
+  
+  return solutions.filter(solution => filters.every(filter => {
+    try {
+      return effectiveBoolean(evaluateExpression(filter, solution, ctx));
+    } catch (e) {
+      if (!(e instanceof ExpressionError)) throw e;
+      return false;
+    }
+  }));
+}
+
+/**
+ * Check whether an expression contains an aggregate
+ */
+function hasAggregate(expression) {
+  if (!expression || typeof expression !== 'object') return false;
+  if (expression.type === 'aggregate') return true;
+  return (expression.args || []).some(hasAggregate) ||
+    (expression.list || []).some(hasAggregate) ||
+    hasAggregate(expression.expression);
+}
+
+/**
+ * Group solutions and compute one solution per group
+ */
+function evaluateGrouping(ast, solutions, ctx) {
+  const groups = new Map();
+  
+  for (const solution of solutions) {
+    const keyTerms = ast.groupBy.map(expression => {
+      try {
+        return evaluateExpression(expression, solution, ctx);
+      } catch (e) {
+        if (!(e instanceof ExpressionError)) throw e;
+        return null;
+      }
+    });
+    const key = keyTerms.map(term => term ? term.id : '').join('\u0000');
+    if (!groups.has(key)) groups.set(key, { keyTerms, solutions: [] });
+    groups.get(key).solutions.push(solution);
+  }
+  
+  // Aggregating without GROUP BY yields a single group, even over no solutions
+  if (ast.groupBy.length === 0 && groups.size === 0) {
+    groups.set('', { keyTerms: [], solutions: [] });
+  }
+  
+  const results = [];
+  for (const { keyTerms, solutions: members } of groups.values()) {
+    const groupSolution = {};
+    ast.groupBy.forEach((expression, index) => {
+      if (expression.type === 'variable' && keyTerms[index]) {
+        groupSolution[expression.name] = keyTerms[index];
+      }
+    });
+    
+    const groupCtx = { ...ctx, group: members };
+    const passes = ast.having.every(condition => {
+      try {
+        return effectiveBoolean(evaluateExpression(condition, groupSolution, groupCtx));
+      } catch (e) {
+        if (!(e instanceof ExpressionError)) throw e;
+        return false;
+      }
+    });
+    if (!passes) continue;
+    
+    extendWithProjection(ast, groupSolution, groupCtx);
+    results.push(groupSolution);
+  }
+  
+  return results;
+}
+
+/**
+ * Bind the projection expressions `(expr AS ?var)` of a query into a solution
+ */
+function extendWithProjection(ast, solution, ctx) {
+  if (ast.projection === '*') return;
+  
+  for (const item of ast.projection) {
+    if (!item.expression) continue;
+    try {
+      solution[item.variable] = evaluateExpression(item.expression, solution, ctx);
+    } catch (e) {
+      if (!(e instanceof ExpressionError)) throw e;
+    }
+  }
+}
+
+/**
+ * Run a SPARQL SELECT query against an N3 store
+ * @param {Store} store - N3 store to query
+ * @param {string|object} query - SPARQL query text or a parsed query
+ * @param {object} options - Query options
+ * @param {object} options.bindings - Pre-bound variables (name without `?`/`$` to RDF term)
+ * @param {object} options.prefixes - Prefix mappings for prefixed names not declared in the query
+ * @returns {{variables: string[], bindings: object[]}} Projected variables and one binding object per solution
+ * @throws {Error} When the query cannot be parsed or uses unsupported features
+ */
+export function select(store, query, options = {}) {
+  const { bindings = {}, prefixes = {} } = options;
+  const ast = typeof query === 'string' ? parseQuery(query, prefixes) : query;
+  const ctx = { store, group: null };
+  
+  let solutions = evaluateGroup(ast.where, [{ ...bindings }], ctx);
+  
+  const aggregated = ast.groupBy.length > 0 || ast.having.length > 0 ||
+    (ast.projection !== '*' && ast.projection.some(item => hasAggregate(item.expression)));
+  
+  if (aggregated) {
+    solutions = evaluateGrouping(ast, solutions, ctx);
+  } else {
+    solutions.forEach(solution => extendWithProjection(ast, solution, ctx));
+  }
+  
+  if (ast.orderBy.length > 0) {
+    const orderCtx = { ...ctx };
+    const sortKey = (solution, expression) => {
+      try {
+        return evaluateExpression(expression, solution, orderCtx);
+      } catch (e) {
+        if (!(e instanceof ExpressionError)) throw e;
+        return null;
+      }
+    };
+    solutions = [...solutions].sort((a, b) => {
+      for (const { expression, descending } of ast.orderBy) {
+        const cmp = orderTerms(sortKey(a, expression), sortKey(b, expression));
+        if (cmp !== 0) return descending ? -cmp : cmp;
+      }
+      return 0;
+    });
+  }
+  
+  const variables = ast.projection === '*'
+    ? ast.variables
+    : ast.projection.map(item => item.variable);
+  
+  let results = solutions.map(solution => {
+    const projected = {};
+    for (const name of variables) {
+      if (solution[name]) projected[name] = solution[name];
+    }
+    return projected;
+  });
+  
+  if (ast.distinct) {
+    const seen = new Set();
+    results = results.filter(result => {
+      const key = variables.map(name => result[name] ? result[name].id : '').join('\u0000');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  
+  const end = ast.limit === null ? undefined : ast.offset + ast.limit;
+  return { variables, bindings: results.slice(ast.offset, end) };
+}
+
+export default {
+  parseQuery,
+  select
+};
@@ -0,0 +1,45 @@
+/**
+ * JSON-LD Context Utilities
+ * Resolves keywords and IRIs against a jsonld.js active context
+ */
+
+/**
+ * Get the keyword a key stands for, following keyword aliases
+ */
+export function getKeyword(activeCtx, key) {
+  if (key.startsWith('@')) return key;
+  const id = activeCtx.mappings.get(key)?.['@id'];
+  return typeof id === 'string' && id.startsWith('@') ? id : null;
+}
+
+/**
+ * Expand a term, compact IRI or absolute IRI using the active context
+ * Relative IRIs are only resolved against @vocab, which is enough to recognise properties and types
+ * @returns {string|null} Expanded IRI, or null when the value does not expand
+ */
+export function expandIri(activeCtx, value, vocab = true) {
+  const mapping = activeCtx.mappings.get(value);
+  if (mapping) {
+    return mapping['@reverse'] ? null : mapping['@id'] || null;
+  }
+  
+  const colon = value.indexOf(':');
+  if (colon > 0) {
+    const prefix = activeCtx.mappings.get(value.slice(0, colon));
+    const suffix = value.slice(colon + 1);
+    if (prefix && prefix['@id'] && !suffix.startsWith('//')) {
+      return prefix['@id'] + suffix;
+    }
+    return value;
+  }
+  
+  if (vocab && activeCtx['@vocab']) {
+    return activeCtx['@vocab'] + value;
+  }
+  return null;
+}
+
+export default {
+  getKeyword,
+  expandIri
+};
@@ -0,0 +1,149 @@
+/**
+ * JSON Source Map Utilities
+ * Parses JSON text while recording the character range of every value by JSON pointer
+ */
+
+/**
+ * Escape a key for use as a JSON pointer segment (RFC 6901)
+ * @param {string|number} segment - Object key or array index
+ * @returns {string} Escaped segment
+ */
+export function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Build a JSON pointer from its parent pointer and a key
+ */
+function childPointer(pointer, segment) {
+  return `${pointer}/${escapePointerSegment(segment)}`;
+}
+
+/**
+ * Parse JSON text and record where each value appears
+ * @param {string} text - JSON text
+ * @returns {{data: any, pointers: Map<string, {key: {start: number, end: number}|null, value: {start: number, end: number}}>}}
+ *   Parsed data and, for each JSON pointer, the offsets of its key (for object members) and value
+ * @throws {SyntaxError} When the text is not valid JSON
+ */
+export function parseWithPointers(text) {
+  const pointers = new Map();
+  let pos = 0;
+  
+  const fail = (message) => {
+    const { line, column } = offsetToLineColumn(text, pos);
+    throw new SyntaxError(`${message} at line ${line} column ${column}`);
+  };
+  
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  
+  const parseString = () => {
+    const start = pos;
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') pos++;
+      if (text[pos] === '\n') fail('Unterminated string');
+      pos++;
+    }
+    if (pos >= text.length) fail('Unterminated string');
+    pos++;
+    try {
+      return JSON.parse(text.slice(start, pos));
+    } catch (e) {
+      pos = start;
+      return fail('Invalid string');
+    }
+  };
+  
+  const parseLiteral = () => {
+    const match = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(pos, pos + 400));
+    if (!match) fail(`Unexpected token ${JSON.stringify(text[pos] ?? 'end of input')}`);
+    pos += match[0].length;
+    return JSON.parse(match[0]);
+  };
+  
+  const expect = (char) => {
+    skipWhitespace();
+    if (text[pos] !== char) fail(`Expected '${char}'`);
+    pos++;
+  };
+  
+  const parseValue = (pointer, key) => {
+    skipWhitespace();
+    const start = pos;
+    let value;
+    
+    if (text[pos] === '{') {
+      value = {};
+      pos++;
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+      } else {
+        do {
+          skipWhitespace();
+          if (text[pos] !== '"') fail('Expected property name');
+          const keyStart = pos;
+          const name = parseString();
+          const keyRange = { start: keyStart, end: pos };
+          expect(':');
+          value[name] = parseValue(childPointer(pointer, name), keyRange);
+          skipWhitespace();
+        } while (text[pos] === ',' && ++pos);
+        expect('}');
+      }
+    } else if (text[pos] === '[') {
+      value = [];
+      pos++;
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+      } else {
+        do {
+          value.push(parseValue(childPointer(pointer, value.length), null));
+          skipWhitespace();
+        } while (text[pos] === ',' && ++pos);
+        expect(']');
+      }
+    } else if (text[pos] === '"') {
+      value = parseString();
+    } else {
+      value = parseLiteral();
+    }
+    
+    pointers.set(pointer, { key, value: { start, end: pos } });
+    return value;
+  };
+  
+  const data = parseValue('', null);
+  skipWhitespace();
+  if (pos < text.length) fail('Unexpected content after JSON value');
+  
+  return { data, pointers };
+}
+
+/**
+ * Convert a character offset into a 1-based line and column
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}}
+ */
+export function offsetToLineColumn(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, column: offset - lineStart + 1 };
+}
+
+export default {
+  parseWithPointers,
+  offsetToLineColumn,
+  escapePointerSegment
+};
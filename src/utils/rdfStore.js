@@ -0,0 +1,69 @@
+/**
+ * RDF Store Utilities
+ * Reads values, lists and local names from an N3 store
+ */
+
+import { DataFactory } from 'n3';
+
+const { namedNode } = DataFactory;
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+/**
+ * Get a single value from store for a subject and predicate
+ */
+export function getValue(store, subject, predicate) {
+  const quads = store.getQuads(subject, namedNode(predicate), null, null);
+  return quads.length > 0 ? quads[0].object.value : null;
+}
+
+/**
+ * Get all values from store for a subject and predicate
+ */
+export function getValues(store, subject, predicate) {
+  return store.getQuads(subject, namedNode(predicate), null, null)
+    .map(q => q.object.value);
+}
+
+/**
+ * Get all objects (as nodes) for a subject and predicate
+ */
+export function getObjects(store, subject, predicate) {
+  return store.getQuads(subject, namedNode(predicate), null, null)
+    .map(q => q.object);
+}
+
+/**
+ * Read the items of an RDF list
+ */
+export function readList(store, head) {
+  const items = [];
+  const visited = new Set();
+  for (let node = head; node && node.value !== RDF + 'nil' && !visited.has(node.value);) {
+    visited.add(node.value);
+    const [first] = getObjects(store, node, RDF + 'first');
+    if (!first) break;
+    items.push(first);
+    [node] = getObjects(store, node, RDF + 'rest');
+  }
+  return items;
+}
+
+/**
+ * Get local name from URI
+ */
+export function getLocalName(uri) {
+  if (!uri) return '';
+  const hashIndex = uri.lastIndexOf('#');
+  const slashIndex = uri.lastIndexOf('/');
+  const index = Math.max(hashIndex, slashIndex);
+  return index >= 0 ? uri.slice(index + 1) : uri;
+}
+
+export default {
+  getValue,
+  getValues,
+  getObjects,
+  readList,
+  getLocalName
+};
@@ -8,6 +8,7 @@ const STORAGE_KEYS = {
   SHACL: 'jsonld-builder-shacl',
   FRAME: 'jsonld-builder-frame',
   PREFERENCES: 'jsonld-builder-preferences',
+  SHAPES_GRAPHS: 'jsonld-builder-shapes-graphs',
   RECENT: 'jsonld-builder-recent'
 };
 
@@ -88,6 +89,32 @@ export function loadFrame() {
   }
 }
 
+/**
+ * Save the registered shapes graphs ({ name, content, iri, enabled })
+ */
+export function saveShapesGraphs(graphs) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.SHAPES_GRAPHS, JSON.stringify(graphs));
+    return true;
+  } catch (e) {
+    console.error('Failed to save shapes graphs:', e);
+    return false;
+  }
+}
+
+/**
+ * Load the registered shapes graphs
+ */
+export function loadShapesGraphs() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.SHAPES_GRAPHS);
+    return data ? JSON.parse(data) : [];
+  } catch (e) {
+    console.error('Failed to load shapes graphs:', e);
+    return [];
+  }
+}
+
 /**
  * Save user preferences
  */
@@ -228,6 +255,35 @@ export function importFile(accept = '.json,.jsonld') {
   });
 }
 
+/**
+ * Import several files and read their contents
+ */
+export function importFiles(accept = '.json,.jsonld') {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = true;
+    
+    input.onchange = (e) => {
+      const files = Array.from(e.target.files);
+      if (files.length === 0) {
+        reject(new Error('No file selected'));
+        return;
+      }
+      
+      Promise.all(files.map(file => new Promise((resolveFile, rejectFile) => {
+        const reader = new FileReader();
+        reader.onload = (event) => resolveFile({ name: file.name, content: event.target.result });
+        reader.onerror = () => rejectFile(new Error(`Failed to read ${file.name}`));
+        reader.readAsText(file);
+      }))).then(resolve, reject);
+    };
+    
+    input.click();
+  });
+}
+
 export default {
   saveJsonLd,
   loadJsonLd,
@@ -235,11 +291,14 @@ export default {
   loadShacl,
   saveFrame,
   loadFrame,
+  saveShapesGraphs,
+  loadShapesGraphs,
   savePreferences,
   loadPreferences,
   addToRecent,
   loadRecent,
   clearStorage,
   downloadFile,
-  importFile
+  importFile,
+  importFiles
 };
@@ -0,0 +1,118 @@
+/**
+ * Turtle Writing Utilities
+ * Shortens IRIs with prefixes and renders terms and predicate-object lists as Turtle
+ */
+
+import { XSD } from './xsdLexical.js';
+
+/**
+ * Shorten a URI using common prefixes
+ */
+export function shortenUri(uri, prefixes) {
+  for (const [prefix, namespace] of Object.entries(prefixes)) {
+    const localName = uri.slice(namespace.length);
+    if (uri.startsWith(namespace) && /^[A-Za-z_][\w-]*$/.test(localName)) {
+      return `${prefix}:${localName}`;
+    }
+  }
+  return `<${uri}>`;
+}
+
+/**
+ * Declare a prefix for the namespace of an IRI that no prefix covers yet
+ * The prefix name comes from the last path segment or the domain name, e.g. `foaf` for
+ * http://xmlns.com/foaf/0.1/ and `schema` for http://schema.org/
+ */
+export function addNamespacePrefix(uri, prefixes) {
+  const namespace = uri.slice(0, Math.max(uri.lastIndexOf('#'), uri.lastIndexOf('/')) + 1);
+  if (!/^[a-z][\w+.-]*:\/\/[^/]+\//i.test(namespace) || Object.values(prefixes).includes(namespace)) return;
+  
+  const [host, ...segments] = namespace.replace(/^[a-z][\w+.-]*:\/\//i, '').split(/[/#]/).filter(Boolean);
+  const domain = host.replace(/^www\./, '').split('.');
+  const candidate = segments.reverse().find(segment => /^[A-Za-z]/.test(segment)) || domain[Math.max(domain.length - 2, 0)];
+  const base = candidate.replace(/[^A-Za-z0-9_-]/g, '').toLowerCase() || 'ns';
+  
+  let name = base;
+  for (let i = 2; prefixes[name]; i++) {
+    name = `${base}${i}`;
+  }
+  prefixes[name] = namespace;
+}
+
+/**
+ * Write an RDF term in Turtle
+ */
+export function renderTerm(term, short) {
+  if (term.termType !== 'Literal') return short(term.value);
+  const lexical = JSON.stringify(term.value);
+  if (term.language) return `${lexical}@${term.language}`;
+  return term.datatype.value === XSD + 'string' ? lexical : `${lexical}^^${short(term.datatype.value)}`;
+}
+
+/**
+ * Render predicate-object pairs as Turtle lines ending with ' ;'
+ * Objects given as pair arrays are written as nested blank nodes
+ */
+export function renderPairs(pairs, indent = '    ') {
+  const lines = [];
+  for (const [predicate, object] of pairs) {
+    if (Array.isArray(object)) {
+      lines.push(`${indent}${predicate} [`);
+      lines.push(...renderPairs(object, `${indent}    `));
+      lines.push(`${indent}] ;`);
+    } else {
+      lines.push(`${indent}${predicate} ${object} ;`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Generate a valid SHACL shape name from a class name
+ * @param {string} targetClass - The target class (prefixed or full URI)
+ * @param {object} prefixes - Available prefixes
+ * @returns {string} A valid Turtle shape name
+ */
+export function generateShapeName(targetClass, prefixes) {
+  if (!targetClass) {
+    return 'ex:GeneratedShape';
+  }
+  
+  // If it's a full URI wrapped in <>
+  if (targetClass.startsWith('<') && targetClass.endsWith('>')) {
+    const uri = targetClass.slice(1, -1);
+    // Extract local name from URI
+    let localName = uri.split('/').pop() || uri.split('#').pop() || 'Thing';
+    // Clean up the local name to be a valid identifier
+    localName = localName.replace(/[^a-zA-Z0-9_-]/g, '');
+    if (!localName) localName = 'Thing';
+    return `ex:${localName}Shape`;
+  }
+  
+  // If it's a prefixed name (e.g., schema:Person)
+  if (targetClass.includes(':')) {
+    const [prefix, localName] = targetClass.split(':');
+    // Check if the prefix exists
+    if (prefixes[prefix]) {
+      // Clean up local name
+      const cleanName = localName.replace(/[^a-zA-Z0-9_-]/g, '');
+      return `${prefix}:${cleanName}Shape`;
+    } else {
+      // Use ex: prefix for unknown prefixes
+      const cleanName = localName.replace(/[^a-zA-Z0-9_-]/g, '');
+      return `ex:${cleanName}Shape`;
+    }
+  }
+  
+  // Plain name without prefix
+  const cleanName = targetClass.replace(/[^a-zA-Z0-9_-]/g, '');
+  return `ex:${cleanName || 'Generated'}Shape`;
+}
+
+export default {
+  shortenUri,
+  addNamespacePrefix,
+  renderTerm,
+  renderPairs,
+  generateShapeName
+};
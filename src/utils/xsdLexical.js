@@ -0,0 +1,261 @@
+/**
+ * XSD Lexical Form Utilities
+ * Checks that literal values are well-formed for common XML Schema datatypes
+ */
+
+export const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/**
+ * Value ranges of the integer datatypes derived from xsd:integer
+ */
+const INTEGER_RANGES = {
+  integer: [null, null],
+  nonPositiveInteger: [null, 0n],
+  negativeInteger: [null, -1n],
+  nonNegativeInteger: [0n, null],
+  positiveInteger: [1n, null],
+  long: [-(2n ** 63n), 2n ** 63n - 1n],
+  int: [-(2n ** 31n), 2n ** 31n - 1n],
+  short: [-32768n, 32767n],
+  byte: [-128n, 127n],
+  unsignedLong: [0n, 2n ** 64n - 1n],
+  unsignedInt: [0n, 2n ** 32n - 1n],
+  unsignedShort: [0n, 65535n],
+  unsignedByte: [0n, 255n]
+};
+
+const TIMEZONE = '(Z|[+-](?:(?:0\\d|1[0-3]):[0-5]\\d|14:00))?';
+const YEAR = '(-?(?:[1-9]\\d{3,}|0\\d{3}))';
+const DATE = `${YEAR}-(\\d{2})-(\\d{2})`;
+const TIME = '(?:([01]\\d|2[0-3]):[0-5]\\d:[0-5]\\d(?:\\.\\d+)?|24:00:00(?:\\.0+)?)';
+
+const PATTERNS = {
+  decimal: /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/,
+  double: /^(?:[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+  boolean: /^(?:true|false|1|0)$/,
+  date: new RegExp(`^${DATE}${TIMEZONE}$`),
+  dateTime: new RegExp(`^${DATE}T${TIME}${TIMEZONE}$`),
+  dateTimeStamp: new RegExp(`^${DATE}T${TIME}(Z|[+-](?:(?:0\\d|1[0-3]):[0-5]\\d|14:00))$`),
+  time: new RegExp(`^${TIME}${TIMEZONE}$`),
+  gYear: new RegExp(`^${YEAR}${TIMEZONE}$`),
+  gYearMonth: new RegExp(`^${YEAR}-(0[1-9]|1[0-2])${TIMEZONE}$`),
+  duration: /^-?P(?=\d|T\d)(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d+)?S)?)?$/,
+  anyURI: /^(?:[^\s<>"{}|\\^`%]|%[0-9A-Fa-f]{2})*$/
+};
+PATTERNS.float = PATTERNS.double;
+
+/**
+ * Check that the day of a date exists in its month, including 29 February in leap years
+ */
+function isValidDay(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const daysInMonth = [31, isLeap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  return day <= daysInMonth[month - 1];
+}
+
+/**
+ * Get the local name of a datatype IRI in the XSD namespace
+ */
+function localName(datatype) {
+  return datatype && datatype.startsWith(XSD) ? datatype.slice(XSD.length) : null;
+}
+
+/**
+ * Check whether a datatype has its lexical forms checked
+ * @param {string} datatype - Datatype IRI
+ * @returns {boolean}
+ */
+export function isCheckedDatatype(datatype) {
+  const name = localName(datatype);
+  return name !== null && (name in INTEGER_RANGES || name in PATTERNS);
+}
+
+/**
+ * Check whether a lexical form is valid for a datatype
+ * Datatypes that are not checked accept any lexical form.
+ * @param {string} value - Lexical form
+ * @param {string} datatype - Datatype IRI
+ * @returns {boolean}
+ */
+export function isWellFormed(value, datatype) {
+  const name = localName(datatype);
+  if (name === null) return true;
+  
+  if (name in INTEGER_RANGES) {
+    if (!/^[+-]?\d+$/.test(value)) return false;
+    const number = BigInt(value);
+    const [min, max] = INTEGER_RANGES[name];
+    return (min === null || number >= min) && (max === null || number <= max);
+  }
+  
+  if (!(name in PATTERNS)) return true;
+  
+  const match = PATTERNS[name].exec(value);
+  if (!match) return false;
+  
+  if (name === 'date' || name === 'dateTime' || name === 'dateTimeStamp') {
+    return isValidDay(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  return true;
+}
+
+/**
+ * Read a well-formed date, time, dateTime or dateTimeStamp as a point in time
+ * Values without a timezone are read as if they were in UTC, and times are anchored to
+ * 1970-01-01, so that values of the same datatype compare by `time`.
+ * @param {string} value - Lexical form
+ * @param {string} datatype - Datatype IRI
+ * @returns {{time: number, timezone: boolean}|null} Milliseconds since the epoch and whether the
+ *   value has a timezone, or null for other datatypes and ill-formed values
+ */
+export function parseTemporal(value, datatype) {
+  const name = localName(datatype);
+  if (!['date', 'dateTime', 'dateTimeStamp', 'time'].includes(name) || !isWellFormed(value, datatype)) return null;
+  
+  const [, year = '1970', month = '01', day = '01', hour = '00', minute = '00', second = '00', timezone] =
+    /^(?:(-?\d+)-(\d{2})-(\d{2}))?T?(?:(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?))?(Z|[+-]\d{2}:\d{2})?$/.exec(value);
+  
+  // setUTCFullYear keeps years below 100 as they are, unlike Date.UTC
+  const date = new Date(0);
+  date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+  date.setUTCHours(Number(hour), Number(minute));
+  let time = date.getTime() + Number(second) * 1000;
+  
+  if (timezone && timezone !== 'Z') {
+    const offset = Number(timezone.slice(1, 3)) * 60 + Number(timezone.slice(4, 6));
+    time -= (timezone[0] === '-' ? -1 : 1) * offset * 60000;
+  }
+  return { time, timezone: timezone !== undefined };
+}
+
+/**
+ * Describe why a lexical form is ill-formed
+ * @param {string} value - Lexical form
+ * @param {string} datatype - Datatype IRI
+ * @returns {string|null} Message, or null when the value is well-formed
+ */
+export function checkLexicalForm(value, datatype) {
+  if (isWellFormed(value, datatype)) return null;
+  return `"${value}" is not a valid xsd:${localName(datatype)} lexical form`;
+}
+
+/**
+ * Well-formed sample values, used as placeholders for missing values
+ */
+const SAMPLES = {
+  positiveInteger: '1',
+  negativeInteger: '-1',
+  decimal: '0.0',
+  double: '0',
+  float: '0',
+  boolean: 'false',
+  date: '2000-01-01',
+  dateTime: '2000-01-01T00:00:00',
+  dateTimeStamp: '2000-01-01T00:00:00Z',
+  time: '00:00:00',
+  gYear: '2000',
+  gYearMonth: '2000-01',
+  duration: 'P0D',
+  anyURI: 'http://example.org/'
+};
+
+/**
+ * Get a well-formed placeholder value for a datatype
+ * @param {string} datatype - Datatype IRI
+ * @returns {string} Lexical form; an empty string for strings and unchecked datatypes
+ */
+export function sampleLexicalForm(datatype) {
+  const name = localName(datatype);
+  if (name in SAMPLES) return SAMPLES[name];
+  if (name in INTEGER_RANGES) return '0';
+  return '';
+}
+
+/**
+ * Read the calendar day, wall-clock time and timezone written in a date or date-time string
+ * ISO-like strings are read as written; other formats go through the JavaScript Date parser and
+ * keep the offset they state, or are read in local time when they state none.
+ * @returns {{day: string, time: string, timezone: string}|null} XSD lexical parts, the timezone
+ *   being empty, 'Z' or an offset such as '+02:00'
+ */
+function readWallClock(text) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const formatOffset = (minutes) => minutes === 0 ? 'Z'
+    : `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+  
+  const iso = /^(\d{4,}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2}(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(text);
+  if (iso) {
+    const [, day, hoursMinutes = '00:00', seconds = ':00', zone] = iso;
+    const timezone = !zone ? '' : /z/i.test(zone) ? 'Z' : `${zone.slice(0, 3)}:${zone.slice(-2)}`;
+    return { day, time: hoursMinutes + seconds, timezone };
+  }
+  
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return null;
+  
+  const offset = /\d:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:GMT|UTC)?\s*([+-])(\d{2}):?(\d{2})$/i.exec(text);
+  const stated = offset ? (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3]))
+    : /(?:\bGMT|\bUTC|Z)$/i.test(text) ? 0 : null;
+  
+  // Shift to the stated offset and read the result as UTC, or read local time
+  const shifted = stated === null ? date : new Date(date.getTime() + stated * 60000);
+  const get = (part) => stated === null ? date[`get${part}`]() : shifted[`getUTC${part}`]();
+  const milliseconds = get('Milliseconds');
+  return {
+    day: `${get('FullYear')}-${pad(get('Month') + 1)}-${pad(get('Date'))}`,
+    time: `${pad(get('Hours'))}:${pad(get('Minutes'))}:${pad(get('Seconds'))}${milliseconds ? `.${String(milliseconds).padStart(3, '0')}` : ''}`,
+    timezone: stated === null ? '' : formatOffset(stated)
+  };
+}
+
+/**
+ * Try to rewrite a value as a well-formed lexical form of a datatype
+ * Handles surrounding whitespace, thousands separators, integral decimals ("42.0"), yes/no
+ * booleans and dates in any format the JavaScript Date parser accepts, keeping the wall-clock
+ * time and timezone offset they are written with.
+ * @param {string} value - Lexical form of another datatype or an ill-formed one
+ * @param {string} datatype - Target datatype IRI
+ * @returns {string|null} Well-formed lexical form, or null when the value cannot be converted
+ */
+export function coerceLexicalForm(value, datatype) {
+  const name = localName(datatype);
+  if (name === 'string') return value;
+  if (!isCheckedDatatype(datatype)) return null;
+  
+  const trimmed = value.trim();
+  const candidates = [trimmed];
+  
+  if (name in INTEGER_RANGES || ['decimal', 'double', 'float'].includes(name)) {
+    const number = Number(trimmed.replace(/(\d),(?=\d{3}\b)/g, '$1'));
+    if (trimmed !== '' && Number.isFinite(number)) {
+      candidates.push(String(number));
+    }
+  } else if (name === 'boolean') {
+    const lower = trimmed.toLowerCase();
+    candidates.push(['true', 'yes', 'y', 'on'].includes(lower) ? 'true' : ['false', 'no', 'n', 'off'].includes(lower) ? 'false' : lower);
+  } else if (['date', 'dateTime', 'gYear', 'gYearMonth'].includes(name)) {
+    const moment = readWallClock(trimmed);
+    if (moment) {
+      const forms = {
+        date: moment.day,
+        dateTime: `${moment.day}T${moment.time}${moment.timezone}`,
+        gYear: moment.day.slice(0, 4),
+        gYearMonth: moment.day.slice(0, 7)
+      };
+      candidates.push(forms[name]);
+    }
+  }
+  
+  return candidates.find(candidate => isWellFormed(candidate, datatype)) || null;
+}
+
+export default {
+  XSD,
+  isCheckedDatatype,
+  isWellFormed,
+  checkLexicalForm,
+  parseTemporal,
+  sampleLexicalForm,
+  coerceLexicalForm
+};
@@ -165,6 +165,28 @@ describe('ContextFromShacl', () => {
       expect(result.success).toBe(true);
       expect(result.data['@context']).toBeDefined();
     });
+    it('should generate context from JSON-LD shapes', async () => {
+      const shacl = JSON.stringify({
+        "@context": {
+          "sh": "http://www.w3.org/ns/shacl#",
+          "schema": "https://schema.org/",
+          "xsd": "http://www.w3.org/2001/XMLSchema#",
+          "sh:targetClass": { "@type": "@id" },
+          "sh:path": { "@type": "@id" },
+          "sh:datatype": { "@type": "@id" }
+        },
+        "@id": "https://example.org/PersonShape",
+        "@type": "sh:NodeShape",
+        "sh:targetClass": "schema:Person",
+        "sh:property": { "sh:path": "schema:name", "sh:datatype": "xsd:string" }
+      });
+      
+      const result = await contextFromShacl.generateContextFromShacl(shacl);
+      
+      expect(result.success).toBe(true);
+      expect(result.data['@context'].schema).toBe('https://schema.org/');
+      expect(JSON.stringify(result.data['@context'])).toContain('name');
+    });
   });
   
   describe('generateContextString', () => {
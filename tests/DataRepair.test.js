@@ -0,0 +1,87 @@
+/**
+ * Tests for Data Repair Service
+ */
+
+import { describe, it, expect } from 'vitest';
+import dataRepair from '../src/services/DataRepair.js';
+import shaclValidator from '../src/services/ShaclValidator.js';
+
+const EX = 'http://example.org/';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const text = JSON.stringify({
+  "@context": { "@vocab": EX, "xsd": XSD, "tags": { "@container": "@set" } },
+  "@graph": [
+    {
+      "@id": "http://example.org/alice",
+      "@type": "Person",
+      "age": "42",
+      "email": ["a@example.org", "b@example.org", "c@example.org"],
+      "address": { "city": "Paris" }
+    }
+  ]
+}, null, 2);
+
+const alice = (repaired) => JSON.parse(repaired)['@graph'][0];
+
+describe('DataRepair', () => {
+  describe('applyFix', () => {
+    it('should add values with the terms of the document context', async () => {
+      const result = await dataRepair.applyFix(text, {
+        focusNode: EX + 'alice',
+        path: EX + 'name',
+        add: [{ '@value': '' }]
+      });
+      
+      expect(result.success).toBe(true);
+      expect(alice(result.data).name).toBe('');
+    });
+    
+    it('should replace a value in place', async () => {
+      const result = await dataRepair.applyFix(text, {
+        focusNode: EX + 'alice',
+        path: EX + 'age',
+        remove: [{ '@value': '42' }],
+        add: [{ '@value': '42', '@type': XSD + 'integer' }]
+      });
+      
+      expect(Object.keys(alice(result.data))).toEqual(['@id', '@type', 'age', 'email', 'address']);
+      expect(alice(result.data).age).toEqual({ '@type': 'xsd:integer', '@value': '42' });
+    });
+    
+    it('should remove several values of an array', async () => {
+      const result = await dataRepair.applyFix(text, {
+        focusNode: EX + 'alice',
+        path: EX + 'email',
+        remove: [{ '@value': 'b@example.org' }, { '@value': 'c@example.org' }]
+      });
+      
+      expect(alice(result.data).email).toEqual(['a@example.org']);
+    });
+    
+    it('should repair nested blank nodes', async () => {
+      const { report } = await shaclValidator.validate(JSON.parse(text), `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix ex: <http://example.org/> .
+        
+        ex:AddressShape a sh:NodeShape ;
+            sh:targetObjectsOf ex:address ;
+            sh:property [ sh:path ex:country ; sh:minCount 1 ; sh:class ex:Country ] .
+      `, { suggestFixes: true });
+      const result = await dataRepair.applyFix(text, report.results[0].fix);
+      
+      expect(alice(result.data).address).toEqual({ city: 'Paris', country: { '@type': 'Country' } });
+    });
+    
+    it('should report values that are not in the document', async () => {
+      const result = await dataRepair.applyFix(text, {
+        focusNode: EX + 'alice',
+        path: EX + 'email',
+        remove: [{ '@value': 'z@example.org' }]
+      });
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('z@example.org');
+    });
+  });
+});
@@ -214,4 +214,42 @@ describe('JsonLdProcessor', () => {
       expect(result.success).toBe(true);
     });
   });
+  
+  describe('validate', () => {
+    const context = {
+      "xsd": "http://www.w3.org/2001/XMLSchema#",
+      "age": { "@id": "http://example.org/age", "@type": "xsd:integer" },
+      "born": { "@id": "http://example.org/born", "@type": "xsd:date" }
+    };
+    
+    it('should accept well-formed literals', async () => {
+      const result = await jsonLdProcessor.validate({ "@context": context, "age": "42", "born": "1990-05-17" });
+      
+      expect(result.valid).toBe(true);
+      expect(result.issues).toEqual([]);
+    });
+    
+    it('should report ill-formed literals without invalidating the document', async () => {
+      const result = await jsonLdProcessor.validate({
+        "@context": context,
+        "@id": "http://example.org/alice",
+        "age": "abc",
+        "born": "2024-13-45"
+      });
+      
+      expect(result.valid).toBe(true);
+      expect(result.issues.map(issue => [issue.subject, issue.value])).toEqual([
+        ['http://example.org/alice', 'abc'],
+        ['http://example.org/alice', '2024-13-45']
+      ]);
+      expect(result.issues[0].message).toContain('xsd:integer');
+    });
+    
+    it('should report JSON-LD syntax errors', async () => {
+      const result = await jsonLdProcessor.validate({ "@context": { "@vocab": 42 }, "name": "x" });
+      
+      expect(result.valid).toBe(false);
+      expect(result.error).toBeDefined();
+    });
+  });
 });
@@ -0,0 +1,179 @@
+/**
+ * Tests for JSON-LD Provenance Service
+ */
+
+import { describe, it, expect } from 'vitest';
+import jsonld from 'jsonld';
+import jsonLdProvenance from '../src/services/JsonLdProvenance.js';
+import shaclValidator from '../src/services/ShaclValidator.js';
+
+const text = `{
+  "@context": {
+    "@vocab": "http://schema.org/",
+    "ex": "http://example.org/",
+    "knows": { "@type": "@id" },
+    "tags": { "@container": "@list" }
+  },
+  "@graph": [
+    {
+      "@id": "ex:alice",
+      "@type": "Person",
+      "name": "Alice",
+      "address": { "name": "Home", "city": "Paris" },
+      "knows": ["ex:bob", "ex:carol"],
+      "tags": ["red", "blue"]
+    },
+    {
+      "@id": "ex:bob",
+      "name": "Bob",
+      "address": { "city": "Lyon" }
+    }
+  ]
+}`;
+
+const SCHEMA = 'http://schema.org/';
+const EX = 'http://example.org/';
+
+const source = (location) => text.slice(location.start, location.end);
+
+describe('JsonLdProvenance', () => {
+  describe('toRdfWithProvenance', () => {
+    it('should generate the same quads as jsonld.toRDF', async () => {
+      const result = await jsonLdProvenance.toRdfWithProvenance(text);
+      const expected = await jsonld.toRDF(JSON.parse(text));
+      const key = q => `${q.subject.value} ${q.predicate.value} ${q.object.value}`;
+      
+      expect(result.success).toBe(true);
+      expect(result.data.quads.map(key).sort()).toEqual(expected.map(key).sort());
+    });
+    
+    it('should locate every quad', async () => {
+      const result = await jsonLdProvenance.toRdfWithProvenance(text);
+      
+      for (const quad of result.data.quads) {
+        expect(quad.location).not.toBeNull();
+      }
+    });
+    
+    it('should tell repeated terms apart', async () => {
+      const { data } = await jsonLdProvenance.toRdfWithProvenance(text);
+      const aliceName = data.quads.find(q => q.subject.value === EX + 'alice' && q.predicate.value === SCHEMA + 'name');
+      const homeName = data.quads.find(q => q.subject.termType === 'BlankNode' && q.predicate.value === SCHEMA + 'name');
+      const lyon = data.quads.find(q => q.object.value === 'Lyon');
+      
+      expect(aliceName.location.pointer).toBe('/@graph/0/name');
+      expect(homeName.location.pointer).toBe('/@graph/0/address/name');
+      expect(source(homeName.location)).toBe('"Home"');
+      expect(lyon.location.pointer).toBe('/@graph/1/address/city');
+      expect(lyon.location.line).toBe(text.split('\n').findIndex(line => line.includes('Lyon')) + 1);
+    });
+    
+    it('should locate types, IRI values and list items', async () => {
+      const { data } = await jsonLdProvenance.toRdfWithProvenance(text);
+      const find = (predicate, object) => data.quads.find(q => q.predicate.value === predicate && q.object.value === object);
+      
+      expect(source(find('http://www.w3.org/1999/02/22-rdf-syntax-ns#type', SCHEMA + 'Person').location)).toBe('"Person"');
+      expect(source(find(SCHEMA + 'knows', EX + 'carol').location)).toBe('"ex:carol"');
+      expect(source(find('http://www.w3.org/1999/02/22-rdf-syntax-ns#first', 'blue').location)).toBe('"blue"');
+    });
+    
+    it('should report invalid JSON', async () => {
+      const result = await jsonLdProvenance.toRdfWithProvenance('{ "name": }');
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('line 1');
+    });
+  });
+  
+  describe('value matching', () => {
+    it('should tell apart values that only share a suffix, a type or a language', async () => {
+      const { data } = await jsonLdProvenance.toRdfWithProvenance(`{
+        "@context": {
+          "@vocab": "http://schema.org/",
+          "ex": "http://example.org/",
+          "other": "http://other.org/",
+          "tag": { "@type": "@id" }
+        },
+        "@id": "ex:item",
+        "code": ["110", "10"],
+        "tag": ["other:name", "ex:name"],
+        "size": ["2", 2],
+        "label": [{ "@value": "x", "@language": "de" }, { "@value": "x", "@language": "en" }]
+      }`);
+      const pointerOf = (predicate, matches) =>
+        data.quads.find(q => q.predicate.value === SCHEMA + predicate && matches(q.object)).location.pointer;
+      
+      expect(pointerOf('code', o => o.value === '10')).toBe('/code/1');
+      expect(pointerOf('tag', o => o.value === EX + 'name')).toBe('/tag/1');
+      expect(pointerOf('size', o => o.datatype.value.endsWith('#integer'))).toBe('/size/1');
+      expect(pointerOf('label', o => o.language === 'en')).toBe('/label/1');
+    });
+  });
+  
+  describe('locate', () => {
+    it('should fall back from statements to properties and nodes', async () => {
+      const { data } = await jsonLdProvenance.toRdfWithProvenance(text);
+      
+      expect(source(jsonLdProvenance.locate(data, { subject: EX + 'bob', predicate: SCHEMA + 'name', object: 'Bob' }))).toBe('"Bob"');
+      expect(source(jsonLdProvenance.locate(data, { subject: EX + 'alice', predicate: SCHEMA + 'knows' }))).toMatch(/^"knows": \[/);
+      expect(jsonLdProvenance.locate(data, { subject: EX + 'bob', predicate: SCHEMA + 'email' }).pointer).toBe('/@graph/1');
+      expect(jsonLdProvenance.locate(data, { subject: EX + 'nobody' })).toBeNull();
+    });
+    
+    it('should accept N-Quads terms and blank node labels', async () => {
+      const { data } = await jsonLdProvenance.toRdfWithProvenance(text);
+      const blankNode = data.quads.find(q => q.object.value === 'Paris').subject.value;
+      
+      expect(jsonLdProvenance.locate(data, { subject: `<${EX}alice>`, predicate: `<${SCHEMA}name>`, object: '"Alice"' }).pointer).toBe('/@graph/0/name');
+      expect(jsonLdProvenance.locate(data, { subject: blankNode.replace(/^_:/, '') }).pointer).toBe('/@graph/0/address');
+    });
+    
+    it('should locate validation results on blank nodes', async () => {
+      const shapes = `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix schema: <http://schema.org/> .
+        
+        schema:AddressShape a sh:NodeShape ;
+          sh:targetObjectsOf schema:address ;
+          sh:property [ sh:path schema:city ; sh:pattern "^P" ] .
+      `;
+      const { data } = await jsonLdProvenance.toRdfWithProvenance(text);
+      const { report } = await shaclValidator.validate(JSON.parse(text), shapes);
+      const [result] = report.results;
+      
+      expect(result.value).toBe('Lyon');
+      expect(source(jsonLdProvenance.locate(data, { subject: result.focusNode, predicate: result.path, object: result.value }))).toBe('"Lyon"');
+    });
+  });
+  
+  describe('locateResult', () => {
+    const validate = async (path) => {
+      const shapes = `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix schema: <http://schema.org/> .
+        
+        schema:KnownShape a sh:NodeShape ;
+          sh:targetNode <${EX}bob> ;
+          sh:property [ sh:path ${path} ; sh:class schema:Robot ] .
+      `;
+      const { report } = await shaclValidator.validate(JSON.parse(text), shapes);
+      return report.results[0];
+    };
+    
+    it('should point results on inverse paths at the statement of the value', async () => {
+      const { data } = await jsonLdProvenance.toRdfWithProvenance(text);
+      const result = await validate('[ sh:inversePath schema:knows ]');
+      
+      expect(result.path).toBe(`[ sh:inversePath <${SCHEMA}knows> ]`);
+      expect(result.value).toBe(EX + 'alice');
+      expect(jsonLdProvenance.locateResult(data, result).pointer).toBe('/@graph/0/knows/0');
+    });
+    
+    it('should point results on other complex paths at the focus node', async () => {
+      const { data } = await jsonLdProvenance.toRdfWithProvenance(text);
+      const result = await validate('( [ sh:inversePath schema:knows ] schema:address )');
+      
+      expect(jsonLdProvenance.locateResult(data, result).pointer).toBe('/@graph/1');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Tests for JSON Schema Converter Service
+ */
+
+import { describe, it, expect } from 'vitest';
+import jsonSchemaConverter from '../src/services/JsonSchemaConverter.js';
+import shaclValidator from '../src/services/ShaclValidator.js';
+
+const context = {
+  '@vocab': 'https://schema.org/',
+  'id': '@id',
+  'type': '@type',
+  'birthDate': { '@type': 'http://www.w3.org/2001/XMLSchema#date' },
+  'knows': { '@type': '@id' },
+  'status': { '@id': 'http://example.org/status', '@type': '@vocab' },
+  'Active': 'http://example.org/Active',
+  'Retired': 'http://example.org/Retired'
+};
+
+const schema = {
+  title: 'Person',
+  type: 'object',
+  required: ['type', 'name', 'email'],
+  additionalProperties: false,
+  properties: {
+    '@context': {},
+    id: { type: 'string', format: 'uri' },
+    type: { const: 'Person' },
+    name: { type: 'string', minLength: 1, maxLength: 80, description: 'Full name' },
+    email: { type: 'string', format: 'email' },
+    birthDate: { type: 'string', format: 'date' },
+    age: { type: 'integer', minimum: 0, maximum: 150 },
+    height: { type: 'number', exclusiveMinimum: 0 },
+    nickname: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+    status: { enum: ['Active', 'Retired'] },
+    knows: { type: 'array', items: { type: 'string', format: 'uri' } },
+    address: { $ref: '#/$defs/PostalAddress' }
+  },
+  $defs: {
+    PostalAddress: {
+      type: 'object',
+      required: ['addressLocality'],
+      properties: {
+        type: { const: 'PostalAddress' },
+        addressLocality: { type: 'string' },
+        postalCode: { type: 'string', pattern: '^[0-9]{5}$' }
+      }
+    }
+  }
+};
+
+const person = {
+  '@context': context,
+  id: 'http://example.org/ann',
+  type: 'Person',
+  name: 'Ann',
+  email: 'ann@example.org',
+  birthDate: '2000-01-01',
+  age: 30,
+  height: 1.7,
+  nickname: ['Annie'],
+  status: 'Active',
+  knows: ['http://example.org/bob'],
+  address: { type: 'PostalAddress', addressLocality: 'Paris', postalCode: '75001' }
+};
+
+/**
+ * Get the Turtle block of the property shape for a path
+ */
+function propertyShape(data, path) {
+  return data.match(new RegExp(`sh:path ${path} ;[\\s\\S]*?\\n    \\]`))[0];
+}
+
+describe('JsonSchemaConverter', () => {
+  describe('jsonSchemaToShacl', () => {
+    it('should create a node shape for the root schema and each definition', async () => {
+      const result = await jsonSchemaConverter.jsonSchemaToShacl(schema, context);
+      
+      expect(result.success).toBe(true);
+      expect(result.data).toContain('ex:PersonShape a sh:NodeShape');
+      expect(result.data).toContain('sh:targetClass schema:Person');
+      expect(result.data).toContain('ex:PostalAddressShape a sh:NodeShape');
+      expect(result.data).toContain('sh:targetClass schema:PostalAddress');
+      expect(result.data).toContain('sh:closed true');
+    });
+    
+    it('should map required, types, formats and string constraints', async () => {
+      const result = await jsonSchemaConverter.jsonSchemaToShacl(schema, context);
+      
+      expect(propertyShape(result.data, 'schema:name')).toContain('sh:minCount 1');
+      expect(propertyShape(result.data, 'schema:name')).toContain('sh:maxLength 80');
+      expect(propertyShape(result.data, 'schema:email')).toContain('sh:pattern');
+      expect(propertyShape(result.data, 'schema:birthDate')).toContain('sh:datatype xsd:date');
+      expect(propertyShape(result.data, 'schema:birthDate')).not.toContain('sh:minCount');
+      expect(propertyShape(result.data, 'schema:age')).toContain('sh:maxInclusive "150"^^xsd:integer');
+      expect(propertyShape(result.data, 'schema:height')).toContain('sh:or ( [ sh:datatype xsd:integer ] [ sh:datatype xsd:double ] )');
+      expect(propertyShape(result.data, 'schema:nickname')).toContain('sh:maxCount 3');
+      expect(propertyShape(result.data, 'schema:knows')).toContain('sh:nodeKind sh:IRI');
+    });
+    
+    it('should map enums to sh:in with IRIs for terms coerced to @vocab', async () => {
+      const result = await jsonSchemaConverter.jsonSchemaToShacl(schema, context);
+      
+      expect(propertyShape(result.data, 'example:status')).toContain('sh:in ( example:Active example:Retired )');
+    });
+    
+    it('should map $ref to sh:node', async () => {
+      const result = await jsonSchemaConverter.jsonSchemaToShacl(schema, context);
+      
+      expect(propertyShape(result.data, 'schema:address')).toContain('sh:node ex:PostalAddressShape');
+    });
+    
+    it('should produce shapes that valid payloads conform to', async () => {
+      const result = await jsonSchemaConverter.jsonSchemaToShacl(schema, context);
+      const valid = await shaclValidator.validate(person, result.data);
+      const invalid = await shaclValidator.validate({ ...person, name: '', status: 'Unknown' }, result.data);
+      
+      expect(valid.report.conforms).toBe(true);
+      expect(invalid.report.conforms).toBe(false);
+    });
+    
+    it('should return an error for properties the context does not map', async () => {
+      const result = await jsonSchemaConverter.jsonSchemaToShacl(
+        { properties: { name: { type: 'string' } } },
+        { 'id': '@id' }
+      );
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('"name"');
+    });
+    
+    it('should return an error for unknown $ref targets', async () => {
+      const result = await jsonSchemaConverter.jsonSchemaToShacl(
+        { properties: { address: { $ref: '#/$defs/Missing' } } },
+        context
+      );
+      
+      expect(result.success).toBe(false);
+    });
+  });
+  
+  describe('shaclToJsonSchema', () => {
+    it('should convert SHACL back to an equivalent JSON Schema', async () => {
+      const shacl = await jsonSchemaConverter.jsonSchemaToShacl(schema, context);
+      const result = await jsonSchemaConverter.shaclToJsonSchema(shacl.data, context);
+      
+      expect(result.success).toBe(true);
+      expect(result.data.title).toBe('Person');
+      expect(result.data.required).toEqual(['type', 'name', 'email']);
+      expect(result.data.additionalProperties).toBe(false);
+      expect(result.data.properties.type).toEqual({ const: 'Person' });
+      expect(result.data.properties.name).toEqual({ description: 'Full name', type: 'string', minLength: 1, maxLength: 80 });
+      expect(result.data.properties.email).toEqual({ type: 'string', format: 'email' });
+      expect(result.data.properties.birthDate).toEqual({ type: 'string', format: 'date' });
+      expect(result.data.properties.height).toEqual({ type: 'number', exclusiveMinimum: 0 });
+      expect(result.data.properties.nickname).toEqual({ type: 'array', items: { type: 'string' }, maxItems: 3 });
+      expect(result.data.properties.status.enum).toEqual(['Active', 'Retired']);
+      expect(result.data.properties.address).toEqual({ $ref: '#/$defs/PostalAddress' });
+      expect(result.data.$defs.PostalAddress.required).toEqual(['type', 'addressLocality']);
+    });
+    
+    it('should reference the shapes of classes used with sh:class', async () => {
+      const result = await jsonSchemaConverter.shaclToJsonSchema(`
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix schema: <https://schema.org/> .
+        @prefix ex: <http://example.org/> .
+        
+        ex:BookShape a sh:NodeShape ;
+          sh:targetClass schema:Book ;
+          sh:property [ sh:path schema:author ; sh:class schema:Person ; sh:minCount 1 ] .
+        
+        ex:PersonShape a sh:NodeShape ;
+          sh:targetClass schema:Person ;
+          sh:property [ sh:path schema:name ; sh:maxCount 1 ; sh:in ( "Ann" "Bob" ) ] .
+      `, context);
+      
+      expect(result.success).toBe(true);
+      expect(result.data.properties.type).toEqual({ const: 'Book' });
+      expect(result.data.properties.author).toEqual({ type: 'array', items: { $ref: '#/$defs/Person' } });
+      expect(result.data.required).toContain('author');
+      expect(result.data.$defs.Person.properties.name).toEqual({ enum: ['Ann', 'Bob'] });
+    });
+    
+    it('should return an error when there are no node shapes', async () => {
+      const result = await jsonSchemaConverter.shaclToJsonSchema('@prefix ex: <http://example.org/> . ex:a ex:b ex:c .', context);
+      
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for RDF Parser Service
+ */
+
+import { describe, it, expect } from 'vitest';
+import rdfParser from '../src/services/RdfParser.js';
+
+const turtle = `
+  @prefix ex: <http://example.org/> .
+  # A comment with { braces }
+  ex:alice ex:name "Alice" ;
+      ex:note "{not a graph}" ;
+      ex:knows [ ex:name "Bob" ] .
+`;
+
+const ntriples = `
+<http://example.org/alice> <http://example.org/name> "Alice" .
+<http://example.org/alice> <http://example.org/knows> _:b0 .
+_:b0 <http://example.org/name> "Bob"@en .
+`;
+
+const trig = `
+  @prefix ex: <http://example.org/> .
+  ex:graph { ex:alice ex:name "Alice" . }
+`;
+
+const jsonLd = JSON.stringify({
+  "@context": { "ex": "http://example.org/", "name": "ex:name" },
+  "@id": "ex:alice",
+  "name": "Alice"
+});
+
+describe('RdfParser', () => {
+  describe('detectRdfFormat', () => {
+    it('should detect each serialization', () => {
+      expect(rdfParser.detectRdfFormat(turtle)).toBe('turtle');
+      expect(rdfParser.detectRdfFormat(ntriples)).toBe('ntriples');
+      expect(rdfParser.detectRdfFormat(trig)).toBe('trig');
+      expect(rdfParser.detectRdfFormat(jsonLd)).toBe('jsonld');
+    });
+    
+    it('should default to Turtle for empty or invalid text', () => {
+      expect(rdfParser.detectRdfFormat('')).toBe('turtle');
+      expect(rdfParser.detectRdfFormat('[ "not json')).toBe('turtle');
+    });
+  });
+  
+  describe('parseRdf', () => {
+    it('should parse every serialization into the same triples', async () => {
+      for (const text of [turtle, ntriples, jsonLd]) {
+        const { store } = await rdfParser.parseRdf(text);
+        const names = store.getQuads(null, 'http://example.org/name', null, null).map(q => q.object.value);
+        expect(names).toContain('Alice');
+      }
+    });
+    
+    it('should keep TriG quads in their named graph', async () => {
+      const { store, format } = await rdfParser.parseRdf(trig);
+      
+      expect(format).toBe('trig');
+      expect(store.getQuads(null, null, null, 'http://example.org/graph')).toHaveLength(1);
+    });
+    
+    it('should return the prefixes of Turtle and JSON-LD contexts', async () => {
+      expect((await rdfParser.parseRdf(turtle)).prefixes.ex).toBe('http://example.org/');
+      expect((await rdfParser.parseRdf(jsonLd)).prefixes).toEqual({ ex: 'http://example.org/' });
+    });
+    
+    it('should honour an explicit format', async () => {
+      await expect(rdfParser.parseRdf(turtle, { format: 'ntriples' })).rejects.toThrow();
+      await expect(rdfParser.parseRdf(turtle, { format: 'rdfxml' })).rejects.toThrow('Unsupported RDF format');
+    });
+  });
+});
@@ -4,6 +4,9 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import shaclGenerator from '../src/services/ShaclGenerator.js';
+import shaclValidator from '../src/services/ShaclValidator.js';
+// Installs the app's document loader, which serves common contexts such as schema.org
+import '../src/services/JsonLdProcessor.js';
 
 describe('ShaclGenerator', () => {
   describe('generateFromJsonLd', () => {
@@ -103,6 +106,22 @@ describe('ShaclGenerator', () => {
       expect(result.data).toContain('sh:property');
     });
     
+    it('should emit closed shapes when requested', async () => {
+      const doc = {
+        "@context": { "@vocab": "https://schema.org/" },
+        "@type": "Person",
+        "name": "John"
+      };
+      
+      const open = await shaclGenerator.generateFromJsonLd(doc);
+      const closed = await shaclGenerator.generateFromJsonLd(doc, { closed: true });
+      
+      expect(open.data).not.toContain('sh:closed');
+      expect(closed.success).toBe(true);
+      expect(closed.data).toContain('sh:closed true');
+      expect(closed.data).toContain('sh:ignoredProperties ( rdf:type )');
+    });
+    
     it('should return error for invalid input', async () => {
       const result = await shaclGenerator.generateFromJsonLd(null);
       
@@ -111,6 +130,281 @@ describe('ShaclGenerator', () => {
     });
   });
   
+  describe('remote contexts', () => {
+    const unreachable = 'urn:context:missing';
+    
+    it('should fail when a remote context cannot be loaded', async () => {
+      const result = await shaclGenerator.generateFromJsonLd({ '@context': unreachable, '@type': 'Person', 'name': 'Ann' });
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain(`Could not load remote context ${unreachable}`);
+    });
+    
+    it('should fail for a corpus with a context that cannot be loaded', async () => {
+      const result = await shaclGenerator.generateFromCorpus([
+        { '@context': { '@vocab': 'https://schema.org/' }, '@type': 'Person', 'name': 'Ann' },
+        { '@context': unreachable, '@type': 'Person', 'name': 'Bob' }
+      ]);
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain(`Could not load remote context ${unreachable}`);
+    });
+  });
+  
+  describe('whole-graph inference', () => {
+    const doc = {
+      '@context': { '@vocab': 'https://schema.org/', 'ex': 'http://example.org/' },
+      '@id': 'ex:shop',
+      '@type': 'Store',
+      'name': 'Shop',
+      'address': { '@type': 'PostalAddress', 'addressLocality': 'Paris' },
+      'makesOffer': [
+        { '@type': 'Offer', 'itemOffered': { '@type': 'Product', 'name': 'A' } },
+        { '@type': 'Offer', 'itemOffered': { '@type': 'Product', 'name': 'B', 'sku': 'b-1' } }
+      ],
+      'geo': { 'latitude': 1.5, 'longitude': 2.5 },
+      'contactPoint': { 'telephone': '+33 1', 'hoursAvailable': { 'opens': '09:00' } }
+    };
+    
+    it('should generate one shape per type found in the graph', async () => {
+      const result = await shaclGenerator.generateFromJsonLd(doc);
+      
+      expect(result.success).toBe(true);
+      for (const type of ['Store', 'PostalAddress', 'Offer', 'Product']) {
+        expect(result.data).toContain(`schema:${type}Shape a sh:NodeShape`);
+        expect(result.data).toContain(`sh:targetClass schema:${type}`);
+      }
+      expect(result.data).toContain('@prefix schema: <https://schema.org/>');
+    });
+    
+    it('should link properties with typed values to the shape of their type', async () => {
+      const result = await shaclGenerator.generateFromJsonLd(doc);
+      
+      expect(result.data).toMatch(/sh:path schema:address ;[^\]]*sh:node schema:PostalAddressShape/);
+      expect(result.data).toMatch(/sh:path schema:itemOffered ;[^\]]*sh:node schema:ProductShape/);
+    });
+    
+    it('should only require properties present on every node of a type', async () => {
+      const result = await shaclGenerator.generateFromJsonLd(doc);
+      
+      expect(result.data).toMatch(/sh:path schema:sku ;\s*sh:datatype xsd:string ;\s*\]/);
+      expect(result.data).toMatch(/sh:path schema:name ;\s*sh:minCount 1/);
+    });
+    
+    it('should target the objects of properties whose values are untyped', async () => {
+      const result = await shaclGenerator.generateFromJsonLd(doc);
+      
+      expect(result.data).toContain('sh:targetObjectsOf schema:geo');
+      expect(result.data).toMatch(/sh:path schema:geo ;[^\]]*sh:node schema:geoValueShape/);
+      expect(result.data).toMatch(/sh:path schema:latitude ;[^\]]*sh:datatype xsd:double/);
+    });
+    
+    it('should target untyped top-level nodes and describe their nested objects', async () => {
+      const result = await shaclGenerator.generateFromJsonLd({
+        '@context': { '@vocab': 'http://example.org/vocab#' },
+        '@id': 'http://example.org/item',
+        'dimensions': [
+          { 'width': { 'value': 2 } },
+          { 'width': { 'value': 3 } }
+        ]
+      });
+      
+      expect(result.success).toBe(true);
+      expect(result.data).toContain('ex:GeneratedShape a sh:NodeShape');
+      expect(result.data).toContain('sh:targetNode example:item');
+      expect(result.data).toContain('sh:targetObjectsOf vocab:dimensions');
+      expect(result.data).toContain('sh:targetObjectsOf vocab:width');
+    });
+    
+    it('should use inline shapes for untyped values of properties that also have typed values', async () => {
+      const result = await shaclGenerator.generateFromJsonLd({
+        '@context': { '@vocab': 'http://example.org/vocab#' },
+        '@graph': [
+          { '@type': 'Order', 'item': { '@type': 'Book', 'title': 'T' } },
+          { '@type': 'Basket', 'item': { 'label': 'Gift', 'wrapping': { 'colour': 'red' } } }
+        ]
+      });
+      
+      expect(result.success).toBe(true);
+      expect(result.data).not.toContain('sh:targetObjectsOf vocab:item');
+      expect(result.data).toMatch(/sh:targetClass vocab:Order ;\s*sh:property \[\s*sh:path vocab:item ;[^\]]*sh:node vocab:BookShape/);
+      expect(result.data).toMatch(/sh:targetClass vocab:Basket ;\s*sh:property \[\s*sh:path vocab:item ;[^\]]*sh:node \[\s*sh:property \[\s*sh:path vocab:label/);
+    });
+    
+    it('should generate shapes the source document conforms to', async () => {
+      const result = await shaclGenerator.generateFromJsonLd(doc, { closed: true });
+      const validation = await shaclValidator.validate(doc, result.data);
+      
+      expect(validation.success).toBe(true);
+      expect(validation.report.conforms).toBe(true);
+    });
+  });
+  
+  describe('generateFromCorpus', () => {
+    const context = { '@vocab': 'https://schema.org/' };
+    const corpus = Array.from({ length: 20 }, (_, i) => ({
+      '@context': context,
+      '@type': 'Product',
+      'name': `Product ${i}`,
+      'price': 10 + i,
+      ...(i !== 3 ? { 'sku': `SKU-${i}` } : {}),
+      ...(i < 10 ? { 'gtin': `0${i}` } : {}),
+      'color': ['red', 'blue'][i % 2],
+      'availability': { '@id': i % 2 ? 'https://schema.org/InStock' : 'https://schema.org/OutOfStock' }
+    }));
+    
+    const propertyShape = (data, property) => data.match(new RegExp(`sh:path schema:${property} ;[\\s\\S]*?\\n    \\]`))[0];
+    
+    it('should require properties present in enough instances', async () => {
+      const result = await shaclGenerator.generateFromCorpus(corpus);
+      
+      expect(result.success).toBe(true);
+      expect(propertyShape(result.data, 'sku')).toContain('sh:minCount 1');
+      expect(propertyShape(result.data, 'gtin')).not.toContain('sh:minCount');
+      expect(propertyShape(result.data, 'name')).toContain('sh:maxCount 1');
+    });
+    
+    it('should apply the configured required threshold', async () => {
+      const result = await shaclGenerator.generateFromCorpus(corpus, { requiredThreshold: 1 });
+      
+      expect(propertyShape(result.data, 'sku')).not.toContain('sh:minCount');
+      expect(propertyShape(result.data, 'name')).toContain('sh:minCount 1');
+    });
+    
+    it('should learn numeric and string length ranges', async () => {
+      const result = await shaclGenerator.generateFromCorpus(corpus);
+      
+      expect(propertyShape(result.data, 'price')).toContain('sh:datatype xsd:integer');
+      expect(propertyShape(result.data, 'price')).toContain('sh:minInclusive "10"^^xsd:integer');
+      expect(propertyShape(result.data, 'price')).toContain('sh:maxInclusive "29"^^xsd:integer');
+      expect(propertyShape(result.data, 'name')).toContain('sh:minLength 9');
+      expect(propertyShape(result.data, 'name')).toContain('sh:maxLength 10');
+    });
+    
+    it('should turn small value sets into enumerations', async () => {
+      const result = await shaclGenerator.generateFromCorpus(corpus);
+      
+      expect(propertyShape(result.data, 'color')).toContain('sh:in ( "red" "blue" )');
+      expect(propertyShape(result.data, 'availability')).toContain('sh:in ( schema:OutOfStock schema:InStock )');
+      expect(propertyShape(result.data, 'name')).not.toContain('sh:in');
+    });
+    
+    it('should use sh:or when no datatype is dominant', async () => {
+      const result = await shaclGenerator.generateFromCorpus([
+        { '@context': context, '@type': 'Offer', 'price': 10 },
+        { '@context': context, '@type': 'Offer', 'price': 10.5 }
+      ]);
+      
+      expect(propertyShape(result.data, 'price')).toContain('sh:or ( [ sh:datatype xsd:integer ] [ sh:datatype xsd:double ] )');
+    });
+    
+    it('should flag outliers below the threshold when validating', async () => {
+      const result = await shaclGenerator.generateFromCorpus(corpus);
+      const typical = await shaclValidator.validate(corpus[0], result.data);
+      const outlier = await shaclValidator.validate(corpus[3], result.data);
+      
+      expect(typical.report.conforms).toBe(true);
+      expect(outlier.report.conforms).toBe(false);
+    });
+    
+    it('should return an error for an empty corpus or an invalid threshold', async () => {
+      expect((await shaclGenerator.generateFromCorpus([])).success).toBe(false);
+      expect((await shaclGenerator.generateFromCorpus(corpus, { requiredThreshold: 0 })).success).toBe(false);
+    });
+  });
+  
+  describe('generateFromOntology', () => {
+    const ontology = `
+@prefix ex: <http://example.org/onto#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+
+ex:Agent a owl:Class .
+ex:Person a owl:Class ;
+  rdfs:subClassOf ex:Agent ,
+    [ a owl:Restriction ; owl:onProperty ex:name ; owl:minCardinality 1 ] ,
+    [ a owl:Restriction ; owl:onProperty ex:parent ; owl:maxCardinality 2 ] .
+ex:Organization a owl:Class ; rdfs:subClassOf ex:Agent .
+ex:Colour a owl:Class ; owl:oneOf ( ex:Red ex:Green ) .
+ex:name a owl:DatatypeProperty ; rdfs:label "name" ; rdfs:domain ex:Agent ; rdfs:range xsd:string .
+ex:birthDate a owl:DatatypeProperty, owl:FunctionalProperty ; rdfs:domain ex:Person ; rdfs:range xsd:date .
+ex:parent a owl:ObjectProperty ; rdfs:domain ex:Person ; rdfs:range ex:Person .
+ex:favouriteColour a owl:ObjectProperty ;
+  rdfs:domain [ owl:unionOf ( ex:Person ex:Organization ) ] ;
+  rdfs:range ex:Colour .
+`;
+    const propertyShape = (data, shape, property) => {
+      const block = data.slice(data.indexOf(`${shape} a sh:NodeShape`)).split('\n\n')[0];
+      return block.match(new RegExp(`sh:path ex:${property} ;[\\s\\S]*?\\n    \\]`))[0];
+    };
+    
+    it('should generate one node shape per class', async () => {
+      const result = await shaclGenerator.generateFromOntology(ontology);
+      
+      expect(result.success).toBe(true);
+      for (const cls of ['Agent', 'Person', 'Organization', 'Colour']) {
+        expect(result.data).toContain(`ex:${cls}Shape a sh:NodeShape`);
+        expect(result.data).toContain(`sh:targetClass ex:${cls}`);
+      }
+      expect(result.data).toMatch(/sh:targetClass ex:Person ;\s*sh:node ex:AgentShape/);
+    });
+    
+    it('should map domains and ranges to property shapes', async () => {
+      const result = await shaclGenerator.generateFromOntology(ontology);
+      
+      expect(propertyShape(result.data, 'ex:AgentShape', 'name')).toContain('sh:datatype xsd:string');
+      expect(propertyShape(result.data, 'ex:AgentShape', 'name')).toContain('sh:name "name"');
+      expect(propertyShape(result.data, 'ex:PersonShape', 'parent')).toContain('sh:class ex:Person');
+      expect(propertyShape(result.data, 'ex:OrganizationShape', 'favouriteColour')).toContain('sh:in ( ex:Red ex:Green )');
+      expect(propertyShape(result.data, 'ex:PersonShape', 'favouriteColour')).toContain('sh:in ( ex:Red ex:Green )');
+    });
+    
+    it('should map functional properties and cardinality restrictions to counts', async () => {
+      const result = await shaclGenerator.generateFromOntology(ontology);
+      
+      expect(propertyShape(result.data, 'ex:PersonShape', 'birthDate')).toContain('sh:maxCount 1');
+      expect(propertyShape(result.data, 'ex:PersonShape', 'name')).toContain('sh:minCount 1');
+      expect(propertyShape(result.data, 'ex:PersonShape', 'parent')).toContain('sh:maxCount 2');
+      expect(propertyShape(result.data, 'ex:AgentShape', 'name')).not.toContain('sh:minCount');
+    });
+    
+    it('should read ontologies in JSON-LD', async () => {
+      const result = await shaclGenerator.generateFromOntology(JSON.stringify({
+        '@context': { 'owl': 'http://www.w3.org/2002/07/owl#', 'rdfs': 'http://www.w3.org/2000/01/rdf-schema#', 'ex': 'http://example.org/onto#' },
+        '@graph': [
+          { '@id': 'ex:Book', '@type': 'owl:Class' },
+          { '@id': 'ex:title', '@type': ['owl:DatatypeProperty', 'owl:FunctionalProperty'], 'rdfs:domain': { '@id': 'ex:Book' } }
+        ]
+      }));
+      
+      expect(result.success).toBe(true);
+      expect(propertyShape(result.data, 'ex:BookShape', 'title')).toContain('sh:maxCount 1');
+      expect(propertyShape(result.data, 'ex:BookShape', 'title')).toContain('sh:nodeKind sh:Literal');
+    });
+    
+    it('should validate data against the generated shapes', async () => {
+      const result = await shaclGenerator.generateFromOntology(ontology);
+      const doc = {
+        '@context': { '@vocab': 'http://example.org/onto#', 'favouriteColour': { '@type': '@vocab' } },
+        '@id': 'http://example.org/alice',
+        '@type': 'Person',
+        'name': 'Alice',
+        'favouriteColour': 'Blue'
+      };
+      const validation = await shaclValidator.validate(doc, result.data);
+      
+      expect(validation.report.conforms).toBe(false);
+      expect(validation.report.results).toHaveLength(1);
+    });
+    
+    it('should return an error when the ontology has no classes', async () => {
+      const result = await shaclGenerator.generateFromOntology('@prefix ex: <http://example.org/> . ex:a ex:b ex:c .');
+      
+      expect(result.success).toBe(false);
+    });
+  });
+  
   describe('generateTemplate', () => {
     it('should generate a basic SHACL template', () => {
       const template = shaclGenerator.generateTemplate('Person');
@@ -165,6 +165,1547 @@ describe('ShaclValidator', () => {
     });
   });
   
+  describe('targets', () => {
+    const context = {
+      "ex": "http://example.org/",
+      "hasSensor": { "@id": "ex:hasSensor", "@type": "@id" },
+      "label": "ex:label"
+    };
+    
+    const doc = {
+      "@context": context,
+      "@graph": [
+        { "@id": "ex:twin1", "@type": "ex:Twin", "hasSensor": "ex:sensor1" },
+        { "@id": "ex:twin2", "hasSensor": "ex:sensor2", "label": "Twin 2" },
+        { "@id": "ex:sensor1", "label": "Sensor 1" },
+        { "@id": "ex:sensor2" }
+      ]
+    };
+    
+    const labelShape = (target) => `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:LabelShape a sh:NodeShape ;
+          ${target} ;
+          sh:property [
+              sh:path ex:label ;
+              sh:minCount 1 ;
+          ] .
+    `;
+    
+    it('should evaluate sh:targetNode', async () => {
+      const result = await shaclValidator.validate(doc, labelShape('sh:targetNode ex:twin1'));
+      
+      expect(result.success).toBe(true);
+      expect(result.report.targets[0].focusNodes).toEqual(['http://example.org/twin1']);
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].focusNode).toBe('http://example.org/twin1');
+    });
+    
+    it('should evaluate sh:targetSubjectsOf', async () => {
+      const result = await shaclValidator.validate(doc, labelShape('sh:targetSubjectsOf ex:hasSensor'));
+      
+      expect(result.success).toBe(true);
+      expect(result.report.targets[0].focusNodes.sort()).toEqual([
+        'http://example.org/twin1',
+        'http://example.org/twin2'
+      ]);
+      expect(result.report.results.map(r => r.focusNode)).toEqual(['http://example.org/twin1']);
+    });
+    
+    it('should evaluate sh:targetObjectsOf', async () => {
+      const result = await shaclValidator.validate(doc, labelShape('sh:targetObjectsOf ex:hasSensor'));
+      
+      expect(result.success).toBe(true);
+      expect(result.report.targets[0].focusNodes.sort()).toEqual([
+        'http://example.org/sensor1',
+        'http://example.org/sensor2'
+      ]);
+      expect(result.report.results.map(r => r.focusNode)).toEqual(['http://example.org/sensor2']);
+    });
+    
+    it('should combine several targets without duplicating focus nodes', async () => {
+      const result = await shaclValidator.validate(
+        doc,
+        labelShape('sh:targetClass ex:Twin ; sh:targetNode ex:twin1, ex:twin2')
+      );
+      
+      expect(result.success).toBe(true);
+      expect(result.report.targets[0].focusNodes).toHaveLength(2);
+      expect(result.report.results).toHaveLength(1);
+    });
+    
+    it('should validate property shapes that declare their own targets', async () => {
+      const result = await shaclValidator.validate(doc, `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix ex: <http://example.org/> .
+        
+        ex:LabelShape a sh:PropertyShape ;
+            sh:targetSubjectsOf ex:hasSensor ;
+            sh:path ex:label ;
+            sh:minCount 1 .
+      `);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.conforms).toBe(false);
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].focusNode).toBe('http://example.org/twin1');
+      expect(result.report.results[0].path).toBe('http://example.org/label');
+    });
+  });
+  
+  describe('class targets', () => {
+    const context = {
+      "ex": "http://example.org/",
+      "schema": "https://schema.org/",
+      "rdfs": "http://www.w3.org/2000/01/rdf-schema#",
+      "name": "schema:name",
+      "subClassOf": { "@id": "rdfs:subClassOf", "@type": "@id" }
+    };
+    
+    const personShape = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix schema: <https://schema.org/> .
+      
+      schema:PersonShape a sh:NodeShape ;
+          sh:targetClass schema:Person ;
+          sh:property [ sh:path schema:name ; sh:minCount 1 ] .
+    `;
+    
+    it('should include instances of subclasses declared in the data graph', async () => {
+      const doc = {
+        "@context": context,
+        "@graph": [
+          { "@id": "ex:Employee", "subClassOf": "ex:Staff" },
+          { "@id": "ex:Staff", "subClassOf": "schema:Person" },
+          { "@id": "ex:alice", "@type": "ex:Employee" }
+        ]
+      };
+      
+      const result = await shaclValidator.validate(doc, personShape);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.targets[0].focusNodes).toEqual(['http://example.org/alice']);
+      expect(result.report.conforms).toBe(false);
+    });
+    
+    it('should include instances of subclasses declared in the shapes graph', async () => {
+      const shacl = personShape + `
+        @prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+        <http://example.org/Employee> rdfs:subClassOf schema:Person .
+      `;
+      const doc = {
+        "@context": context,
+        "@id": "ex:bob",
+        "@type": "ex:Employee",
+        "name": "Bob"
+      };
+      
+      const result = await shaclValidator.validate(doc, shacl);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.targets[0].focusNodes).toEqual(['http://example.org/bob']);
+      expect(result.report.conforms).toBe(true);
+    });
+    
+    it('should treat shapes that are classes as implicit class targets', async () => {
+      const shacl = `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+        @prefix schema: <https://schema.org/> .
+        
+        schema:Person a rdfs:Class, sh:NodeShape ;
+            sh:property [ sh:path schema:name ; sh:minCount 1 ] .
+      `;
+      const doc = {
+        "@context": context,
+        "@id": "ex:carol",
+        "@type": "schema:Person"
+      };
+      
+      const result = await shaclValidator.validate(doc, shacl);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.targets[0].focusNodes).toEqual(['http://example.org/carol']);
+      expect(result.report.results).toHaveLength(1);
+    });
+    
+    it('should not loop on cyclic subclass declarations', async () => {
+      const doc = {
+        "@context": context,
+        "@graph": [
+          { "@id": "ex:A", "subClassOf": "schema:Person" },
+          { "@id": "schema:Person", "subClassOf": "ex:A" },
+          { "@id": "ex:dave", "@type": "ex:A", "name": "Dave" }
+        ]
+      };
+      
+      const result = await shaclValidator.validate(doc, personShape);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.targets[0].focusNodes).toEqual(['http://example.org/dave']);
+    });
+  });
+  
+  describe('property paths', () => {
+    const context = {
+      "@vocab": "https://schema.org/",
+      "ex": "http://example.org/",
+      "author": { "@type": "@id" },
+      "parent": { "@type": "@id" }
+    };
+    
+    const shapeWithPath = (path, constraints) => `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix schema: <https://schema.org/> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:TestShape a sh:NodeShape ;
+          sh:targetNode ex:subject ;
+          sh:property [
+              sh:path ${path} ;
+              ${constraints}
+          ] .
+    `;
+    
+    it('should evaluate sequence paths', async () => {
+      const doc = {
+        "@context": context,
+        "@id": "ex:subject",
+        "address": { "postalCode": "ABC" }
+      };
+      
+      const result = await shaclValidator.validate(
+        doc,
+        shapeWithPath('( schema:address schema:postalCode )', 'sh:pattern "^[0-9]+$"')
+      );
+      
+      expect(result.success).toBe(true);
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].value).toBe('ABC');
+      expect(result.report.results[0].path).toBe('( <https://schema.org/address> <https://schema.org/postalCode> )');
+    });
+    
+    it('should evaluate inverse paths', async () => {
+      const doc = {
+        "@context": context,
+        "@graph": [
+          { "@id": "ex:book1", "author": "ex:subject" },
+          { "@id": "ex:book2", "author": "ex:subject" }
+        ]
+      };
+      
+      const result = await shaclValidator.validate(
+        doc,
+        shapeWithPath('[ sh:inversePath schema:author ]', 'sh:maxCount 1')
+      );
+      
+      expect(result.success).toBe(true);
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].path).toBe('[ sh:inversePath <https://schema.org/author> ]');
+    });
+    
+    it('should evaluate alternative paths', async () => {
+      const doc = {
+        "@context": context,
+        "@id": "ex:subject",
+        "telephone": "555-1234"
+      };
+      
+      const result = await shaclValidator.validate(
+        doc,
+        shapeWithPath('[ sh:alternativePath ( schema:email schema:telephone ) ]', 'sh:minCount 1')
+      );
+      
+      expect(result.success).toBe(true);
+      expect(result.report.conforms).toBe(true);
+    });
+    
+    it('should evaluate zero-or-more and one-or-more paths', async () => {
+      const doc = {
+        "@context": context,
+        "@graph": [
+          { "@id": "ex:subject", "parent": "ex:p1" },
+          { "@id": "ex:p1", "parent": "ex:p2" },
+          { "@id": "ex:p2", "parent": "ex:subject" }
+        ]
+      };
+      
+      const zeroOrMore = await shaclValidator.validate(
+        doc,
+        shapeWithPath('[ sh:zeroOrMorePath schema:parent ]', 'sh:maxCount 2')
+      );
+      const oneOrMore = await shaclValidator.validate(
+        doc,
+        shapeWithPath('[ sh:oneOrMorePath schema:parent ]', 'sh:maxCount 2')
+      );
+      const zeroOrOne = await shaclValidator.validate(
+        doc,
+        shapeWithPath('[ sh:zeroOrOnePath schema:parent ]', 'sh:maxCount 2')
+      );
+      
+      expect(zeroOrMore.report.results[0].message).toContain('found 3');
+      expect(oneOrMore.report.results[0].message).toContain('found 3');
+      expect(zeroOrOne.report.conforms).toBe(true);
+    });
+    
+    it('should evaluate nested path expressions', async () => {
+      const doc = {
+        "@context": context,
+        "@graph": [
+          { "@id": "ex:book1", "author": "ex:subject", "name": "Book" }
+        ]
+      };
+      
+      const result = await shaclValidator.validate(
+        doc,
+        shapeWithPath('( [ sh:inversePath schema:author ] schema:name )', 'sh:minLength 5')
+      );
+      
+      expect(result.success).toBe(true);
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].value).toBe('Book');
+    });
+  });
+  
+  describe('shape references', () => {
+    const context = {
+      "@vocab": "https://schema.org/",
+      "ex": "http://example.org/",
+      "knows": { "@type": "@id" },
+      "worksFor": { "@type": "@id" }
+    };
+    
+    const shapes = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix schema: <https://schema.org/> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:PersonShape a sh:NodeShape ;
+          sh:targetClass schema:Person ;
+          sh:property [
+              sh:path schema:address ;
+              sh:node ex:AddressShape ;
+          ] ;
+          sh:property [
+              sh:path schema:worksFor ;
+              sh:class schema:Organization ;
+          ] .
+      
+      ex:AddressShape a sh:NodeShape ;
+          sh:property [
+              sh:path schema:postalCode ;
+              sh:minCount 1 ;
+          ] .
+    `;
+    
+    it('should accept values conforming to sh:node and sh:class', async () => {
+      const doc = {
+        "@context": context,
+        "@graph": [
+          {
+            "@id": "ex:alice",
+            "@type": "Person",
+            "address": { "postalCode": "28001" },
+            "worksFor": "ex:acme"
+          },
+          { "@id": "ex:acme", "@type": "Organization" }
+        ]
+      };
+      
+      const result = await shaclValidator.validate(doc, shapes);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.conforms).toBe(true);
+    });
+    
+    it('should report nested sh:node results as details', async () => {
+      const doc = {
+        "@context": context,
+        "@id": "ex:alice",
+        "@type": "Person",
+        "address": { "streetAddress": "Main St" }
+      };
+      
+      const result = await shaclValidator.validate(doc, shapes);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].message).toContain('http://example.org/AddressShape');
+      expect(result.report.results[0].details).toHaveLength(1);
+      expect(result.report.results[0].details[0].path).toBe('https://schema.org/postalCode');
+    });
+    
+    it('should check sh:class against data graph types', async () => {
+      const doc = {
+        "@context": context,
+        "@graph": [
+          { "@id": "ex:alice", "@type": "Person", "worksFor": "ex:bob" },
+          { "@id": "ex:bob", "@type": "Person" }
+        ]
+      };
+      
+      const result = await shaclValidator.validate(doc, shapes);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].value).toBe('http://example.org/bob');
+    });
+    
+    it('should terminate on recursive shapes over cyclic data', async () => {
+      const recursive = `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix schema: <https://schema.org/> .
+        @prefix ex: <http://example.org/> .
+        
+        ex:PersonShape a sh:NodeShape ;
+            sh:targetClass schema:Person ;
+            sh:property [
+                sh:path schema:name ;
+                sh:minCount 1 ;
+            ] ;
+            sh:property [
+                sh:path schema:knows ;
+                sh:node ex:PersonShape ;
+            ] .
+      `;
+      const doc = {
+        "@context": context,
+        "@graph": [
+          { "@id": "ex:alice", "@type": "Person", "name": "Alice", "knows": "ex:bob" },
+          { "@id": "ex:bob", "knows": "ex:alice" }
+        ]
+      };
+      
+      const result = await shaclValidator.validate(doc, recursive);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].focusNode).toBe('http://example.org/alice');
+      expect(result.report.results[0].details[0].focusNode).toBe('http://example.org/bob');
+    });
+  });
+  
+  describe('logical constraints', () => {
+    const context = {
+      "@vocab": "https://schema.org/",
+      "ex": "http://example.org/"
+    };
+    
+    const contactShape = (operator) => `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix schema: <https://schema.org/> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:ContactShape a sh:NodeShape ;
+          sh:targetClass schema:Person ;
+          ${operator} (
+              [ sh:path schema:email ; sh:minCount 1 ]
+              [ sh:path schema:telephone ; sh:minCount 1 ]
+          ) .
+    `;
+    
+    const person = (props) => ({
+      "@context": context,
+      "@id": "ex:alice",
+      "@type": "Person",
+      ...props
+    });
+    
+    it('should evaluate sh:or and list failed alternatives', async () => {
+      const ok = await shaclValidator.validate(person({ "telephone": "555" }), contactShape('sh:or'));
+      const bad = await shaclValidator.validate(person({ "name": "Alice" }), contactShape('sh:or'));
+      
+      expect(ok.report.conforms).toBe(true);
+      expect(bad.report.results).toHaveLength(1);
+      expect(bad.report.results[0].message).toContain('#1 property shape on https://schema.org/email');
+      expect(bad.report.results[0].message).toContain('#2 property shape on https://schema.org/telephone');
+      expect(bad.report.results[0].details).toHaveLength(2);
+    });
+    
+    it('should evaluate sh:and', async () => {
+      const result = await shaclValidator.validate(person({ "telephone": "555" }), contactShape('sh:and'));
+      
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].message).toContain('#1 property shape on https://schema.org/email');
+      expect(result.report.results[0].message).not.toContain('#2');
+    });
+    
+    it('should evaluate sh:xone', async () => {
+      const one = await shaclValidator.validate(person({ "email": "a@b.c" }), contactShape('sh:xone'));
+      const both = await shaclValidator.validate(
+        person({ "email": "a@b.c", "telephone": "555" }),
+        contactShape('sh:xone')
+      );
+      
+      expect(one.report.conforms).toBe(true);
+      expect(both.report.results).toHaveLength(1);
+      expect(both.report.results[0].message).toContain('conforms to: #1');
+    });
+    
+    it('should evaluate sh:not at property-shape level', async () => {
+      const shacl = `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix schema: <https://schema.org/> .
+        
+        schema:PersonShape a sh:NodeShape ;
+            sh:targetClass schema:Person ;
+            sh:property [
+                sh:path schema:email ;
+                sh:not [ sh:pattern "@example\\.org$" ] ;
+            ] .
+      `;
+      
+      const result = await shaclValidator.validate(person({ "email": ["a@example.org", "b@test.com"] }), shacl);
+      
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].value).toBe('a@example.org');
+      expect(result.report.results[0].message).toContain('must not conform');
+    });
+  });
+  
+  describe('value range and node kind', () => {
+    const context = {
+      "@vocab": "https://schema.org/",
+      "ex": "http://example.org/",
+      "xsd": "http://www.w3.org/2001/XMLSchema#",
+      "age": { "@type": "xsd:integer" },
+      "price": { "@type": "xsd:decimal" },
+      "startDate": { "@type": "xsd:date" },
+      "url": { "@type": "@id" }
+    };
+    
+    const shapeWith = (constraints) => `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix schema: <https://schema.org/> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:TestShape a sh:NodeShape ;
+          sh:targetNode ex:subject ;
+          ${constraints} .
+    `;
+    
+    const subject = (props) => ({ "@context": context, "@id": "ex:subject", ...props });
+    
+    it('should compare numeric values across XSD numeric types', async () => {
+      const shacl = shapeWith(`
+        sh:property [ sh:path schema:age ; sh:minInclusive 18 ; sh:maxExclusive 65 ] ;
+        sh:property [ sh:path schema:price ; sh:minExclusive 0 ]
+      `);
+      
+      const ok = await shaclValidator.validate(subject({ "age": 18, "price": "0.5" }), shacl);
+      const bad = await shaclValidator.validate(subject({ "age": 65, "price": "0" }), shacl);
+      
+      expect(ok.report.conforms).toBe(true);
+      expect(bad.report.results.map(r => r.message)).toEqual([
+        'Value must be < 65',
+        'Value must be > 0'
+      ]);
+    });
+    
+    it('should compare dates', async () => {
+      const shacl = shapeWith(`
+        sh:property [ sh:path schema:startDate ; sh:minInclusive "2024-01-01"^^xsd:date ]
+      `);
+      
+      const ok = await shaclValidator.validate(subject({ "startDate": "2024-06-01" }), shacl);
+      const bad = await shaclValidator.validate(subject({ "startDate": "2023-12-31" }), shacl);
+      
+      expect(ok.report.conforms).toBe(true);
+      expect(bad.report.results).toHaveLength(1);
+    });
+    
+    it('should compare dates and dateTimes with timezones', async () => {
+      const shacl = shapeWith(`
+        sh:property [ sh:path schema:startDate ; sh:minInclusive "2024-01-01Z"^^xsd:date ] ;
+        sh:property [ sh:path schema:endDate ; sh:maxExclusive "2024-01-01T12:00:00+02:00"^^xsd:dateTime ]
+      `);
+      const dateTime = (value) => ({ "@value": value, "@type": "xsd:dateTime" });
+      
+      const ok = await shaclValidator.validate(subject({ "startDate": "2024-01-01+00:00", "endDate": dateTime("2024-01-01T09:59:59Z") }), shacl);
+      const bad = await shaclValidator.validate(subject({ "startDate": "2024-01-01+02:00", "endDate": dateTime("2024-01-01T11:00:00+01:00") }), shacl);
+      
+      expect(ok.report.conforms).toBe(true);
+      expect(bad.report.results.map(r => r.message)).toEqual([
+        'Value must be >= 2024-01-01Z',
+        'Value must be < 2024-01-01T12:00:00+02:00'
+      ]);
+    });
+    
+    it('should only order values without a timezone against zoned values more than 14 hours apart', async () => {
+      const shacl = shapeWith(`
+        sh:property [ sh:path schema:endDate ; sh:minInclusive "2024-01-01T00:00:00Z"^^xsd:dateTime ]
+      `);
+      const validate = (value) => shaclValidator.validate(subject({ "endDate": { "@value": value, "@type": "xsd:dateTime" } }), shacl);
+      
+      const later = await validate('2024-01-01T14:00:01');
+      const nearby = await validate('2024-01-01T10:00:00');
+      const earlier = await validate('2023-12-31T09:59:59');
+      
+      expect(later.report.conforms).toBe(true);
+      expect(nearby.report.results[0].message).toContain('not comparable');
+      expect(earlier.report.results[0].message).toBe('Value must be >= 2024-01-01T00:00:00Z');
+    });
+    
+    it('should report incomparable values', async () => {
+      const shacl = shapeWith(`
+        sh:property [ sh:path schema:name ; sh:minInclusive 1 ]
+      `);
+      
+      const result = await shaclValidator.validate(subject({ "name": "Alice" }), shacl);
+      
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].message).toContain('not comparable');
+    });
+    
+    it('should check sh:nodeKind including combined kinds', async () => {
+      const shacl = shapeWith(`
+        sh:nodeKind sh:IRI ;
+        sh:property [ sh:path schema:url ; sh:nodeKind sh:IRI ] ;
+        sh:property [ sh:path schema:name ; sh:nodeKind sh:Literal ] ;
+        sh:property [ sh:path schema:address ; sh:nodeKind sh:BlankNodeOrIRI ]
+      `);
+      
+      const ok = await shaclValidator.validate(subject({
+        "url": "http://example.org/page",
+        "name": "Alice",
+        "address": { "streetAddress": "Main St" }
+      }), shacl);
+      const bad = await shaclValidator.validate(subject({
+        "url": { "@value": "not an IRI" },
+        "name": { "@id": "ex:alice" },
+        "address": "Main St"
+      }), shacl);
+      
+      expect(ok.report.conforms).toBe(true);
+      expect(bad.report.results.map(r => r.message)).toEqual([
+        'Value must be of node kind IRI',
+        'Value must be of node kind Literal',
+        'Value must be of node kind BlankNodeOrIRI'
+      ]);
+    });
+    
+    it('should reject ill-formed lexical forms for sh:datatype', async () => {
+      const shacl = shapeWith(`
+        sh:property [ sh:path schema:age ; sh:datatype xsd:integer ] ;
+        sh:property [ sh:path schema:startDate ; sh:datatype xsd:date ]
+      `);
+      
+      const ok = await shaclValidator.validate(subject({ "age": "42", "startDate": "2024-02-29" }), shacl);
+      const bad = await shaclValidator.validate(subject({ "age": "abc", "startDate": "2024-13-45" }), shacl);
+      
+      expect(ok.report.conforms).toBe(true);
+      expect(bad.report.results.map(r => [r.sourceConstraintComponent.split('#')[1], r.value])).toEqual([
+        ['DatatypeConstraintComponent', 'abc'],
+        ['DatatypeConstraintComponent', '2024-13-45']
+      ]);
+      expect(bad.report.results[0].message).toBe('Ill-formed literal: "abc" is not a valid xsd:integer lexical form');
+    });
+  });
+  
+  describe('property pair constraints', () => {
+    const context = {
+      "@vocab": "https://schema.org/",
+      "ex": "http://example.org/",
+      "foaf": "http://xmlns.com/foaf/0.1/",
+      "xsd": "http://www.w3.org/2001/XMLSchema#",
+      "startDate": { "@type": "xsd:dateTime" },
+      "endDate": { "@type": "xsd:dateTime" }
+    };
+    
+    const shapeWith = (constraints) => `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix schema: <https://schema.org/> .
+      @prefix foaf: <http://xmlns.com/foaf/0.1/> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:TestShape a sh:NodeShape ;
+          sh:targetNode ex:subject ;
+          sh:property [ ${constraints} ] .
+    `;
+    
+    const subject = (props) => ({ "@context": context, "@id": "ex:subject", ...props });
+    
+    it('should check sh:lessThan with both paths and values in the result', async () => {
+      const shacl = shapeWith('sh:path schema:startDate ; sh:lessThan schema:endDate');
+      
+      const ok = await shaclValidator.validate(subject({
+        "startDate": "2024-09-15T09:00:00-07:00",
+        "endDate": "2024-09-17T18:00:00-07:00"
+      }), shacl);
+      const bad = await shaclValidator.validate(subject({
+        "startDate": "2024-09-17T18:00:00-07:00",
+        "endDate": "2024-09-15T09:00:00-07:00"
+      }), shacl);
+      
+      expect(ok.report.conforms).toBe(true);
+      expect(bad.report.results).toHaveLength(1);
+      expect(bad.report.results[0]).toMatchObject({
+        path: 'https://schema.org/startDate',
+        comparedPath: 'https://schema.org/endDate',
+        value: '2024-09-17T18:00:00-07:00',
+        comparedValue: '2024-09-15T09:00:00-07:00'
+      });
+    });
+    
+    it('should check sh:lessThanOrEquals', async () => {
+      const shacl = shapeWith('sh:path schema:startDate ; sh:lessThanOrEquals schema:endDate');
+      
+      const result = await shaclValidator.validate(subject({
+        "startDate": "2024-09-15T09:00:00Z",
+        "endDate": "2024-09-15T09:00:00Z"
+      }), shacl);
+      
+      expect(result.report.conforms).toBe(true);
+    });
+    
+    it('should check sh:disjoint', async () => {
+      const shacl = shapeWith('sh:path foaf:nick ; sh:disjoint foaf:name');
+      
+      const ok = await shaclValidator.validate(subject({ "foaf:nick": "Ali", "foaf:name": "Alice" }), shacl);
+      const bad = await shaclValidator.validate(subject({ "foaf:nick": "Alice", "foaf:name": "Alice" }), shacl);
+      
+      expect(ok.report.conforms).toBe(true);
+      expect(bad.report.results).toHaveLength(1);
+      expect(bad.report.results[0].comparedPath).toBe('http://xmlns.com/foaf/0.1/name');
+    });
+    
+    it('should check sh:equals in both directions', async () => {
+      const shacl = shapeWith('sh:path schema:name ; sh:equals schema:alternateName');
+      
+      const result = await shaclValidator.validate(subject({
+        "name": ["A", "B"],
+        "alternateName": ["B", "C"]
+      }), shacl);
+      
+      expect(result.report.results.map(r => r.value).sort()).toEqual(['A', 'C']);
+    });
+  });
+  
+  describe('closed shapes', () => {
+    const context = {
+      "@vocab": "https://schema.org/",
+      "ex": "http://example.org/"
+    };
+    
+    const shacl = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .
+      @prefix schema: <https://schema.org/> .
+      
+      schema:PersonShape a sh:NodeShape ;
+          sh:targetClass schema:Person ;
+          sh:closed true ;
+          sh:ignoredProperties ( rdf:type ) ;
+          sh:property [ sh:path schema:name ] ;
+          sh:property [ sh:path schema:email ] .
+    `;
+    
+    it('should accept declared and ignored properties', async () => {
+      const doc = {
+        "@context": context,
+        "@id": "ex:alice",
+        "@type": "Person",
+        "name": "Alice",
+        "email": "alice@example.org"
+      };
+      
+      const result = await shaclValidator.validate(doc, shacl);
+      
+      expect(result.report.conforms).toBe(true);
+    });
+    
+    it('should report each unexpected predicate and value', async () => {
+      const doc = {
+        "@context": context,
+        "@id": "ex:alice",
+        "@type": "Person",
+        "name": "Alice",
+        "emial": "alice@example.org"
+      };
+      
+      const result = await shaclValidator.validate(doc, shacl);
+      
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0]).toMatchObject({
+        focusNode: 'http://example.org/alice',
+        path: 'https://schema.org/emial',
+        value: 'alice@example.org'
+      });
+    });
+  });
+  
+  describe('language and value constraints', () => {
+    const context = {
+      "@vocab": "https://schema.org/",
+      "ex": "http://example.org/",
+      "name": { "@container": "@language" },
+      "category": { "@type": "@id" }
+    };
+    
+    const shacl = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .
+      @prefix schema: <https://schema.org/> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:ProductShape a sh:NodeShape ;
+          sh:targetClass schema:Product ;
+          sh:property [
+              sh:path schema:name ;
+              sh:datatype rdf:langString ;
+              sh:languageIn ( "en" "es" "fr" ) ;
+              sh:uniqueLang true ;
+          ] ;
+          sh:property [
+              sh:path schema:category ;
+              sh:hasValue ex:catalogue ;
+          ] .
+    `;
+    
+    const product = (props) => ({
+      "@context": context,
+      "@id": "ex:product",
+      "@type": "Product",
+      "category": "ex:catalogue",
+      ...props
+    });
+    
+    it('should accept allowed languages including subtags', async () => {
+      const result = await shaclValidator.validate(
+        product({ "name": { "en-GB": "Chair", "es": "Silla" } }),
+        shacl
+      );
+      
+      expect(result.report.conforms).toBe(true);
+    });
+    
+    it('should reject languages outside sh:languageIn', async () => {
+      const result = await shaclValidator.validate(product({ "name": { "de": "Stuhl" } }), shacl);
+      
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].message).toBe('Language must be one of: en, es, fr');
+      expect(result.report.results[0].value).toBe('Stuhl');
+    });
+    
+    it('should reject duplicate languages with sh:uniqueLang', async () => {
+      const result = await shaclValidator.validate(
+        product({ "name": { "en": ["Chair", "Seat"] } }),
+        shacl
+      );
+      
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].message).toContain('"en"');
+    });
+    
+    it('should require the sh:hasValue value', async () => {
+      const result = await shaclValidator.validate(
+        product({ "name": { "en": "Chair" }, "category": "ex:other" }),
+        shacl
+      );
+      
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].message).toBe('Missing required value http://example.org/catalogue');
+      expect(result.report.results[0].value).toBeNull();
+    });
+    
+    it('should not accept plain strings as rdf:langString or tagged strings as xsd:string', async () => {
+      const typedShacl = `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .
+        @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+        @prefix schema: <https://schema.org/> .
+        
+        schema:ProductShape a sh:NodeShape ;
+            sh:targetClass schema:Product ;
+            sh:property [ sh:path schema:name ; sh:datatype rdf:langString ] ;
+            sh:property [ sh:path schema:description ; sh:datatype xsd:string ] .
+      `;
+      const doc = {
+        "@context": { "@vocab": "https://schema.org/", "ex": "http://example.org/" },
+        "@id": "ex:product",
+        "@type": "Product",
+        "name": "Chair",
+        "description": { "@value": "A chair", "@language": "en" }
+      };
+      
+      const result = await shaclValidator.validate(doc, typedShacl);
+      
+      expect(result.report.results.map(r => r.value)).toEqual(['Chair', 'A chair']);
+    });
+  });
+  
+  describe('SPARQL constraints', () => {
+    const context = { "@vocab": "http://example.org/", "ex": "http://example.org/" };
+    
+    const shacl = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:prefixes sh:declare [ sh:prefix "ex" ; sh:namespace "http://example.org/"^^xsd:anyURI ] .
+      
+      ex:OrderShape a sh:NodeShape ;
+          sh:targetClass ex:Order ;
+          sh:sparql [
+              a sh:SPARQLConstraint ;
+              sh:prefixes ex:prefixes ;
+              sh:message "Total {?total} does not match the line items ({?sum})" ;
+              sh:select """
+                  SELECT $this (SUM(?price) AS ?sum) (SAMPLE(?declared) AS ?total)
+                  WHERE {
+                      $this ex:totalPrice ?declared ;
+                            ex:lineItem ?item .
+                      ?item ex:price ?price .
+                  }
+                  GROUP BY $this
+                  HAVING (SUM(?price) != SAMPLE(?declared))
+              """ ;
+          ] ;
+          sh:property [
+              sh:path ex:lineItem ;
+              sh:sparql [
+                  sh:message "Line item {?value} has no price" ;
+                  sh:select """
+                      SELECT $this ?value WHERE {
+                          $this $PATH ?value .
+                          FILTER NOT EXISTS { ?value ex:price ?price }
+                      }
+                  """ ;
+              ] ;
+          ] .
+    `;
+    
+    const order = (totalPrice, items) => ({
+      "@context": context,
+      "@id": "ex:order1",
+      "@type": "Order",
+      "totalPrice": totalPrice,
+      "lineItem": items
+    });
+    
+    it('should accept data for which the query has no solutions', async () => {
+      const result = await shaclValidator.validate(
+        order(30, [{ "@id": "ex:item1", "price": 10 }, { "@id": "ex:item2", "price": 20 }]),
+        shacl
+      );
+      
+      expect(result.success).toBe(true);
+      expect(result.report.conforms).toBe(true);
+    });
+    
+    it('should turn each solution into a result with substituted message', async () => {
+      const result = await shaclValidator.validate(
+        order(25, [{ "@id": "ex:item1", "price": 10 }, { "@id": "ex:item2", "price": 20 }]),
+        shacl
+      );
+      
+      expect(result.report.conforms).toBe(false);
+      expect(result.report.results).toHaveLength(1);
+      expect(result.report.results[0].focusNode).toBe('http://example.org/order1');
+      expect(result.report.results[0].value).toBe('http://example.org/order1');
+      expect(result.report.results[0].message).toBe('Total 25 does not match the line items (30)');
+    });
+    
+    it('should substitute $PATH and report ?value bindings', async () => {
+      const result = await shaclValidator.validate(
+        order(10, [{ "@id": "ex:item1", "price": 10 }, { "@id": "ex:item2" }]),
+        shacl
+      );
+      
+      const missing = result.report.results.find(r => r.message.includes('has no price'));
+      expect(missing.value).toBe('http://example.org/item2');
+      expect(missing.path).toBe('http://example.org/lineItem');
+      expect(missing.message).toBe('Line item http://example.org/item2 has no price');
+    });
+    
+    it('should report query errors as a failed validation', async () => {
+      const brokenShacl = `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix ex: <http://example.org/> .
+        
+        ex:OrderShape a sh:NodeShape ;
+            sh:targetClass ex:Order ;
+            sh:sparql [ sh:select "SELECT $this WHERE { $this unknown:p ?x }" ] .
+      `;
+      
+      const result = await shaclValidator.validate(order(10, []), brokenShacl);
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unknown prefix');
+    });
+    
+    it('should skip deactivated SPARQL constraints', async () => {
+      const deactivatedShacl = `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix ex: <http://example.org/> .
+        
+        ex:OrderShape a sh:NodeShape ;
+            sh:targetClass ex:Order ;
+            sh:sparql [ sh:deactivated true ; sh:select "SELECT $this WHERE { }" ] .
+      `;
+      
+      const result = await shaclValidator.validate(order(10, []), deactivatedShacl);
+      
+      expect(result.report.conforms).toBe(true);
+    });
+  });
+  
+  describe('validation report graph', () => {
+    const SH = 'http://www.w3.org/ns/shacl#';
+    
+    const shacl = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:PersonShape a sh:NodeShape ;
+          sh:targetClass ex:Person ;
+          sh:property [
+              sh:path ex:age ;
+              sh:datatype xsd:integer ;
+          ] ;
+          sh:property [
+              sh:path [ sh:inversePath ex:parent ] ;
+              sh:maxCount 1 ;
+          ] .
+    `;
+    
+    const doc = {
+      "@context": { "@vocab": "http://example.org/", "ex": "http://example.org/", "parent": { "@type": "@id" } },
+      "@graph": [
+        { "@id": "ex:alice", "@type": "Person", "age": "old" },
+        { "@id": "ex:bob", "parent": "ex:alice" },
+        { "@id": "ex:carol", "parent": "ex:alice" }
+      ]
+    };
+    
+    it('should tag results with source shape and constraint component', async () => {
+      const result = await shaclValidator.validate(doc, shacl);
+      
+      expect(result.report.results.map(r => r.sourceConstraintComponent).sort()).toEqual([
+        `${SH}DatatypeConstraintComponent`,
+        `${SH}MaxCountConstraintComponent`
+      ]);
+      expect(result.report.results.every(r => r.sourceShape.startsWith('_:'))).toBe(true);
+    });
+    
+    it('should build a sh:ValidationReport graph', async () => {
+      const { reportGraph } = await shaclValidator.validate(doc, shacl);
+      const count = (p, o = null) => reportGraph.getQuads(null, p, o, null).length;
+      
+      expect(count(`${SH}conforms`)).toBe(1);
+      expect(reportGraph.getQuads(null, `${SH}conforms`, null, null)[0].object.value).toBe('false');
+      expect(count(`${SH}result`)).toBe(2);
+      expect(count(`${SH}sourceShape`)).toBe(2);
+      expect(count(`${SH}resultSeverity`, `${SH}Violation`)).toBe(2);
+      
+      // Literal values keep their datatype, complex paths are copied into the report
+      const value = reportGraph.getQuads(null, `${SH}value`, null, null)[0].object;
+      expect(value.termType).toBe('Literal');
+      expect(value.value).toBe('old');
+      expect(count(`${SH}inversePath`, 'http://example.org/parent')).toBe(1);
+    });
+    
+    it('should serialize the report to JSON-LD, Turtle and N-Quads', async () => {
+      const { reportGraph } = await shaclValidator.validate(doc, shacl);
+      
+      const json = await shaclValidator.serializeReport(reportGraph, 'jsonld');
+      const turtle = await shaclValidator.serializeReport(reportGraph, 'turtle');
+      const nquads = await shaclValidator.serializeReport(reportGraph, 'nquads');
+      
+      expect(json.success).toBe(true);
+      expect(json.data).toContain('"sh:ValidationReport"');
+      expect(json.data).toContain('"sh:conforms": false');
+      expect(turtle.data).toContain('sh:sourceConstraintComponent sh:DatatypeConstraintComponent');
+      expect(nquads.data).toContain(`<${SH}resultPath>`);
+    });
+    
+    it('should reject unknown formats', async () => {
+      const { reportGraph } = await shaclValidator.validate(doc, shacl);
+      
+      const result = await shaclValidator.serializeReport(reportGraph, 'xml');
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unsupported report format');
+    });
+  });
+  
+  describe('severity, deactivation and messages', () => {
+    const context = { "@vocab": "http://example.org/", "ex": "http://example.org/" };
+    
+    const shacl = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:PersonShape a sh:NodeShape ;
+          sh:targetClass ex:Person ;
+          sh:property [
+              sh:path ex:nickname ;
+              sh:maxLength 5 ;
+              sh:severity sh:Warning ;
+              sh:message "{?value} is a long nickname for {$this}"@en ;
+              sh:message "{?value} es un apodo largo"@es ;
+          ] ;
+          sh:property [
+              sh:path ex:email ;
+              sh:minCount 1 ;
+              sh:severity sh:Info ;
+              sh:message "Adding an email is recommended" ;
+          ] ;
+          sh:property [
+              sh:path ex:age ;
+              sh:datatype xsd:integer ;
+              sh:deactivated true ;
+          ] .
+    `;
+    
+    const person = {
+      "@context": context,
+      "@id": "ex:alice",
+      "@type": "Person",
+      "nickname": "Ally-Cat",
+      "age": "unknown"
+    };
+    
+    it('should use the severity of the shape and report warnings without violations', async () => {
+      const result = await shaclValidator.validate(person, shacl);
+      
+      expect(result.report.conforms).toBe(false);
+      expect(result.report.hasViolations).toBe(false);
+      expect(result.reportGraph.getQuads(null, 'http://www.w3.org/ns/shacl#conforms', null, null)[0].object.value).toBe('false');
+      expect(result.report.results.map(r => r.severity).sort()).toEqual(['Info', 'Warning']);
+      expect(result.reportGraph.getQuads(null, 'http://www.w3.org/ns/shacl#resultSeverity', 'http://www.w3.org/ns/shacl#Warning', null)).toHaveLength(1);
+    });
+    
+    it('should report violations separately from warnings and infos', async () => {
+      const strictShacl = shacl.replace('sh:deactivated true', 'sh:deactivated false');
+      
+      const result = await shaclValidator.validate(person, strictShacl);
+      
+      expect(result.report.conforms).toBe(false);
+      expect(result.report.hasViolations).toBe(true);
+      expect(result.report.results.find(r => r.severity === 'Violation').value).toBe('unknown');
+    });
+    
+    it('should skip deactivated shapes', async () => {
+      const result = await shaclValidator.validate(person, shacl);
+      
+      expect(result.report.results.some(r => r.path === 'http://example.org/age')).toBe(false);
+    });
+    
+    it('should pick the message in the preferred language and substitute placeholders', async () => {
+      const english = await shaclValidator.validate(person, shacl, { language: 'en-US' });
+      const spanish = await shaclValidator.validate(person, shacl, { language: 'es' });
+      const other = await shaclValidator.validate(person, shacl, { language: 'de' });
+      
+      const nicknameMessage = (result) => result.report.results.find(r => r.severity === 'Warning').message;
+      expect(nicknameMessage(english)).toBe('Ally-Cat is a long nickname for http://example.org/alice');
+      expect(nicknameMessage(spanish)).toBe('Ally-Cat es un apodo largo');
+      expect(['Ally-Cat is a long nickname for http://example.org/alice', 'Ally-Cat es un apodo largo'])
+        .toContain(nicknameMessage(other));
+    });
+  });
+  
+  describe('rules', () => {
+    const shapes = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix ex: <http://example.org/> .
+      @prefix foaf: <http://xmlns.com/foaf/0.1/> .
+      @prefix schema: <http://schema.org/> .
+      @prefix fn: <http://www.w3.org/2005/xpath-functions#> .
+      @prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .
+      
+      ex:PersonShape a sh:NodeShape ;
+          sh:targetClass foaf:Person ;
+          sh:rule [
+              a sh:TripleRule ;
+              sh:condition [ sh:property [ sh:path foaf:familyName ; sh:minCount 1 ] ] ;
+              sh:subject sh:this ;
+              sh:predicate schema:name ;
+              sh:object [ fn:concat ( [ sh:path foaf:givenName ] " " [ sh:path foaf:familyName ] ) ]
+          ] ;
+          sh:rule [
+              a sh:TripleRule ;
+              sh:subject sh:this ;
+              sh:predicate rdf:type ;
+              sh:object schema:Person
+          ] .
+      
+      ex:SchemaPersonShape a sh:NodeShape ;
+          sh:targetClass schema:Person ;
+          sh:rule [
+              a sh:TripleRule ;
+              sh:order 1 ;
+              sh:subject sh:this ;
+              sh:predicate schema:alternateName ;
+              sh:object [ fn:upper-case ( [ sh:path schema:name ] ) ]
+          ] ;
+          sh:property [ sh:path schema:name ; sh:minCount 1 ] .
+    `;
+    
+    const doc = {
+      "@context": { "foaf": "http://xmlns.com/foaf/0.1/" },
+      "@graph": [
+        { "@id": "http://example.org/alice", "@type": "foaf:Person", "foaf:givenName": "Alice", "foaf:familyName": "Smith" },
+        { "@id": "http://example.org/bob", "@type": "foaf:Person", "foaf:givenName": "Bob" }
+      ]
+    };
+    
+    it('should infer triples until no rule derives new ones', async () => {
+      const result = await shaclValidator.infer(doc, shapes);
+      
+      expect(result.success).toBe(true);
+      expect(result.data.asserted).not.toContain('schema.org');
+      expect(result.data.inferred).toContain('<http://example.org/alice> <http://schema.org/name> "Alice Smith" .');
+      expect(result.data.inferred).toContain('<http://example.org/bob> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://schema.org/Person> .');
+      // Derived from a triple inferred by another rule
+      expect(result.data.inferred).toContain('<http://example.org/alice> <http://schema.org/alternateName> "ALICE SMITH" .');
+    });
+    
+    it('should skip focus nodes that do not meet the conditions', async () => {
+      const result = await shaclValidator.infer(doc, shapes);
+      
+      expect(result.data.inferred).not.toContain('<http://example.org/bob> <http://schema.org/name>');
+    });
+    
+    it('should validate the inferred triples on request', async () => {
+      const withoutRules = await shaclValidator.validate(doc, shapes);
+      const withRules = await shaclValidator.validate(doc, shapes, { applyRules: true });
+      
+      expect(withoutRules.report.results).toHaveLength(0);
+      expect(withRules.report.results.map(r => r.focusNode)).toEqual(['http://example.org/bob']);
+    });
+    
+    it('should stop rules that never reach a fixpoint', async () => {
+      const growing = `
+        @prefix sh: <http://www.w3.org/ns/shacl#> .
+        @prefix ex: <http://example.org/> .
+        @prefix fn: <http://www.w3.org/2005/xpath-functions#> .
+        
+        ex:Shape sh:targetNode ex:alice ;
+            sh:rule [
+                a sh:TripleRule ;
+                sh:subject sh:this ;
+                sh:predicate ex:label ;
+                sh:object [ fn:concat ( [ sh:path ex:label ] "!" ) ]
+            ] .
+      `;
+      const result = await shaclValidator.infer({ "@id": "http://example.org/alice", "http://example.org/label": "a" }, growing);
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('iterations');
+    });
+  });
+  
+  describe('repair suggestions', () => {
+    const shapes = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix ex: <http://example.org/> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+      
+      ex:PersonShape a sh:NodeShape ;
+          sh:targetClass ex:Person ;
+          sh:property [ sh:path ex:born ; sh:minCount 1 ; sh:datatype xsd:date ] ;
+          sh:property [ sh:path ex:age ; sh:datatype xsd:integer ] ;
+          sh:property [ sh:path ex:email ; sh:maxCount 1 ] ;
+          sh:property [ sh:path ex:status ; sh:in ( "Active" "Inactive" ) ] .
+    `;
+    
+    const doc = {
+      "@context": { "@vocab": "http://example.org/" },
+      "@id": "http://example.org/alice",
+      "@type": "Person",
+      "age": " 42 ",
+      "email": ["a@example.org", "b@example.org"],
+      "status": "inactiv"
+    };
+    
+    const fixFor = (report, component) => report.results
+      .find(r => r.sourceConstraintComponent === `http://www.w3.org/ns/shacl#${component}ConstraintComponent`).fix;
+    
+    it('should only suggest fixes on request', async () => {
+      const result = await shaclValidator.validate(doc, shapes);
+      
+      expect(result.report.results.some(r => r.fix)).toBe(false);
+    });
+    
+    it('should suggest a placeholder of the right datatype for missing values', async () => {
+      const { report } = await shaclValidator.validate(doc, shapes, { suggestFixes: true });
+      
+      expect(fixFor(report, 'MinCount')).toMatchObject({
+        focusNode: 'http://example.org/alice',
+        path: 'http://example.org/born',
+        add: [{ '@value': '2000-01-01', '@type': 'http://www.w3.org/2001/XMLSchema#date' }],
+        remove: []
+      });
+    });
+    
+    it('should suggest coercing literals to the expected datatype', async () => {
+      const { report } = await shaclValidator.validate(doc, shapes, { suggestFixes: true });
+      
+      expect(fixFor(report, 'Datatype')).toMatchObject({
+        remove: [{ '@value': ' 42 ' }],
+        add: [{ '@value': '42', '@type': 'http://www.w3.org/2001/XMLSchema#integer' }]
+      });
+    });
+    
+    it('should suggest removing values beyond sh:maxCount', async () => {
+      const { report } = await shaclValidator.validate(doc, shapes, { suggestFixes: true });
+      
+      expect(fixFor(report, 'MaxCount').remove).toEqual([{ '@value': 'b@example.org' }]);
+    });
+    
+    it('should suggest the nearest sh:in value', async () => {
+      const { report } = await shaclValidator.validate(doc, shapes, { suggestFixes: true });
+      const fix = fixFor(report, 'In');
+      
+      expect(fix.add).toEqual([{ '@value': 'Inactive' }]);
+      expect(fix.description).toBe('Replace "inactiv" with "Inactive"');
+    });
+  });
+  
+  describe('shapes serializations', () => {
+    const doc = {
+      "@context": { "@vocab": "http://example.org/" },
+      "@id": "http://example.org/alice",
+      "@type": "Person"
+    };
+    
+    const ntriples = `
+<http://example.org/PersonShape> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://www.w3.org/ns/shacl#NodeShape> .
+<http://example.org/PersonShape> <http://www.w3.org/ns/shacl#targetClass> <http://example.org/Person> .
+<http://example.org/PersonShape> <http://www.w3.org/ns/shacl#property> _:name .
+_:name <http://www.w3.org/ns/shacl#path> <http://example.org/name> .
+_:name <http://www.w3.org/ns/shacl#minCount> "1"^^<http://www.w3.org/2001/XMLSchema#integer> .
+`;
+    
+    const trig = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:shapes {
+        ex:PersonShape a sh:NodeShape ;
+            sh:targetClass ex:Person ;
+            sh:property [ sh:path ex:name ; sh:minCount 1 ] .
+      }
+    `;
+    
+    const jsonLdShapes = JSON.stringify({
+      "@context": {
+        "sh": "http://www.w3.org/ns/shacl#",
+        "ex": "http://example.org/",
+        "sh:targetClass": { "@type": "@id" },
+        "sh:path": { "@type": "@id" }
+      },
+      "@id": "ex:PersonShape",
+      "@type": "sh:NodeShape",
+      "sh:targetClass": "ex:Person",
+      "sh:property": { "sh:path": "ex:name", "sh:minCount": 1 }
+    });
+    
+    it('should validate with N-Triples, TriG and JSON-LD shapes', async () => {
+      for (const shapes of [ntriples, trig, jsonLdShapes]) {
+        const result = await shaclValidator.validate(doc, shapes);
+        
+        expect(result.success).toBe(true);
+        expect(result.report.conforms).toBe(false);
+        expect(result.report.results[0].path).toBe('http://example.org/name');
+      }
+    });
+    
+    it('should report the detected format of valid shapes', async () => {
+      expect(await shaclValidator.validateShaclSyntax(jsonLdShapes)).toEqual({ valid: true, format: 'jsonld' });
+      expect((await shaclValidator.validateShaclSyntax(trig)).format).toBe('trig');
+    });
+  });
+  
+  describe('multiple shapes graphs', () => {
+    const prefixes = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix owl: <http://www.w3.org/2002/07/owl#> .
+      @prefix ex: <http://example.org/> .
+    `;
+    
+    const base = `${prefixes}
+      <http://example.org/shapes/base> a owl:Ontology .
+      
+      ex:PersonShape a sh:NodeShape ;
+          sh:targetClass ex:Person ;
+          sh:property [ sh:path ex:name ; sh:minCount 1 ] .
+    `;
+    
+    const overlay = `${prefixes}
+      <http://example.org/shapes/project> a owl:Ontology ;
+          owl:imports <http://example.org/shapes/base> .
+      
+      ex:ProjectPersonShape a sh:NodeShape ;
+          sh:targetClass ex:Person ;
+          sh:property [ sh:path ex:email ; sh:minCount 1 ] .
+    `;
+    
+    const doc = {
+      "@context": { "@vocab": "http://example.org/", "ex": "http://example.org/" },
+      "@id": "ex:alice",
+      "@type": "Person"
+    };
+    
+    it('should tag results with the shapes graph they come from', async () => {
+      const result = await shaclValidator.validate(doc, [
+        { name: 'base', content: base },
+        { name: 'project', content: overlay.replace(/owl:imports <[^>]+>/, 'owl:versionInfo "1"') }
+      ]);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.results.map(r => [r.path, r.shapesGraph])).toEqual([
+        ['http://example.org/name', 'base'],
+        ['http://example.org/email', 'project']
+      ]);
+    });
+    
+    it('should skip disabled shapes graphs', async () => {
+      const result = await shaclValidator.validate(doc, [
+        { name: 'base', content: base, enabled: false },
+        { name: 'project', content: overlay.replace(/owl:imports <[^>]+>/, 'owl:versionInfo "1"') }
+      ]);
+      
+      expect(result.report.results.map(r => r.shapesGraph)).toEqual(['project']);
+    });
+    
+    it('should load the editor shapes once when they are also registered', async () => {
+      const result = await shaclValidator.validate(doc, [
+        { name: 'editor', content: base },
+        { name: 'base', iri: 'http://example.org/shapes/base', content: base, enabled: true }
+      ]);
+      
+      expect(result.success).toBe(true);
+      expect(result.report.results.map(r => [r.path, r.shapesGraph])).toEqual([
+        ['http://example.org/name', 'base']
+      ]);
+    });
+    
+    it('should follow owl:imports to registered and resolved graphs', async () => {
+      const registered = await shaclValidator.validate(doc, [
+        { name: 'base', iri: 'http://example.org/shapes/base', content: base, enabled: false },
+        { name: 'project', content: overlay }
+      ]);
+      const resolveImport = async (iri) => iri === 'http://example.org/shapes/base' ? base : null;
+      const resolved = await shaclValidator.validate(doc, [overlay], { resolveImport });
+      
+      expect(registered.report.results.map(r => r.shapesGraph).sort()).toEqual(['base', 'project']);
+      expect(resolved.report.results.map(r => r.shapesGraph).sort()).toEqual(['http://example.org/shapes/base', 'shapes-1']);
+    });
+    
+    it('should fail when an import cannot be resolved', async () => {
+      const result = await shaclValidator.validate(doc, [overlay]);
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Cannot resolve owl:imports <http://example.org/shapes/base>');
+    });
+    
+    it('should describe a shapes graph', async () => {
+      const result = await shaclValidator.describeShapesGraph(overlay);
+      
+      expect(result.data).toEqual({
+        iri: 'http://example.org/shapes/project',
+        imports: ['http://example.org/shapes/base'],
+        shapes: 1
+      });
+    });
+    
+    it('should leave results of a single shapes string untagged', async () => {
+      const result = await shaclValidator.validate(doc, base);
+      
+      expect(result.report.results[0].shapesGraph).toBeUndefined();
+    });
+  });
+  
+  describe('incremental validation', () => {
+    const context = { "@vocab": "http://example.org/", "ex": "http://example.org/" };
+    
+    const shacl = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix ex: <http://example.org/> .
+      
+      ex:SensorShape a sh:NodeShape ;
+          sh:targetClass ex:Sensor ;
+          sh:property [ sh:path ex:name ; sh:minCount 1 ] ;
+          sh:property [ sh:path ex:location ; sh:node ex:LocationShape ] .
+      
+      ex:LocationShape a sh:NodeShape ;
+          sh:property [ sh:path ex:room ; sh:minCount 1 ] .
+    `;
+    
+    const twin = (sensors) => ({ "@context": context, "@graph": sensors });
+    const sensor = (id, props = {}) => ({ "@id": `ex:${id}`, "@type": "Sensor", "name": id, ...props });
+    
+    it('should only validate focus nodes whose triples changed', async () => {
+      const validator = shaclValidator.createIncrementalValidator(shacl);
+      
+      const first = await validator.validate(twin([sensor('s1'), sensor('s2'), sensor('s3')]));
+      const second = await validator.validate(twin([sensor('s1'), { "@id": "ex:s2", "@type": "Sensor" }, sensor('s3')]));
+      
+      expect(first.stats).toMatchObject({ full: true, validated: 3 });
+      expect(second.stats).toMatchObject({ full: false, validated: 1, changedQuads: 1 });
+      expect(second.report.conforms).toBe(false);
+      expect(second.report.results.map(r => r.focusNode)).toEqual(['http://example.org/s2']);
+    });
+    
+    it('should revalidate nodes that reach a changed node', async () => {
+      const validator = shaclValidator.createIncrementalValidator(shacl);
+      const withRoom = (room) => twin([
+        sensor('s1', { "location": { "@id": "ex:hall", ...(room ? { "room": room } : {}) } }),
+        sensor('s2')
+      ]);
+      
+      await validator.validate(withRoom('101'));
+      const result = await validator.validate(withRoom(null));
+      
+      expect(result.stats.validated).toBe(1);
+      expect(result.report.results.map(r => r.focusNode)).toEqual(['http://example.org/s1']);
+    });
+    
+    it('should match a full validation', async () => {
+      const validator = shaclValidator.createIncrementalValidator(shacl);
+      const edited = twin([sensor('s1'), { "@id": "ex:s4", "@type": "Sensor" }]);
+      
+      await validator.validate(twin([sensor('s1'), sensor('s2')]));
+      const incremental = await validator.validate(edited);
+      const full = await shaclValidator.validate(edited, shacl);
+      
+      // Blank node property shapes are labelled per parse, so compare without them
+      const withoutShape = (results) => results.map(({ focusNode, path, value, message, sourceConstraintComponent }) =>
+        ({ focusNode, path, value, message, sourceConstraintComponent }));
+      
+      expect(withoutShape(incremental.report.results)).toEqual(withoutShape(full.report.results));
+      expect(incremental.report.conforms).toBe(full.report.conforms);
+    });
+    
+    it('should validate everything again after a reset', async () => {
+      const validator = shaclValidator.createIncrementalValidator(shacl);
+      const doc = twin([sensor('s1'), sensor('s2')]);
+      
+      await validator.validate(doc);
+      const unchanged = await validator.validate(doc);
+      validator.reset();
+      const afterReset = await validator.validate(doc);
+      
+      expect(unchanged.stats).toMatchObject({ full: false, validated: 0, changedQuads: 0 });
+      expect(afterReset.stats).toMatchObject({ full: true, validated: 2 });
+    });
+    
+    it('should report invalid shapes', async () => {
+      const validator = shaclValidator.createIncrementalValidator('not turtle');
+      
+      const result = await validator.validate(twin([sensor('s1')]));
+      
+      expect(result.success).toBe(false);
+    });
+  });
+  
   describe('validateShaclSyntax', () => {
     it('should validate correct Turtle syntax', async () => {
       const shacl = `
@@ -0,0 +1,133 @@
+/**
+ * Tests for Shape Form Service
+ */
+
+import { describe, it, expect } from 'vitest';
+import shapeForm from '../src/services/ShapeForm.js';
+import shaclValidator from '../src/services/ShaclValidator.js';
+
+const shapes = `
+  @prefix sh: <http://www.w3.org/ns/shacl#> .
+  @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+  @prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+  @prefix schema: <https://schema.org/> .
+  @prefix ex: <http://example.org/> .
+  
+  ex:ContactGroup a sh:PropertyGroup ; rdfs:label "Contact" ; sh:order 2 .
+  ex:DetailsGroup a sh:PropertyGroup ; rdfs:label "Details" ; sh:order 1 .
+  
+  ex:PersonShape a sh:NodeShape ;
+    sh:targetClass schema:Person ;
+    sh:property [ sh:path schema:email ; sh:datatype xsd:string ; sh:group ex:ContactGroup ] ;
+    sh:property [ sh:path schema:name ; sh:name "Name" ; sh:datatype xsd:string ; sh:minCount 1 ; sh:maxCount 1 ; sh:order 1 ; sh:group ex:DetailsGroup ] ;
+    sh:property [ sh:path schema:age ; sh:datatype xsd:integer ; sh:maxCount 1 ; sh:minInclusive 0 ; sh:order 2 ; sh:group ex:DetailsGroup ] ;
+    sh:property [ sh:path schema:gender ; sh:in ( "female" "male" ) ; sh:maxCount 1 ; sh:order 3 ; sh:group ex:DetailsGroup ] ;
+    sh:property [ sh:path schema:birthDate ; sh:datatype xsd:date ; sh:maxCount 1 ] ;
+    sh:property [ sh:path schema:knows ; sh:nodeKind sh:IRI ] ;
+    sh:property [ sh:path schema:address ; sh:node ex:AddressShape ; sh:maxCount 1 ] .
+  
+  ex:AddressShape a sh:NodeShape ;
+    sh:property [ sh:path schema:addressLocality ; sh:datatype xsd:string ; sh:minCount 1 ] .
+`;
+
+describe('ShapeForm', () => {
+  describe('buildFormModel', () => {
+    it('should describe each node shape with fields and widgets', async () => {
+      const result = await shapeForm.buildFormModel(shapes);
+      
+      expect(result.success).toBe(true);
+      const person = result.data.shapes.find(shape => shape.id === 'http://example.org/PersonShape');
+      expect(person.label).toBe('Person');
+      expect(person.selectable).toBe(true);
+      
+      const fields = Object.fromEntries(person.groups.flatMap(group => group.fields).map(field => [field.path.split('/').pop(), field]));
+      expect(fields.name.widget).toBe('text');
+      expect(fields.name.label).toBe('Name');
+      expect(fields.name.minCount).toBe(1);
+      expect(fields.age.widget).toBe('integer');
+      expect(fields.age.min).toBe(0);
+      expect(fields.gender.widget).toBe('select');
+      expect(fields.gender.options.map(option => option.label)).toEqual(['female', 'male']);
+      expect(fields.birthDate.widget).toBe('date');
+      expect(fields.knows.widget).toBe('iri');
+      expect(fields.address.widget).toBe('nested');
+      expect(fields.address.shape).toBe('http://example.org/AddressShape');
+    });
+    
+    it('should order groups and fields by sh:order', async () => {
+      const result = await shapeForm.buildFormModel(shapes);
+      const person = result.data.shapes.find(shape => shape.id === 'http://example.org/PersonShape');
+      
+      expect(person.groups.map(group => group.label)).toEqual(['', 'Details', 'Contact']);
+      expect(person.groups[1].fields.map(field => field.label)).toEqual(['Name', 'age', 'gender']);
+    });
+    
+    it('should make fields repeatable unless sh:maxCount is 1', async () => {
+      const result = await shapeForm.buildFormModel(shapes);
+      const person = result.data.shapes.find(shape => shape.id === 'http://example.org/PersonShape');
+      const fields = person.groups.flatMap(group => group.fields);
+      
+      expect(fields.find(field => field.path.endsWith('knows')).repeatable).toBe(true);
+      expect(fields.find(field => field.path.endsWith('name')).repeatable).toBe(false);
+    });
+    
+    it('should return an error for invalid shapes', async () => {
+      const result = await shapeForm.buildFormModel('@prefix sh: <http://www.w3.org/ns/shacl#> . sh:a sh:b');
+      
+      expect(result.success).toBe(false);
+    });
+  });
+  
+  describe('buildNode', () => {
+    it('should build an expanded node object from form values', async () => {
+      const { data: model } = await shapeForm.buildFormModel(shapes);
+      const node = shapeForm.buildNode(model, 'http://example.org/PersonShape', {
+        id: 'http://example.org/ann',
+        fields: {
+          'https://schema.org/name': ['Ann'],
+          'https://schema.org/gender': [0],
+          'https://schema.org/knows': ['http://example.org/bob', ''],
+          'https://schema.org/address': [{ fields: {} }]
+        }
+      });
+      
+      expect(node['@id']).toBe('http://example.org/ann');
+      expect(node['@type']).toEqual(['https://schema.org/Person']);
+      expect(node['https://schema.org/gender']).toEqual([{ '@value': 'female' }]);
+      expect(node['https://schema.org/knows']).toEqual([{ '@id': 'http://example.org/bob' }]);
+      expect(node['https://schema.org/address']).toBeUndefined();
+    });
+  });
+  
+  describe('toJsonLd', () => {
+    it('should compact the instance with the context generated from the shapes', async () => {
+      const { data: model } = await shapeForm.buildFormModel(shapes);
+      const result = await shapeForm.toJsonLd(shapes, model, 'http://example.org/PersonShape', {
+        id: 'http://example.org/ann',
+        fields: {
+          'https://schema.org/name': ['Ann'],
+          'https://schema.org/email': ['ann@example.org'],
+          'https://schema.org/age': ['30'],
+          'https://schema.org/birthDate': ['2000-01-01'],
+          'https://schema.org/address': [{ fields: { 'https://schema.org/addressLocality': ['Paris'] } }]
+        }
+      });
+      
+      expect(result.success).toBe(true);
+      expect(result.data['@context']).toBeDefined();
+      expect(result.data.Name).toBe('Ann');
+      expect(result.data.email).toEqual(['ann@example.org']);
+      expect(result.data.age).toBe(30);
+      
+      const report = await shaclValidator.validate(result.data, shapes);
+      expect(report.report.conforms).toBe(true);
+    });
+    
+    it('should return an error for unknown shapes', async () => {
+      const { data: model } = await shapeForm.buildFormModel(shapes);
+      const result = await shapeForm.toJsonLd(shapes, model, 'http://example.org/Missing', {});
+      
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for SPARQL Engine Service
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Parser, Store, DataFactory } from 'n3';
+import sparqlEngine from '../src/services/SparqlEngine.js';
+
+const { namedNode } = DataFactory;
+
+const data = `
+  @prefix ex: <http://example.org/> .
+  
+  ex:alice a ex:Person ; ex:name "Alice" ; ex:age 34 ; ex:knows ex:bob, ex:carol .
+  ex:bob a ex:Person ; ex:name "Bob"@en ; ex:age 27 ; ex:knows ex:carol .
+  ex:carol a ex:Person ; ex:name "Carol" ; ex:email "carol@example.org" .
+`;
+
+const store = new Store(new Parser().parse(data));
+const prefixes = { ex: 'http://example.org/' };
+
+const run = (query, options = {}) => sparqlEngine.select(store, query, { prefixes, ...options });
+const values = (result, variable) => result.bindings.map(b => b[variable] && b[variable].value);
+
+describe('SparqlEngine', () => {
+  describe('basic graph patterns', () => {
+    it('should join triple patterns', () => {
+      const result = run('SELECT ?name WHERE { ex:alice ex:knows ?friend . ?friend ex:name ?name } ORDER BY ?name');
+      
+      expect(result.variables).toEqual(['name']);
+      expect(values(result, 'name')).toEqual(['Bob', 'Carol']);
+    });
+    
+    it('should support PREFIX declarations, "a", ";" and ","', () => {
+      const result = sparqlEngine.select(store, `
+        PREFIX x: <http://example.org/>
+        SELECT ?p WHERE { ?p a x:Person ; x:knows x:bob, x:carol }
+      `);
+      
+      expect(values(result, 'p')).toEqual(['http://example.org/alice']);
+    });
+    
+    it('should honour pre-bound variables', () => {
+      const result = run('SELECT $this ?age WHERE { $this ex:age ?age }', {
+        bindings: { this: namedNode('http://example.org/bob') }
+      });
+      
+      expect(result.bindings).toHaveLength(1);
+      expect(result.bindings[0].this.value).toBe('http://example.org/bob');
+      expect(result.bindings[0].age.value).toBe('27');
+    });
+    
+    it('should treat blank nodes as non-projected variables', () => {
+      const result = run('SELECT * WHERE { ?p ex:knows [ ex:email ?email ] }');
+      
+      expect(result.variables).toEqual(['p', 'email']);
+      expect(values(result, 'p').sort()).toEqual(['http://example.org/alice', 'http://example.org/bob']);
+    });
+  });
+  
+  describe('FILTER, OPTIONAL and UNION', () => {
+    it('should filter with comparisons and functions', () => {
+      const result = run('SELECT ?p WHERE { ?p ex:age ?age ; ex:name ?name FILTER(?age > 30 || LANG(?name) = "en") }');
+      
+      expect(values(result, 'p').sort()).toEqual(['http://example.org/alice', 'http://example.org/bob']);
+    });
+    
+    it('should leave optional variables unbound when there is no match', () => {
+      const result = run('SELECT ?p ?email WHERE { ?p a ex:Person OPTIONAL { ?p ex:email ?email } } ORDER BY ?p');
+      
+      expect(values(result, 'email')).toEqual([undefined, undefined, 'carol@example.org']);
+    });
+    
+    it('should support BOUND and NOT EXISTS', () => {
+      const unbound = run('SELECT ?p WHERE { ?p a ex:Person OPTIONAL { ?p ex:age ?age } FILTER(!BOUND(?age)) }');
+      const notExists = run('SELECT ?p WHERE { ?p a ex:Person FILTER NOT EXISTS { ?p ex:knows ?x } }');
+      
+      expect(values(unbound, 'p')).toEqual(['http://example.org/carol']);
+      expect(values(notExists, 'p')).toEqual(['http://example.org/carol']);
+    });
+    
+    it('should combine UNION branches and BIND values', () => {
+      const result = run(`
+        SELECT DISTINCT ?label WHERE {
+          { ?p ex:email ?x } UNION { ?p ex:age ?age FILTER(?age < 30) }
+          ?p ex:name ?name
+          BIND(UCASE(STR(?name)) AS ?label)
+        } ORDER BY DESC(?label)
+      `);
+      
+      expect(values(result, 'label')).toEqual(['CAROL', 'BOB']);
+    });
+    
+    it('should support IN and REGEX', () => {
+      const result = run('SELECT ?name WHERE { ?p ex:name ?name FILTER(REGEX(?name, "^a", "i") || STR(?name) IN ("Bob")) } ORDER BY ?name');
+      
+      expect(values(result, 'name')).toEqual(['Alice', 'Bob']);
+    });
+  });
+  
+  describe('aggregates', () => {
+    it('should count and sum over groups', () => {
+      const result = run(`
+        SELECT ?p (COUNT(?friend) AS ?friends) WHERE { ?p ex:knows ?friend }
+        GROUP BY ?p ORDER BY DESC(?friends)
+      `);
+      
+      expect(values(result, 'p')).toEqual(['http://example.org/alice', 'http://example.org/bob']);
+      expect(values(result, 'friends')).toEqual(['2', '1']);
+    });
+    
+    it('should aggregate without GROUP BY', () => {
+      const result = run('SELECT (SUM(?age) AS ?total) (AVG(?age) AS ?avg) (MAX(?age) AS ?max) WHERE { ?p ex:age ?age }');
+      
+      expect(result.bindings[0].total.value).toBe('61');
+      expect(result.bindings[0].avg.value).toBe('30.5');
+      expect(result.bindings[0].max.value).toBe('34');
+    });
+    
+    it('should return a zero count when nothing matches', () => {
+      const result = run('SELECT (COUNT(*) AS ?count) WHERE { ?p ex:unknown ?x }');
+      
+      expect(values(result, 'count')).toEqual(['0']);
+    });
+    
+    it('should filter groups with HAVING', () => {
+      const result = run('SELECT ?p WHERE { ?p ex:knows ?friend } GROUP BY ?p HAVING (COUNT(?friend) > 1)');
+      
+      expect(values(result, 'p')).toEqual(['http://example.org/alice']);
+    });
+  });
+  
+  describe('errors', () => {
+    it('should reject unknown prefixes', () => {
+      expect(() => sparqlEngine.select(store, 'SELECT ?x WHERE { ?x foo:bar ?y }')).toThrow('Unknown prefix');
+    });
+    
+    it('should reject queries other than SELECT', () => {
+      expect(() => sparqlEngine.parseQuery('ASK { ?s ?p ?o }')).toThrow('Expected SELECT');
+    });
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * SHACL Core test runner
+ * Loads the local test manifests under tests/shacl-core/core, validates each test with
+ * ShaclValidator and compares the outcome with the expected sh:ValidationReport.
+ *
+ * The tests are written for this project and cover one constraint component or target type
+ * each. They use the manifest vocabulary of the SHACL test suite (mf:Manifest, sht:Validate)
+ * under a local base IRI, but they are not the W3C test suite and passing them does not
+ * establish SHACL conformance.
+ *
+ * Usage: npm run test:shacl-core (exits with code 1 when a test fails unexpectedly, or a known
+ * failure passes and should be removed from KNOWN_FAILURES)
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join, relative, sep } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Parser, Store, Writer, DataFactory } from 'n3';
+import jsonld from 'jsonld';
+import shaclValidator from '../../src/services/ShaclValidator.js';
+
+const { namedNode } = DataFactory;
+
+const SUITE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'core');
+const BASE_IRI = 'https://json-ld-app.test/shacl-core/';
+
+const MF = 'http://www.w3.org/2001/sw/DataAccess/tests/test-manifest#';
+const SHT = 'http://www.w3.org/ns/shacl-test#';
+const SH = 'http://www.w3.org/ns/shacl#';
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+
+/**
+ * Tests that document known gaps of the validator, with the reason they fail
+ * They are reported without failing the run; remove an entry once the validator passes it
+ */
+export const KNOWN_FAILURES = new Map([
+  // The counts depend on the sibling shapes of the parent shape (sh:qualifiedValueShapesDisjoint),
+  // which the validator does not track while checking a property shape
+  ['property/qualifiedValueShape-001', 'sh:qualifiedValueShape, sh:qualifiedMinCount and sh:qualifiedMaxCount are not implemented']
+]);
+
+/**
+ * Constraint parameters and the local names of their constraint components
+ * Used to classify tests that expect no results
+ */
+const PARAMETER_COMPONENTS = [
+  'class', 'datatype', 'nodeKind', 'minCount', 'maxCount', 'minExclusive', 'minInclusive',
+  'maxExclusive', 'maxInclusive', 'minLength', 'maxLength', 'pattern', 'languageIn', 'uniqueLang',
+  'equals', 'disjoint', 'lessThan', 'lessThanOrEquals', 'not', 'and', 'or', 'xone', 'node',
+  'qualifiedMinCount', 'qualifiedMaxCount', 'closed', 'hasValue', 'in', 'sparql'
+].map(name => ({
+  predicate: SH + name,
+  component: name === 'sparql' ? 'SPARQL' : name[0].toUpperCase() + name.slice(1)
+}));
+
+/**
+ * Map a test IRI to its file
+ */
+function iriToFile(iri) {
+  if (!iri.startsWith(BASE_IRI)) {
+    throw new Error(`${iri} is not part of the local test suite`);
+  }
+  return join(SUITE_DIR, iri.slice(BASE_IRI.length));
+}
+
+/**
+ * Map a test file to its IRI
+ */
+function fileToIri(file) {
+  return BASE_IRI + relative(SUITE_DIR, file).split(sep).join('/');
+}
+
+/**
+ * Parse a test Turtle file, resolving relative IRIs against its IRI
+ */
+function loadTurtle(file) {
+  const text = readFileSync(file, 'utf-8');
+  const base = fileToIri(file);
+  const store = new Store(new Parser({ baseIRI: base }).parse(text));
+  return { text, base, store };
+}
+
+function getObject(store, subject, predicate) {
+  const quads = store.getQuads(subject, namedNode(predicate), null, null);
+  return quads.length > 0 ? quads[0].object : null;
+}
+
+function getObjects(store, subject, predicate) {
+  return store.getQuads(subject, namedNode(predicate), null, null).map(q => q.object);
+}
+
+function parseList(store, node) {
+  const items = [];
+  while (node && node.value !== RDF + 'nil') {
+    const first = getObject(store, node, RDF + 'first');
+    if (first) items.push(first);
+    node = getObject(store, node, RDF + 'rest');
+  }
+  return items;
+}
+
+/**
+ * Collect the sht:Validate entries of a manifest and the manifests it includes
+ * @param {string} file - Manifest file
+ * @returns {Array<{id: string, label: string, entry: object, store: Store}>}
+ */
+export function collectTests(file = join(SUITE_DIR, 'manifest.ttl')) {
+  const { base, store } = loadTurtle(file);
+  const manifest = namedNode(base);
+  const tests = [];
+  
+  for (const include of getObjects(store, manifest, MF + 'include')) {
+    tests.push(...collectTests(iriToFile(include.value)));
+  }
+  
+  for (const listNode of getObjects(store, manifest, MF + 'entries')) {
+    for (const entry of parseList(store, listNode)) {
+      if (getObject(store, entry, RDF + 'type')?.value !== SHT + 'Validate') continue;
+      tests.push({
+        id: entry.value.slice(BASE_IRI.length),
+        label: getObject(store, entry, RDFS_LABEL)?.value || entry.value,
+        entry,
+        store
+      });
+    }
+  }
+  
+  return tests;
+}
+
+/**
+ * Convert a Turtle data graph into an expanded JSON-LD document for ShaclValidator
+ */
+async function storeToJsonLd(store) {
+  const nquads = await new Promise((resolve, reject) => {
+    const writer = new Writer({ format: 'N-Quads' });
+    writer.addQuads(store.getQuads(null, null, null, null));
+    writer.end((error, result) => error ? reject(error) : resolve(result));
+  });
+  return jsonld.fromRDF(nquads, { format: 'application/n-quads' });
+}
+
+/**
+ * Describe a term for comparison
+ * Blank nodes only match structurally for paths, other blank nodes match any blank node
+ */
+function termKey(store, term, structural = false) {
+  if (!term) return '';
+  if (term.termType !== 'BlankNode') return term.id;
+  if (!structural) return '_:';
+  
+  if (getObject(store, term, RDF + 'first')) {
+    return `( ${parseList(store, term).map(item => termKey(store, item, true)).join(' ')} )`;
+  }
+  const properties = store.getQuads(term, null, null, null)
+    .map(q => `${q.predicate.id} ${termKey(store, q.object, true)}`)
+    .sort();
+  return `[ ${properties.join(' ; ')} ]`;
+}
+
+/**
+ * Describe the results of a report for comparison, ignoring messages and details
+ * @returns {string[]} Sorted result descriptions
+ */
+function reportKeys(store, reportNode) {
+  return getObjects(store, reportNode, SH + 'result').map(result => [
+    termKey(store, getObject(store, result, SH + 'focusNode')),
+    termKey(store, getObject(store, result, SH + 'resultPath'), true),
+    termKey(store, getObject(store, result, SH + 'value')),
+    termKey(store, getObject(store, result, SH + 'resultSeverity')),
+    termKey(store, getObject(store, result, SH + 'sourceShape')),
+    termKey(store, getObject(store, result, SH + 'sourceConstraintComponent'))
+  ].join(' | ')).sort();
+}
+
+/**
+ * Get the constraint components a test exercises
+ * These are the components of the expected results, or the constraint parameters used in the
+ * shapes graph for tests that expect no results
+ */
+function getTestComponents(store, expected, shapesStore) {
+  const components = new Set(getObjects(store, expected, SH + 'result')
+    .map(result => getObject(store, result, SH + 'sourceConstraintComponent'))
+    .filter(Boolean)
+    .map(term => term.value.slice(SH.length).replace(/ConstraintComponent$/, '')));
+  
+  if (components.size === 0) {
+    for (const { predicate, component } of PARAMETER_COMPONENTS) {
+      if (shapesStore.getQuads(null, namedNode(predicate), null, null).length > 0) {
+        components.add(component);
+      }
+    }
+  }
+  
+  return components.size > 0 ? Array.from(components) : ['Other'];
+}
+
+/**
+ * Run a single test
+ * @returns {Promise<{id: string, label: string, components: string[], passed: boolean, error?: string}>}
+ */
+export async function runTest(test) {
+  const { id, label, entry, store } = test;
+  const action = getObject(store, entry, MF + 'action');
+  const expected = getObject(store, entry, MF + 'result');
+  const data = loadTurtle(iriToFile(getObject(store, action, SHT + 'dataGraph').value));
+  const shapes = loadTurtle(iriToFile(getObject(store, action, SHT + 'shapesGraph').value));
+  const components = getTestComponents(store, expected, shapes.store);
+  const outcome = { id, label, components, passed: false };
+  
+  const result = await shaclValidator.validate(
+    await storeToJsonLd(data.store),
+    `@base <${shapes.base}> .\n${shapes.text}`
+  );
+  
+  if (expected.value === SHT + 'Failure') {
+    outcome.passed = !result.success;
+    if (result.success) outcome.error = 'Expected validation to fail';
+    return outcome;
+  }
+  
+  if (!result.success) {
+    outcome.error = result.error;
+    return outcome;
+  }
+  
+  const actualReport = result.reportGraph.getQuads(null, namedNode(RDF + 'type'), namedNode(SH + 'ValidationReport'), null)[0].subject;
+  const expectedConforms = getObject(store, expected, SH + 'conforms')?.value === 'true';
+  const expectedKeys = reportKeys(store, expected);
+  const actualKeys = reportKeys(result.reportGraph, actualReport);
+  
+  if (result.report.conforms !== expectedConforms) {
+    outcome.error = `Expected sh:conforms ${expectedConforms} but got ${result.report.conforms}`;
+  } else if (JSON.stringify(expectedKeys) !== JSON.stringify(actualKeys)) {
+    outcome.error = [
+      'Results differ',
+      ...expectedKeys.filter(key => !actualKeys.includes(key)).map(key => `  missing:    ${key}`),
+      ...actualKeys.filter(key => !expectedKeys.includes(key)).map(key => `  unexpected: ${key}`)
+    ].join('\n');
+  } else {
+    outcome.passed = true;
+  }
+  
+  return outcome;
+}
+
+/**
+ * Run every test of the local suite
+ */
+export async function runTestSuite(manifestFile) {
+  const outcomes = [];
+  for (const test of collectTests(manifestFile)) {
+    try {
+      outcomes.push(await runTest(test));
+    } catch (error) {
+      outcomes.push({ id: test.id, label: test.label, components: ['Other'], passed: false, error: error.message });
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Count passing and failing tests per constraint component
+ * @returns {Array<{component: string, passed: number, failed: number}>} Rows sorted by component
+ */
+export function buildMatrix(outcomes) {
+  const rows = new Map();
+  for (const outcome of outcomes) {
+    for (const component of outcome.components) {
+      if (!rows.has(component)) rows.set(component, { component, passed: 0, failed: 0 });
+      rows.get(component)[outcome.passed ? 'passed' : 'failed']++;
+    }
+  }
+  return Array.from(rows.values()).sort((a, b) => a.component.localeCompare(b.component));
+}
+
+/**
+ * Format the pass/fail matrix as a text table
+ */
+export function formatMatrix(matrix) {
+  const width = Math.max(9, ...matrix.map(row => row.component.length));
+  const lines = [
+    `${'Component'.padEnd(width)}  Pass  Fail`,
+    `${'-'.repeat(width)}  ----  ----`,
+    ...matrix.map(row =>
+      `${row.component.padEnd(width)}  ${String(row.passed).padStart(4)}  ${String(row.failed).padStart(4)}${row.failed > 0 ? '  ✗' : ''}`
+    )
+  ];
+  return lines.join('\n');
+}
+
+async function main() {
+  const outcomes = await runTestSuite();
+  const passed = outcomes.filter(outcome => outcome.passed).length;
+  
+  console.log(formatMatrix(buildMatrix(outcomes)));
+  console.log(`\n${passed}/${outcomes.length} tests passed`);
+  
+  const failures = outcomes.filter(outcome => !outcome.passed && !KNOWN_FAILURES.has(outcome.id));
+  const known = outcomes.filter(outcome => !outcome.passed && KNOWN_FAILURES.has(outcome.id));
+  const fixed = outcomes.filter(outcome => outcome.passed && KNOWN_FAILURES.has(outcome.id));
+  
+  if (known.length > 0) {
+    console.log('\nKnown gaps:');
+    for (const gap of known) {
+      console.log(`\n- ${gap.id} (${gap.label})\n  ${KNOWN_FAILURES.get(gap.id)}`);
+    }
+  }
+  if (fixed.length > 0) {
+    console.log('\nKnown failures that now pass (remove them from KNOWN_FAILURES):');
+    for (const test of fixed) {
+      console.log(`\n✓ ${test.id} (${test.label})`);
+    }
+  }
+  if (failures.length > 0) {
+    console.log('\nFailing tests:');
+    for (const failure of failures) {
+      console.log(`\n✗ ${failure.id} (${failure.label})\n  ${failure.error}`);
+    }
+  }
+  if (failures.length > 0 || fixed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
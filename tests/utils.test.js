@@ -5,6 +5,8 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as storage from '../src/utils/storage.js';
 import * as share from '../src/utils/share.js';
+import * as jsonSourceMap from '../src/utils/jsonSourceMap.js';
+import { XSD, isWellFormed, checkLexicalForm, coerceLexicalForm, sampleLexicalForm, parseTemporal } from '../src/utils/xsdLexical.js';
 
 describe('Storage Utils', () => {
   const mockLocalStorage = (() => {
@@ -103,6 +105,23 @@ describe('Storage Utils', () => {
     });
   });
 
+  describe('shapes graphs', () => {
+    it('should save and load registered shapes graphs', () => {
+      const graphs = [{ name: 'base', content: '@prefix sh: <http://www.w3.org/ns/shacl#> .', enabled: true }];
+      
+      expect(storage.saveShapesGraphs(graphs)).toBe(true);
+      mockLocalStorage.getItem.mockReturnValueOnce(JSON.stringify(graphs));
+      
+      expect(storage.loadShapesGraphs()).toEqual(graphs);
+    });
+    
+    it('should default to no shapes graphs', () => {
+      mockLocalStorage.getItem.mockReturnValueOnce(null);
+      
+      expect(storage.loadShapesGraphs()).toEqual([]);
+    });
+  });
+  
   describe('savePreferences', () => {
     it('should save preferences to localStorage', () => {
       const prefs = { theme: 'dark' };
@@ -196,3 +215,122 @@ describe('Share Utils', () => {
     });
   });
 });
+
+describe('JSON Source Map Utils', () => {
+  describe('parseWithPointers', () => {
+    it('should record key and value ranges by JSON pointer', () => {
+      const text = '{\n  "name": "Alice",\n  "tags": ["a", {"b/c": 1}]\n}';
+      const { data, pointers } = jsonSourceMap.parseWithPointers(text);
+      
+      expect(data).toEqual(JSON.parse(text));
+      
+      const name = pointers.get('/name');
+      expect(text.slice(name.key.start, name.key.end)).toBe('"name"');
+      expect(text.slice(name.value.start, name.value.end)).toBe('"Alice"');
+      
+      const nested = pointers.get('/tags/1/b~1c');
+      expect(text.slice(nested.value.start, nested.value.end)).toBe('1');
+      expect(pointers.get('/tags/0').key).toBeNull();
+      expect(pointers.get('').value).toEqual({ start: 0, end: text.length });
+    });
+    
+    it('should report the position of syntax errors', () => {
+      expect(() => jsonSourceMap.parseWithPointers('{\n  "a": tru\n}')).toThrow('line 2 column 8');
+      expect(() => jsonSourceMap.parseWithPointers('[1, 2] x')).toThrow(SyntaxError);
+    });
+  });
+  
+  describe('offsetToLineColumn', () => {
+    it('should convert offsets to 1-based lines and columns', () => {
+      expect(jsonSourceMap.offsetToLineColumn('ab\ncd', 0)).toEqual({ line: 1, column: 1 });
+      expect(jsonSourceMap.offsetToLineColumn('ab\ncd', 4)).toEqual({ line: 2, column: 2 });
+    });
+  });
+});
+
+describe('XSD Lexical Utils', () => {
+  const valid = (value, type) => isWellFormed(value, XSD + type);
+  
+  it('should check integers and their value ranges', () => {
+    expect(valid('-42', 'integer')).toBe(true);
+    expect(valid('4.2', 'integer')).toBe(false);
+    expect(valid('abc', 'integer')).toBe(false);
+    expect(valid('0', 'positiveInteger')).toBe(false);
+    expect(valid('255', 'unsignedByte')).toBe(true);
+    expect(valid('128', 'byte')).toBe(false);
+    expect(valid('9223372036854775808', 'long')).toBe(false);
+  });
+  
+  it('should check decimals, doubles and booleans', () => {
+    expect(valid('3.14', 'decimal')).toBe(true);
+    expect(valid('1e3', 'decimal')).toBe(false);
+    expect(valid('1.5E-3', 'double')).toBe(true);
+    expect(valid('-INF', 'double')).toBe(true);
+    expect(valid('infinity', 'double')).toBe(false);
+    expect(valid('1', 'boolean')).toBe(true);
+    expect(valid('yes', 'boolean')).toBe(false);
+  });
+  
+  it('should check dates, times and durations', () => {
+    expect(valid('2024-02-29', 'date')).toBe(true);
+    expect(valid('2023-02-29', 'date')).toBe(false);
+    expect(valid('2024-13-45', 'date')).toBe(false);
+    expect(valid('2024-05-01T24:00:00Z', 'dateTime')).toBe(true);
+    expect(valid('2024-05-01T25:00:00', 'dateTime')).toBe(false);
+    expect(valid('2024-05-01', 'dateTime')).toBe(false);
+    expect(valid('-0044', 'gYear')).toBe(true);
+    expect(valid('24', 'gYear')).toBe(false);
+    expect(valid('P1Y2M3DT4H5M6.5S', 'duration')).toBe(true);
+    expect(valid('PT', 'duration')).toBe(false);
+    expect(valid('P1H', 'duration')).toBe(false);
+  });
+  
+  it('should check anyURI and accept unchecked datatypes', () => {
+    expect(valid('http://example.org/a%20b', 'anyURI')).toBe(true);
+    expect(valid('http://example.org/a b', 'anyURI')).toBe(false);
+    expect(valid('anything', 'string')).toBe(true);
+    expect(isWellFormed('anything', 'http://example.org/custom')).toBe(true);
+  });
+  
+  it('should describe ill-formed values', () => {
+    expect(checkLexicalForm('abc', XSD + 'integer')).toBe('"abc" is not a valid xsd:integer lexical form');
+    expect(checkLexicalForm('42', XSD + 'integer')).toBeNull();
+  });
+  
+  it('should read dates and times with and without a timezone', () => {
+    expect(parseTemporal('2024-01-01Z', XSD + 'date')).toEqual({ time: Date.UTC(2024, 0, 1), timezone: true });
+    expect(parseTemporal('2024-01-01+02:00', XSD + 'date')).toEqual({ time: Date.UTC(2023, 11, 31, 22), timezone: true });
+    expect(parseTemporal('2024-01-01T10:30:00.5', XSD + 'dateTime')).toEqual({ time: Date.UTC(2024, 0, 1, 10, 30, 0, 500), timezone: false });
+    expect(parseTemporal('2024-01-01T24:00:00-05:00', XSD + 'dateTime').time).toBe(Date.UTC(2024, 0, 2, 5));
+    expect(parseTemporal('23:00:00-01:00', XSD + 'time').time).toBe(Date.UTC(1970, 0, 2));
+    expect(parseTemporal('0099-01-01', XSD + 'date').time).toBe(new Date('0099-01-01T00:00:00Z').getTime());
+    expect(parseTemporal('2024-13-01', XSD + 'date')).toBeNull();
+    expect(parseTemporal('2024', XSD + 'gYear')).toBeNull();
+  });
+  
+  it('should coerce values to well-formed lexical forms', () => {
+    expect(coerceLexicalForm(' 1,000 ', XSD + 'integer')).toBe('1000');
+    expect(coerceLexicalForm('42.0', XSD + 'int')).toBe('42');
+    expect(coerceLexicalForm('3.7', XSD + 'integer')).toBeNull();
+    expect(coerceLexicalForm('Yes', XSD + 'boolean')).toBe('true');
+    expect(coerceLexicalForm('March 5, 2024', XSD + 'date')).toBe('2024-03-05');
+    expect(coerceLexicalForm('2024-03-05', XSD + 'gYear')).toBe('2024');
+    expect(coerceLexicalForm('abc', XSD + 'integer')).toBeNull();
+    expect(coerceLexicalForm('abc', 'http://example.org/custom')).toBeNull();
+  });
+  
+  it('should keep the wall-clock time and offset when coercing date-times', () => {
+    expect(coerceLexicalForm('2024-03-05 10:00', XSD + 'dateTime')).toBe('2024-03-05T10:00:00');
+    expect(coerceLexicalForm('2024-03-05T10:00:00.5+0200', XSD + 'dateTime')).toBe('2024-03-05T10:00:00.5+02:00');
+    expect(coerceLexicalForm('March 5, 2024 10:30', XSD + 'dateTime')).toBe('2024-03-05T10:30:00');
+    expect(coerceLexicalForm('Tue, 05 Mar 2024 10:00:00 GMT', XSD + 'dateTime')).toBe('2024-03-05T10:00:00Z');
+    expect(coerceLexicalForm('Tue, 05 Mar 2024 10:00:00 -0500', XSD + 'dateTime')).toBe('2024-03-05T10:00:00-05:00');
+  });
+  
+  it('should provide well-formed placeholders', () => {
+    for (const name of ['integer', 'positiveInteger', 'decimal', 'boolean', 'date', 'dateTime', 'gYear', 'duration']) {
+      expect(valid(sampleLexicalForm(XSD + name), name)).toBe(true);
+    }
+    expect(sampleLexicalForm(XSD + 'string')).toBe('');
+  });
+});